@@ -0,0 +1,187 @@
+'use strict';
+
+// Validation module, parameter validation functions
+var Validation = require('./Validation.js');
+
+/**
+ * Audit log, an append-only record of logins and changes to users and data.
+ * The server routes record authentication events, and VineyardServer records the changes it makes to users and data,
+ * both through the same Audit instance.
+ * @constructor
+ * @param {config} config The server configuration object loaded from the configuration file
+ * @param {object} logger Configured Winston logger instance
+ * @param {Database} database Configured instance of the Database object for this server
+ */
+var Audit = function(
+	config,
+	logger,
+	database
+	){
+
+	this.config = config;
+	this.logger = logger;
+	this.database = database;
+};
+
+/**
+ * @typedef {object} AuditContext
+ * @property {?string} username Username of the user who made the request, or null if they were not logged in
+ * @property {?string} ip Client IP address of the request
+ * @property {?string} route HTTP method and URL of the request, or the name of the script which made the change
+ */
+
+/**
+ * @typedef {object} AuditEntry
+ * @property {string} action What happened, e.g. 'login' or 'soil.update'
+ * @property {?string} username Username of the user who made the request
+ * @property {?string} ip Client IP address of the request
+ * @property {?string} route HTTP method and URL of the request
+ * @property {?object} before The state of the changed record before the change, if any
+ * @property {?object} after The state of the changed record after the change, if any
+ */
+
+Audit.prototype = {
+
+	/**
+	 * Server configuration
+	 * @type {object}
+	 */
+	config: null,
+
+	/**
+	 * Configured Winston logger instance
+	 * @type {object}
+	 */
+	logger: null,
+
+	/**
+	 * Configured 'Database' module for DB interaction
+	 * @type {Database}
+	 */
+	database: null,
+
+	/**
+	 * Maximum number of entries returned by getEntries
+	 * @type {number}
+	 */
+	maxEntries: 1000,
+
+	/**
+	 * Append an entry to the audit log.
+	 * Failures to write the entry are logged, and do not stop the request which is being audited.
+	 * @param {AuditEntry} entry Entry to record
+	 * @param {function=} callback Optional callback, called once the entry has been written or has failed with arguments (err)
+	 */
+	record: function(entry, callback){
+		var self = this;
+
+		var done = function(err) {
+			if (err) self.logger.error( "Audit: record(): Could not record '" + entry.action + "' by " + entry.username + ": " + err.message );
+			if (callback) callback(err);
+		};
+
+		// Validate entry
+		if ( !Validation.validateStringParameter(entry.action) ) {
+			done( new Error( "'action' must be supplied" ) );
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "INSERT INTO audit_log (action, username, ip, route, before, after) " +
+				"VALUES ($1, $2, $3, $4, $5::jsonb, $6::jsonb);",
+			values: [
+				entry.action,
+				toNull(entry.username),
+				toNull(entry.ip),
+				toNull(entry.route),
+				toJson(entry.before),
+				toJson(entry.after)
+			]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, function(err){
+			done(err);
+		});
+	},
+
+	/**
+	 * Get audit log entries, newest first, optionally filtered by user and time range.
+	 * At most maxEntries entries are returned.
+	 * Call the callback function with error or response data, which is an array of entries with 'id', 'created_at',
+	 * 'action', 'username', 'ip', 'route', 'before' and 'after' properties.
+	 * @param {object} options Filter options for the query, all of which are optional
+	 * @param {string=} options.username Only return entries for this username
+	 * @param {number=} options.start Unix timestamp of the start of the time range, inclusive
+	 * @param {number=} options.end Unix timestamp of the end of the time range, exclusive
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getEntries: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( options.username !== undefined && !Validation.validateStringParameter(options.username) ) err = new Error( "'username' option is invalid" );
+		if ( options.start !== undefined && !Validation.validateNumberParameter(options.start) ) err = new Error( "'start' option is invalid" );
+		if ( options.end !== undefined && !Validation.validateNumberParameter(options.end) ) err = new Error( "'end' option is invalid" );
+		if ( !err && options.start !== undefined && options.end !== undefined && options.start >= options.end ) err = new Error( "'start' option must be before 'end'" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// Build parameterized WHERE conditions for the filters that have been supplied
+		var conditions = [];
+		var values = [];
+		if ( options.username !== undefined ) {
+			values.push( options.username );
+			conditions.push( "username = $" + values.length );
+		}
+		if ( options.start !== undefined ) {
+			values.push( options.start );
+			conditions.push( "created_at >= to_timestamp($" + values.length + ")" );
+		}
+		if ( options.end !== undefined ) {
+			values.push( options.end );
+			conditions.push( "created_at < to_timestamp($" + values.length + ")" );
+		}
+		values.push( self.maxEntries );
+
+		// SQL
+		var queryObject = {
+			text: "SELECT id, created_at, action, username, ip, route, before, after " +
+				"FROM audit_log " +
+				( conditions.length ? "WHERE " + conditions.join(" AND ") + " " : "" ) +
+				"ORDER BY created_at DESC, id DESC " +
+				"LIMIT $" + values.length + ";",
+			values: values
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	}
+
+};
+
+/**
+ * Convert an optional value to null if it is undefined, for use as a query parameter.
+ * @param {*} value Value
+ * @returns {*} The value, or null
+ */
+function toNull(value) {
+	return value === undefined ? null : value;
+}
+
+/**
+ * Serialize an optional record as JSON for a jsonb query parameter.
+ * Records are serialized here because the postgres driver would convert a top-level array to a postgres array.
+ * @param {*} value Record, or null or undefined if there is none
+ * @returns {?string} JSON, or null
+ */
+function toJson(value) {
+	return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+// Export our object constructor method from the module
+module.exports = Audit;
@@ -6,19 +6,29 @@ var builder = require('xmlbuilder');
 var moment = require('moment-timezone');
 
 /**
- * CAP tranformer, transforms Peta Jakarta GeoJSON to CAP.
+ * CAP tranformer, transforms GeoJSON features describing the hazard state of vineyard areas to CAP.
+ * The sender, event, severities and identifiers are set from the 'alerts' section of the server configuration.
  * @constructor
+ * @param {config} config The server configuration object loaded from the configuration file
  * @param {object} logger Configured Winston logger instance
  */
 var Cap = function(
+	config,
 	logger
 	){
 
+	this.config = config;
 	this.logger = logger;
 };
 
 Cap.prototype = {
 
+	/**
+	 * Server configuration
+	 * @type {object}
+	 */
+	config: null,
+
 	/**
 	 * Configured Winston logger instance
 	 * @type {object}
@@ -26,22 +36,35 @@ Cap.prototype = {
 	logger: null,
 
 	/**
-	 * Transform from petajakarta.org GeoJSON data to ATOM feed of CAP format XML data.
+	 * Format a feature's last updated time in the configured alert time zone.
+	 * @param {object} feature GeoJSON feature with a 'last_updated' property
+	 * @return {string} ISO8601 time with UTC offset
+	 */
+	formatUpdated: function( feature ) {
+		var self = this;
+
+		return moment.tz(feature.properties.last_updated, self.config.alerts.timezone).format('YYYY-MM-DDTHH:mm:ssZ');
+	},
+
+	/**
+	 * Transform GeoJSON features to an ATOM feed of CAP format XML data.
 	 * See {@link https://tools.ietf.org/html/rfc4287|ATOM syndication format}
-	 * @param {object} features Peta Jakarta GeoJSON features object
+	 * @param {object[]} features GeoJSON features with 'level_name', 'parent_name', 'state' and 'last_updated' properties
+	 * @param {string=} feedId ID of the feed, which is also the base of the entry IDs; config.alerts.id_base_url if not supplied
 	 * @return {string} XML CAP data describing all areas
 	 */
-	geoJsonToAtomCap: function( features ) {
+	geoJsonToAtomCap: function( features, feedId ) {
 		var self = this;
+		if (feedId === undefined) feedId = self.config.alerts.id_base_url;
 		
 		var feed = {
 			"@xmlns": "http://www.w3.org/2005/Atom",
-			id: 'https://rem.petajakarta.org/data/api/v2/rem/flooded',
-			title: 'petajakarta.org Flood Affected Areas',
-			updated: moment().tz('Asia/Jakarta').format(),
+			id: feedId,
+			title: self.config.alerts.feed_title,
+			updated: moment().tz(self.config.alerts.timezone).format(),
 			author: {
-				name: 'petajakarta.org',
-				uri: 'https://petajakarta.org/'
+				name: self.config.alerts.sender_name,
+				uri: self.config.alerts.web
 			}
 		};
 		
@@ -57,10 +80,10 @@ Cap.prototype = {
 			if (!feed.entry) feed.entry = [];
 			
 			feed.entry.push({
-				// Note, this ID does not resolve to a real resource - but enough information is contained in the URL that we could resolve the flooded report at the same point in time
-				id: 'https://rem.petajakarta.org/data/api/v2/rem/flooded?parent_name='+encodeURI(feature.properties.parent_name)+'&level_name='+encodeURI(feature.properties.level_name)+'&time='+encodeURI(moment.tz(feature.properties.last_updated, 'Asia/Jakarta').format('YYYY-MM-DDTHH:mm:ssZ')),
-				title: alert.identifier + " Flood Affected Area",
-				updated: moment.tz(feature.properties.last_updated, 'Asia/Jakarta').format('YYYY-MM-DDTHH:mm:ssZ'),
+				// Note, this ID does not resolve to a real resource - but enough information is contained in the URL that we could resolve the state of the area at the same point in time
+				id: feedId + '?parent_name='+encodeURIComponent(feature.properties.parent_name)+'&level_name='+encodeURIComponent(feature.properties.level_name)+'&time='+encodeURIComponent(self.formatUpdated(feature)),
+				title: alert.identifier + " " + self.config.alerts.event + " Affected Area",
+				updated: self.formatUpdated(feature),
 				content: {
 					"@type": "text/xml",
 					alert: alert
@@ -74,7 +97,7 @@ Cap.prototype = {
 	/**
 	 * Create CAP ALERT object.
 	 * See {@link http://docs.oasis-open.org/emergency/cap/v1.2/CAP-v1.2-os.html#_Toc97699527|CAP specification 3.2.1 "alert" Element and Sub-elements}
-	 * @param {object} feature petajakarta.org GeoJSON feature
+	 * @param {object} feature GeoJSON feature
 	 * @return {object} Object representing ALERT element for XML conversion by xmlbuilder
 	 */
 	createAlert: function( feature ) {
@@ -84,12 +107,12 @@ Cap.prototype = {
 		
 		alert["@xmlns"] = "urn:oasis:names:tc:emergency:cap:1.2";
 		
-		var identifier = feature.properties.parent_name + "." + feature.properties.level_name + "." + moment.tz(feature.properties.last_updated, 'Asia/Jakarta').format('YYYY-MM-DDTHH:mm:ssZ');
+		var identifier = feature.properties.parent_name + "." + feature.properties.level_name + "." + self.formatUpdated(feature);
 		identifier = identifier.replace(/ /g,'_');
 		alert.identifier = encodeURI(identifier);
 		
-		alert.sender = 'BPBD.JAKARTA.GOV.ID';
-		alert.sent = moment.tz(feature.properties.last_updated, 'Asia/Jakarta').format('YYYY-MM-DDTHH:mm:ssZ');
+		alert.sender = self.config.alerts.sender;
+		alert.sent = self.formatUpdated(feature);
 		alert.status = "Actual";
 		alert.msgType = "Alert";
 		alert.scope = "Public";
@@ -106,7 +129,7 @@ Cap.prototype = {
 	/**
 	 * Create a CAP INFO object.
 	 * See {@link http://docs.oasis-open.org/emergency/cap/v1.2/CAP-v1.2-os.html#_Toc97699542|CAP specification 3.2.2 "info" Element and Sub-elements}
-	 * @param {object} feature petajakarta.org GeoJSON feature
+	 * @param {object} feature GeoJSON feature
 	 * @return {object} Object representing INFO element suitable for XML conversion by xmlbuilder
 	 */
 	createInfo: function( feature ) {
@@ -114,39 +137,27 @@ Cap.prototype = {
 			
 		var info = {};
 		
-		info.category = "Met";
-		info.event = "FLOODING";
+		info.category = self.config.alerts.category;
+		info.event = self.config.alerts.event;
 		info.urgency = "Immediate";			
 		
-		var severity = "";
-		var levelDescription = "";
-		if ( feature.properties.state === 1 ) {
-			severity = "Unknown";
-			levelDescription = "AN UNKNOWN LEVEL OF FLOODING - USE CAUTION -";
-		} else if ( feature.properties.state === 2 ) {
-			severity = "Minor";
-			levelDescription = "FLOODING OF BETWEEN 10 and 70 CENTIMETERS";
-		} else if ( feature.properties.state === 3 ) {
-			severity = "Moderate";
-			levelDescription = "FLOODING OF BETWEEN 71 and 150 CENTIMETERS";
-		} else if ( feature.properties.state === 4 ) {
-			severity = "Severe";
-			levelDescription = "FLOODING OF OVER 150 CENTIMETERS";
-		} else {
+		// Resolve the severity and description of the level from the configured mapping for the state
+		var level = self.config.alerts.severities[feature.properties.state];
+		if ( !level ) {
 			self.logger.error("Cap: createInfo(): State " + feature.properties.state + " cannot be resolved to a severity");
 			return;
 		}
-		info.severity = severity;
+		info.severity = level.severity;
 
 		info.certainty = "Observed";
-		info.senderName = "JAKARTA EMERGENCY MANAGEMENT AGENCY";
-		info.headline = "FLOOD WARNING";
+		info.senderName = self.config.alerts.sender_name;
+		info.headline = self.config.alerts.event.toUpperCase() + " WARNING";
 		
-		var descriptionTime = moment(feature.properties.last_updated).tz('Asia/Jakarta').format('HH:mm z');
+		var descriptionTime = moment.tz(feature.properties.last_updated, self.config.alerts.timezone).format('HH:mm z');
 		var descriptionArea = feature.properties.parent_name + ", " + feature.properties.level_name;
-		info.description = "AT " + descriptionTime + " THE JAKARTA EMERGENCY MANAGEMENT AGENCY OBSERVED " + levelDescription + " IN " + descriptionArea + ".";
+		info.description = "AT " + descriptionTime + " " + self.config.alerts.sender_name.toUpperCase() + " OBSERVED " + level.description.toUpperCase() + " IN " + descriptionArea + ".";
 
-		info.web = "https://petajakarta.org/";
+		info.web = self.config.alerts.web;
 
 		info.area = self.createArea( feature );
 		// If area creation failed, don't create the info
@@ -159,8 +170,11 @@ Cap.prototype = {
 	
 	/**
 	 * Create a CAP AREA object.
+	 * Polygons are described by CAP 'polygon' elements. CAP polygons cannot have holes, so only the exterior ring of
+	 * a polygon with interior rings is used and the alert area includes the holes.
+	 * Points are described by CAP 'circle' elements centred on the point, with the radius set by config.alerts.point_radius.
 	 * See {@link http://docs.oasis-open.org/emergency/cap/v1.2/CAP-v1.2-os.html#_Toc97699550|CAP specification 3.2.4 "area" Element and Sub-elements}
-	 * @param {object} feature petajakarta.org GeoJSON feature
+	 * @param {object} feature GeoJSON feature
 	 * @return {object} Object representing AREA element suitable for XML conversion by xmlbuilder
 	 */
 	createArea: function( feature ) {
@@ -170,39 +184,52 @@ Cap.prototype = {
 		
 		area.areaDesc = feature.properties.level_name + ", " + feature.properties.parent_name;
 		
-		// Collate array of polygon-describing strings from different geometry types
-		area.polygon = [];
-		var featurePolygons;
+		// Collate arrays of polygons and points from different geometry types
+		var featurePolygons = [];
+		var featurePoints = [];
 		if ( feature.geometry.type === "Polygon" ) {
 			featurePolygons = [ feature.geometry.coordinates ];
 		} else if ( feature.geometry.type === "MultiPolygon" ) {
 			featurePolygons = feature.geometry.coordinates;
+		} else if ( feature.geometry.type === "Point" ) {
+			featurePoints = [ feature.geometry.coordinates ];
+		} else if ( feature.geometry.type === "MultiPoint" ) {
+			featurePoints = feature.geometry.coordinates;
 		} else {
-			self.logger.error( "Cap: createInfo(): Geometry type '" + feature.geometry.type + "' not supported" );
+			self.logger.error( "Cap: createArea(): Geometry type '" + feature.geometry.type + "' not supported" );
 			return;
 		}
 		
 		// Construct CAP suitable polygon strings (whitespace-delimited WGS84 coordinate pairs - e.g. "lat,lon lat,lon")
 		// See: http://docs.oasis-open.org/emergency/cap/v1.2/CAP-v1.2-os.html#_Toc97699550 - polygon
 		// See: http://docs.oasis-open.org/emergency/cap/v1.2/CAP-v1.2-os.html#_Toc520973440
-		self.logger.debug( "Cap: createInfo(): " + featurePolygons.length + " polygons detected for " + area.areaDesc );
+		self.logger.debug( "Cap: createArea(): " + featurePolygons.length + " polygons detected for " + area.areaDesc );
 		for (var polygonIndex=0; polygonIndex<featurePolygons.length; polygonIndex++) {
-			// We assume all geometries to be simple Polygons with a single LineString (LinearRing)
 			if ( featurePolygons[polygonIndex].length > 1 ) {
-				self.logger.error( "Cap: createInfo(): Polygon with interior rings is not supported" );
-				return;
+				self.logger.debug( "Cap: createArea(): Ignoring " + (featurePolygons[polygonIndex].length - 1) + " interior rings in polygon " + polygonIndex );
 			}
 			
 			var polygon = "";
-			self.logger.debug( "Cap: createInfo(): " + featurePolygons[polygonIndex][0].length + " points detected in polygon " + polygonIndex );
+			self.logger.debug( "Cap: createArea(): " + featurePolygons[polygonIndex][0].length + " points detected in polygon " + polygonIndex );
 			for (var pointIndex=0; pointIndex<featurePolygons[polygonIndex][0].length; pointIndex++) {
 				var point = featurePolygons[polygonIndex][0][pointIndex];
 				polygon += point[1] + "," + point[0] + " ";
 			}
 			
+			if (!area.polygon) area.polygon = [];
 			area.polygon.push( polygon );
 		}
 		
+		// Construct CAP suitable circle strings (WGS84 coordinate pair followed by a space and radius in kilometers - e.g. "lat,lon radius")
+		// See: http://docs.oasis-open.org/emergency/cap/v1.2/CAP-v1.2-os.html#_Toc97699550 - circle
+		self.logger.debug( "Cap: createArea(): " + featurePoints.length + " points detected for " + area.areaDesc );
+		for (var circleIndex=0; circleIndex<featurePoints.length; circleIndex++) {
+			var centre = featurePoints[circleIndex];
+			
+			if (!area.circle) area.circle = [];
+			area.circle.push( centre[1] + "," + centre[0] + " " + self.config.alerts.point_radius );
+		}
+		
 		return area;
 	}
 
@@ -83,6 +83,154 @@ Database.prototype = {
 				}
 			});
 		});
+	},
+
+	/**
+	 * DB transaction callback
+	 * @callback TransactionQueryCallback
+	 * @param {Error} err An error instance describing the error that occurred, or null if no error
+	 * @param {Array.<object[]>} data Array containing the 'result.rows' for each query, in the order the queries were supplied
+	 */
+
+	/**
+	 * Perform a series of parameterized queries in order, inside a single transaction on one connection.
+	 * If any query fails the transaction is rolled back, so either all of the queries take effect or none do.
+	 * Call the callback with error information or result information.
+	 *
+	 * @param {object[]} queryObjects Query objects for parameterized postgres queries, as for dataQuery
+	 * @param {TransactionQueryCallback} callback Callback function for handling error or response data
+	 */
+	transactionQuery: function(queryObjects, callback){
+		var self = this;
+
+		self.logger.debug( "transactionQuery: " + queryObjects.length + " queries" );
+
+		self.pg.connect(self.config.pg.conString, function(err, client, done){
+			if (err){
+				self.logger.error("transactionQuery: " + err);
+				done();
+				callback( new Error('Database connection error') );
+				return;
+			}
+
+			var results = [];
+
+			// Roll back the transaction and report the failure
+			var rollback = function(description) {
+				client.query('ROLLBACK', function(rollbackErr){
+					if (rollbackErr) self.logger.error( "transactionQuery: Rollback failed, " + rollbackErr.message );
+					// Passing the rollback error to done() removes the client from the pool rather than reusing it mid-transaction
+					done(rollbackErr);
+					callback( new Error(description) );
+				});
+			};
+
+			var runQuery = function(index) {
+				if (index === queryObjects.length) {
+					client.query('COMMIT', function(err){
+						if (err) {
+							self.logger.error( "transactionQuery: Commit failed, " + err.message );
+							rollback('Database query error');
+						} else {
+							self.logger.debug( "transactionQuery: " + queryObjects.length + " queries committed" );
+							done();
+							callback(null, results);
+						}
+					});
+					return;
+				}
+
+				self.logger.debug( "transactionQuery: queryObject=" + JSON.stringify(queryObjects[index]) );
+				client.query(queryObjects[index], function(err, result){
+					if (err) {
+						self.logger.error( "transactionQuery: Database query failed, " + err.message + ", queryObject=" + JSON.stringify(queryObjects[index]) );
+						rollback('Database query error');
+					} else {
+						results.push( result && result.rows ? result.rows : [] );
+						runQuery(index + 1);
+					}
+				});
+			};
+
+			client.query('BEGIN', function(err){
+				if (err) {
+					self.logger.error( "transactionQuery: Begin failed, " + err.message );
+					done(err);
+					callback( new Error('Database query error') );
+				} else {
+					runQuery(0);
+				}
+			});
+		});
+	},
+
+	/**
+	 * Notification callback
+	 * @callback NotificationCallback
+	 * @param {string} payload Payload of the notification
+	 */
+
+	/**
+	 * Listen for notifications on a postgres channel, on a connection which is held open for the purpose.
+	 * If the connection fails or is lost, listening is retried after config.pg.reconnectionDelay.
+	 * Notifications sent while the connection is down are lost, so onListen is called each time listening starts,
+	 * for the listener to catch up on anything it may have missed.
+	 *
+	 * @param {string} channel Name of the channel, which must be a lower case identifier
+	 * @param {NotificationCallback} onNotification Called with the payload of each notification on the channel
+	 * @param {function=} onListen Optional callback, called with no arguments each time listening starts
+	 */
+	listen: function(channel, onNotification, onListen){
+		var self = this;
+
+		// The channel is an identifier and cannot be a query parameter
+		if ( !/^[a-z_][a-z0-9_]*$/.test(channel) ) {
+			throw new Error( "'channel' must be a lower case identifier" );
+		}
+
+		var retry = function() {
+			self.logger.info( "listen: Listening on " + channel + " again in " + self.config.pg.reconnectionDelay + "ms" );
+			setTimeout( function() {
+				self.listen(channel, onNotification, onListen);
+			}, self.config.pg.reconnectionDelay );
+		};
+
+		self.pg.connect(self.config.pg.conString, function(err, client, done){
+			if (err){
+				self.logger.error( "listen: " + channel + ", " + err );
+				done(err);
+				retry();
+				return;
+			}
+
+			// Release the client and listen again, once only however the connection fails
+			var failed = false;
+			var fail = function(err) {
+				if (failed) return;
+				failed = true;
+				// Passing the error to done() removes the broken client from the pool
+				done(err);
+				retry();
+			};
+
+			client.on('notification', function(message){
+				if (message.channel === channel) onNotification(message.payload);
+			});
+			client.on('error', function(err){
+				self.logger.error( "listen: Connection listening on " + channel + " lost, " + err );
+				fail(err);
+			});
+
+			client.query('LISTEN ' + channel, function(err){
+				if (err) {
+					self.logger.error( "listen: LISTEN " + channel + " failed, " + err.message );
+					fail(err);
+				} else {
+					self.logger.debug( "listen: Listening on " + channel );
+					if (onListen) onListen();
+				}
+			});
+		});
 	}
 
 };
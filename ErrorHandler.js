@@ -0,0 +1,111 @@
+'use strict';
+
+// Node.js http module, used for the names of HTTP status codes
+var http = require('http');
+
+/**
+ * An ErrorHandler writes the responses for errors and for requests which match no route.
+ * Errors with a 4xx status describe a problem with the request, so their message is returned to the client; anything
+ * else is an internal error, whose details are only logged.
+ * Errors are returned as JSON, unless config.legacyErrors is true, when they are returned as '204 No Content' for
+ * older clients which cannot handle error status codes.
+ * @constructor
+ * @param {config} config The server configuration object loaded from the configuration file
+ * @param {object} logger Configured Winston logger instance
+ */
+var ErrorHandler = function(
+	config,
+	logger
+	){
+
+	this.config = config;
+	this.logger = logger;
+};
+
+ErrorHandler.prototype = {
+
+	/**
+	 * Server configuration
+	 * @type {object}
+	 */
+	config: null,
+
+	/**
+	 * Configured Winston logger instance
+	 * @type {object}
+	 */
+	logger: null,
+
+	/**
+	 * Prepare a JSON error response with the 'status' code, a machine readable 'code' from the status name
+	 * (e.g. 'not_found') and a human readable 'message'.
+	 * @param {number} status HTTP error status code
+	 * @param {string} message Error message
+	 * @returns {HttpResponse} The HTTP response
+	 */
+	prepareResponse: function(status, message){
+		var code = (http.STATUS_CODES[status] || 'Error').toLowerCase().replace(/[^a-z0-9]+/g, '_');
+		return {
+			code: status,
+			headers: {"Content-type":"application/json"},
+			body: JSON.stringify({ status: status, code: code, message: message }, "utf8")
+		};
+	},
+
+	/**
+	 * Create express middleware for requests which match no route.
+	 * Data routes are used by scripts, so they get a JSON error rather than a page.
+	 * @returns {function} Express middleware function
+	 */
+	notFound: function(){
+		var self = this;
+
+		return function(req, res, next) {
+			if ( req.path.indexOf('/data/') === 0 ) {
+				self.write( res, self.prepareResponse(404, "No route for " + req.method + " " + req.path) );
+			} else {
+				res.status(404).send('Error 404 - Page not found');
+			}
+		};
+	},
+
+	/**
+	 * Create express error handling middleware.
+	 * @returns {function} Express error handling middleware function
+	 */
+	middleware: function(){
+		var self = this;
+
+		return function(err, req, res, next) {
+			// Errors from body-parser carry their status in 'status' or 'statusCode'
+			var status = err.status || err.statusCode;
+			if ( !status || status < 400 || status > 599 ) status = 500;
+
+			if (status >= 500) {
+				self.logger.error( "Express error: " + status + ", " + err.message + ", " + err.stack );
+			} else {
+				self.logger.warn( "Express error: " + status + ", " + err.message );
+			}
+
+			if (self.config.legacyErrors) {
+				self.write( res, { code: 204, headers: {}, body: null } );
+			} else {
+				self.write( res, self.prepareResponse(status, status < 500 ? err.message : "Internal server error") );
+			}
+		};
+	},
+
+	/**
+	 * Write a response, then end the response stream.
+	 * @param {object} res Express 'res' response object
+	 * @param {HttpResponse} responseData HTTP response object
+	 */
+	write: function(res, responseData){
+		res.writeHead( responseData.code, responseData.headers );
+		res.end( responseData.body );
+	}
+
+};
+
+// Export our object constructor method from the module
+module.exports = ErrorHandler;
@@ -0,0 +1,268 @@
+'use strict';
+
+// XML builder used to create XML output
+var builder = require('xmlbuilder');
+
+/**
+ * Export tranformer, transforms GeoJSON FeatureCollections to CSV, KML and GPX for use in spreadsheet and GIS tools.
+ * @constructor
+ * @param {object} logger Configured Winston logger instance
+ */
+var Export = function(
+	logger
+	){
+
+	this.logger = logger;
+};
+
+Export.prototype = {
+
+	/**
+	 * Configured Winston logger instance
+	 * @type {object}
+	 */
+	logger: null,
+
+	/**
+	 * Transform a GeoJSON FeatureCollection to CSV, with one row per feature and one column per property.
+	 * Point geometries are written as 'longitude' and 'latitude' columns; if the collection contains any other
+	 * geometry type, a 'geometry' column holding the GeoJSON geometry is added for those features.
+	 * Property values which are objects or arrays are written as JSON.
+	 * @param {object} collection GeoJSON FeatureCollection
+	 * @return {string} CSV text, including a header line
+	 */
+	geoJsonToCsv: function( collection ) {
+		var features = collection.features || [];
+
+		// Collect the property names used by any feature, in the order they first appear
+		var columns = [];
+		var hasOtherGeometry = false;
+		features.forEach( function(feature) {
+			Object.keys( feature.properties || {} ).forEach( function(key) {
+				if ( columns.indexOf(key) === -1 ) columns.push(key);
+			});
+			if ( feature.geometry && feature.geometry.type !== 'Point' ) hasOtherGeometry = true;
+		});
+
+		var header = ['longitude', 'latitude'].concat( hasOtherGeometry ? ['geometry'] : [], columns );
+		var lines = [ header.map( csvField ).join(',') ];
+
+		features.forEach( function(feature) {
+			var isPoint = feature.geometry && feature.geometry.type === 'Point';
+			var fields = [
+				isPoint ? feature.geometry.coordinates[0] : null,
+				isPoint ? feature.geometry.coordinates[1] : null
+			];
+			if (hasOtherGeometry) fields.push( isPoint ? null : feature.geometry );
+			columns.forEach( function(key) {
+				fields.push( (feature.properties || {})[key] );
+			});
+			lines.push( fields.map( csvField ).join(',') );
+		});
+
+		return lines.join('\r\n') + '\r\n';
+	},
+
+	/**
+	 * Transform an array of rows, such as database query results, to CSV with one line per row.
+	 * @param {object[]} rows Rows to transform
+	 * @param {string[]} columns Names of the row properties to write, in column order
+	 * @return {string} CSV text, including a header line
+	 */
+	rowsToCsv: function( rows, columns ) {
+		var lines = [ columns.map( csvField ).join(',') ];
+
+		rows.forEach( function(row) {
+			lines.push( columns.map( function(column) { return csvField( row[column] ); } ).join(',') );
+		});
+
+		return lines.join('\r\n') + '\r\n';
+	},
+
+	/**
+	 * Transform a GeoJSON FeatureCollection to a KML document, with one Placemark per feature.
+	 * Feature properties are written as ExtendedData.
+	 * See {@link https://developers.google.com/kml/documentation/kmlreference|KML reference}
+	 * @param {object} collection GeoJSON FeatureCollection
+	 * @param {string} title Name of the KML document
+	 * @param {string=} nameProperty Feature property to use as each Placemark's name
+	 * @return {string} KML XML document
+	 */
+	geoJsonToKml: function( collection, title, nameProperty ) {
+		var self = this;
+
+		var kmlDocument = {
+			name: title
+		};
+
+		(collection.features || []).forEach( function(feature, featureIndex) {
+			var properties = feature.properties || {};
+
+			var placemark = {
+				name: featureName( feature, featureIndex, nameProperty ),
+				ExtendedData: {
+					Data: Object.keys(properties).map( function(key) {
+						return { "@name": key, value: textValue(properties[key]) };
+					})
+				}
+			};
+			if ( !placemark.ExtendedData.Data.length ) delete placemark.ExtendedData;
+
+			var geometry = feature.geometry ? self.createKmlGeometry( feature.geometry ) : null;
+			if (geometry) {
+				Object.keys(geometry).forEach( function(key) {
+					placemark[key] = geometry[key];
+				});
+			} else {
+				self.logger.debug( "Export: geoJsonToKml(): Feature " + featureIndex + " has no supported geometry" );
+			}
+
+			if (!kmlDocument.Placemark) kmlDocument.Placemark = [];
+			kmlDocument.Placemark.push( placemark );
+		});
+
+		return builder.create( {kml: {
+			"@xmlns": "http://www.opengis.net/kml/2.2",
+			Document: kmlDocument
+		}} ).end();
+	},
+
+	/**
+	 * Create a KML geometry object.
+	 * @param {object} geometry GeoJSON geometry
+	 * @return {?object} Object containing the KML geometry element for XML conversion by xmlbuilder, or null if the geometry type is not supported
+	 */
+	createKmlGeometry: function( geometry ) {
+		var self = this;
+
+		// KML coordinates are whitespace-delimited "lon,lat" tuples, the same order as GeoJSON
+		var kmlCoordinates = function(positions) {
+			return positions.map( function(position) { return position.join(','); } ).join(' ');
+		};
+		var kmlPolygon = function(rings) {
+			var polygon = {
+				outerBoundaryIs: { LinearRing: { coordinates: kmlCoordinates(rings[0]) } }
+			};
+			if ( rings.length > 1 ) {
+				polygon.innerBoundaryIs = rings.slice(1).map( function(ring) {
+					return { LinearRing: { coordinates: kmlCoordinates(ring) } };
+				});
+			}
+			return polygon;
+		};
+
+		switch (geometry.type) {
+			case 'Point':
+				return { Point: { coordinates: geometry.coordinates.join(',') } };
+			case 'LineString':
+				return { LineString: { coordinates: kmlCoordinates(geometry.coordinates) } };
+			case 'Polygon':
+				return { Polygon: kmlPolygon(geometry.coordinates) };
+			case 'MultiPoint':
+				return { MultiGeometry: { Point: geometry.coordinates.map( function(position) { return { coordinates: position.join(',') }; } ) } };
+			case 'MultiLineString':
+				return { MultiGeometry: { LineString: geometry.coordinates.map( function(positions) { return { coordinates: kmlCoordinates(positions) }; } ) } };
+			case 'MultiPolygon':
+				return { MultiGeometry: { Polygon: geometry.coordinates.map( kmlPolygon ) } };
+			default:
+				self.logger.error( "Export: createKmlGeometry(): Geometry type '" + geometry.type + "' not supported" );
+				return null;
+		}
+	},
+
+	/**
+	 * Transform a GeoJSON FeatureCollection to a GPX document, with one waypoint per Point (or point of a MultiPoint).
+	 * GPX only describes points, routes and tracks, so features with other geometry types are left out.
+	 * Feature properties are written to each waypoint's description.
+	 * See {@link http://www.topografix.com/GPX/1/1/|GPX 1.1 schema}
+	 * @param {object} collection GeoJSON FeatureCollection
+	 * @param {string} title Name of the GPX document
+	 * @param {string=} nameProperty Feature property to use as each waypoint's name
+	 * @return {string} GPX XML document
+	 */
+	geoJsonToGpx: function( collection, title, nameProperty ) {
+		var self = this;
+
+		var gpx = {
+			"@xmlns": "http://www.topografix.com/GPX/1/1",
+			"@version": "1.1",
+			"@creator": "vineyard-server",
+			metadata: {
+				name: title
+			}
+		};
+
+		(collection.features || []).forEach( function(feature, featureIndex) {
+			var positions;
+			if ( feature.geometry && feature.geometry.type === 'Point' ) {
+				positions = [ feature.geometry.coordinates ];
+			} else if ( feature.geometry && feature.geometry.type === 'MultiPoint' ) {
+				positions = feature.geometry.coordinates;
+			} else {
+				self.logger.debug( "Export: geoJsonToGpx(): Feature " + featureIndex + " is not a point and is left out" );
+				return;
+			}
+
+			var properties = feature.properties || {};
+			var description = Object.keys(properties).map( function(key) {
+				return key + ": " + textValue(properties[key]);
+			}).join(', ');
+
+			positions.forEach( function(position) {
+				if (!gpx.wpt) gpx.wpt = [];
+				gpx.wpt.push({
+					"@lat": position[1],
+					"@lon": position[0],
+					name: featureName( feature, featureIndex, nameProperty ),
+					desc: description
+				});
+			});
+		});
+
+		return builder.create( {gpx: gpx} ).end();
+	}
+
+};
+
+/**
+ * Get the display name for a feature, from the name property if it has a value, otherwise from its position in the collection.
+ * @param {object} feature GeoJSON feature
+ * @param {number} featureIndex Index of the feature in its collection
+ * @param {string=} nameProperty Feature property holding the name
+ * @return {string} Feature name
+ */
+function featureName( feature, featureIndex, nameProperty ) {
+	var properties = feature.properties || {};
+	if ( nameProperty && properties[nameProperty] !== undefined && properties[nameProperty] !== null ) {
+		return String( properties[nameProperty] );
+	}
+	return String( featureIndex + 1 );
+}
+
+/**
+ * Convert a property value to text; null and undefined become empty, dates become ISO8601 strings, and objects and arrays become JSON.
+ * @param {*} value Property value
+ * @return {string} Text value
+ */
+function textValue( value ) {
+	if ( value === null || value === undefined ) return "";
+	if ( value instanceof Date ) return value.toISOString();
+	if ( typeof value === 'object' ) return JSON.stringify( value );
+	return String( value );
+}
+
+/**
+ * Convert a value to a CSV field, quoting it if it contains a delimiter, quote or line break.
+ * @param {*} value Field value
+ * @return {string} CSV field
+ */
+function csvField( value ) {
+	var text = textValue( value );
+	if ( /[",\r\n]/.test(text) ) {
+		text = '"' + text.replace(/"/g, '""') + '"';
+	}
+	return text;
+}
+
+// Export our object constructor method from the module
+module.exports = Export;
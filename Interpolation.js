@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * Interpolation of soil pit values onto a regular grid, producing surfaces of a soil property across a block or
+ * bounding box, for display as a choropleth.
+ * Distances are calculated on a local flat approximation of the earth, which is accurate over the size of a vineyard.
+ * @constructor
+ * @param {config} config The server configuration object loaded from the configuration file
+ * @param {object} logger Configured Winston logger instance
+ */
+var Interpolation = function(
+	config,
+	logger
+	){
+
+	this.config = config;
+	this.logger = logger;
+};
+
+/**
+ * @typedef {object} SurfacePoint
+ * @property {number[]} coordinates WGS84 location of the point, as [lon, lat]
+ * @property {(number|string)} value Value of the soil property at the point
+ */
+
+/**
+ * @typedef {object} SurfaceArea
+ * @property {number[]=} bbox WGS84 bounding box to cover, as [minLon, minLat, maxLon, maxLat]
+ * @property {object=} geometry GeoJSON Polygon or MultiPolygon to cover; cells whose centre is outside it are left out
+ */
+
+Interpolation.prototype = {
+
+	/**
+	 * Server configuration
+	 * @type {object}
+	 */
+	config: null,
+
+	/**
+	 * Configured Winston logger instance
+	 * @type {object}
+	 */
+	logger: null,
+
+	/**
+	 * Approximate length of one degree of latitude, in metres
+	 * @type {number}
+	 */
+	metresPerDegree: 111320,
+
+	/**
+	 * Interpolate point values onto a grid of square cells covering an area.
+	 * 'idw' (inverse distance weighting) gives each cell the mean of every point's value, weighted by the inverse of
+	 * the distance to the point raised to config.surface.idw_power, and is only valid for numeric values.
+	 * 'nearest' gives each cell the value of the closest point, and is valid for numeric and categorical values.
+	 * Each cell is a GeoJSON Polygon feature with a 'value' property. There are no cells if there are no points.
+	 * @param {SurfacePoint[]} points Points with the values to interpolate
+	 * @param {SurfaceArea} area Area to cover, either a bounding box or a geometry
+	 * @param {object} options Interpolation options
+	 * @param {string} options.method 'idw' or 'nearest'
+	 * @param {number} options.cell_size Width and height of each cell, in metres
+	 * @return {(object|Error)} GeoJSON FeatureCollection of cells, or an Error if the grid would have more than config.surface.max_cells cells
+	 */
+	interpolate: function( points, area, options ) {
+		var self = this;
+
+		var bbox = area.bbox || geometryBounds(area.geometry);
+		var cellHeight = options.cell_size / self.metresPerDegree;
+		var cellWidth = cellHeight / Math.cos( (bbox[1] + bbox[3]) / 2 * Math.PI / 180 );
+		var columns = Math.max( 1, Math.ceil( (bbox[2] - bbox[0]) / cellWidth ) );
+		var rows = Math.max( 1, Math.ceil( (bbox[3] - bbox[1]) / cellHeight ) );
+		if ( columns * rows > self.config.surface.max_cells ) {
+			return new Error( "The surface would have " + columns * rows + " cells, the maximum is " + self.config.surface.max_cells + "; use a larger cell size or a smaller area" );
+		}
+
+		var estimate = options.method === 'idw' ? self.inverseDistanceWeighted : self.nearestNeighbour;
+		var features = [];
+		if (points.length) {
+			for (var row=0; row<rows; row++) {
+				for (var column=0; column<columns; column++) {
+					var west = bbox[0] + column * cellWidth;
+					var south = bbox[1] + row * cellHeight;
+					var centre = [ west + cellWidth / 2, south + cellHeight / 2 ];
+					if ( area.geometry && !geometryContains(area.geometry, centre) ) continue;
+
+					features.push({
+						type: 'Feature',
+						geometry: {
+							type: 'Polygon',
+							coordinates: [[
+								[west, south],
+								[west + cellWidth, south],
+								[west + cellWidth, south + cellHeight],
+								[west, south + cellHeight],
+								[west, south]
+							]]
+						},
+						properties: {
+							value: estimate.call(self, points, centre)
+						}
+					});
+				}
+			}
+		}
+
+		self.logger.debug( "Interpolation: interpolate(): " + features.length + " cells from " + points.length + " points" );
+		return { type: 'FeatureCollection', features: features };
+	},
+
+	/**
+	 * Estimate the value at a location by inverse distance weighting of numeric point values.
+	 * A point at the location itself gives its value exactly.
+	 * @param {SurfacePoint[]} points Points with numeric values, of which there must be at least one
+	 * @param {number[]} location WGS84 location, as [lon, lat]
+	 * @return {number} Estimated value, rounded to one decimal place
+	 */
+	inverseDistanceWeighted: function( points, location ) {
+		var weightedSum = 0;
+		var totalWeight = 0;
+		for (var i=0; i<points.length; i++) {
+			var distance = this.distance( points[i].coordinates, location );
+			if (distance === 0) return points[i].value;
+			var weight = 1 / Math.pow( distance, this.config.surface.idw_power );
+			weightedSum += weight * points[i].value;
+			totalWeight += weight;
+		}
+		return Math.round( weightedSum / totalWeight * 10 ) / 10;
+	},
+
+	/**
+	 * Estimate the value at a location as the value of the closest point.
+	 * @param {SurfacePoint[]} points Points with numeric or categorical values, of which there must be at least one
+	 * @param {number[]} location WGS84 location, as [lon, lat]
+	 * @return {(number|string)} Value of the closest point
+	 */
+	nearestNeighbour: function( points, location ) {
+		var nearest = null;
+		var nearestDistance = Infinity;
+		for (var i=0; i<points.length; i++) {
+			var distance = this.distance( points[i].coordinates, location );
+			if (distance < nearestDistance) {
+				nearest = points[i];
+				nearestDistance = distance;
+			}
+		}
+		return nearest.value;
+	},
+
+	/**
+	 * Approximate distance between two nearby WGS84 locations.
+	 * @param {number[]} from WGS84 location, as [lon, lat]
+	 * @param {number[]} to WGS84 location, as [lon, lat]
+	 * @return {number} Distance in metres
+	 */
+	distance: function( from, to ) {
+		var x = (to[0] - from[0]) * Math.cos( (from[1] + to[1]) / 2 * Math.PI / 180 );
+		var y = to[1] - from[1];
+		return Math.sqrt( x * x + y * y ) * this.metresPerDegree;
+	}
+
+};
+
+/**
+ * Get the polygons of a Polygon or MultiPolygon geometry.
+ * @param {object} geometry GeoJSON Polygon or MultiPolygon
+ * @return {Array.<number[][][]>} Coordinates of each polygon
+ */
+function geometryPolygons( geometry ) {
+	return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+/**
+ * Get the bounding box of a Polygon or MultiPolygon geometry.
+ * @param {object} geometry GeoJSON Polygon or MultiPolygon
+ * @return {number[]} Bounding box, as [minLon, minLat, maxLon, maxLat]
+ */
+function geometryBounds( geometry ) {
+	var bbox = [Infinity, Infinity, -Infinity, -Infinity];
+	geometryPolygons(geometry).forEach( function(polygon) {
+		// Only the outer ring can extend the bounds
+		polygon[0].forEach( function(point) {
+			bbox[0] = Math.min( bbox[0], point[0] );
+			bbox[1] = Math.min( bbox[1], point[1] );
+			bbox[2] = Math.max( bbox[2], point[0] );
+			bbox[3] = Math.max( bbox[3], point[1] );
+		});
+	});
+	return bbox;
+}
+
+/**
+ * Check whether a location is inside a Polygon or MultiPolygon geometry: inside the outer ring of one of its
+ * polygons, and not inside any of that polygon's holes.
+ * @param {object} geometry GeoJSON Polygon or MultiPolygon
+ * @param {number[]} location WGS84 location, as [lon, lat]
+ * @return {boolean} True if the location is inside the geometry
+ */
+function geometryContains( geometry, location ) {
+	return geometryPolygons(geometry).some( function(polygon) {
+		if ( !ringContains(polygon[0], location) ) return false;
+		return !polygon.slice(1).some( function(hole) {
+			return ringContains(hole, location);
+		});
+	});
+}
+
+/**
+ * Check whether a location is inside a linear ring, by counting the ring's edges crossed by a ray from the location.
+ * @param {number[][]} ring Closed ring of [lon, lat] points
+ * @param {number[]} location WGS84 location, as [lon, lat]
+ * @return {boolean} True if the location is inside the ring
+ */
+function ringContains( ring, location ) {
+	var inside = false;
+	for (var i=0, j=ring.length-1; i<ring.length; j=i++) {
+		var crosses = (ring[i][1] > location[1]) !== (ring[j][1] > location[1]) &&
+			location[0] < (ring[j][0] - ring[i][0]) * (location[1] - ring[i][1]) / (ring[j][1] - ring[i][1]) + ring[i][0];
+		if (crosses) inside = !inside;
+	}
+	return inside;
+}
+
+// Export our object constructor method from the module
+module.exports = Interpolation;
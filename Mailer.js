@@ -0,0 +1,126 @@
+'use strict';
+
+// Node dependencies
+var path = require('path');
+
+/**
+ * Mailer, sends email messages such as password reset links through a pluggable transport.
+ * The transport is chosen by config.mail.transport; 'log' writes messages to the log instead of sending them,
+ * and any other value is the path (relative to the application directory) of a module exporting a transport constructor.
+ * A transport constructor is called with (config.mail.options, logger) and must create an object with a
+ * send(message, callback) method.
+ * @constructor
+ * @param {config} config The server configuration object loaded from the configuration file
+ * @param {object} logger Configured Winston logger instance
+ */
+var Mailer = function(
+	config,
+	logger
+	){
+
+	this.config = config;
+	this.logger = logger;
+	this.transport = this.createTransport();
+};
+
+/**
+ * @typedef {object} MailMessage
+ * @property {string} from Sender address, defaults to config.mail.from
+ * @property {string} to Recipient address
+ * @property {string} subject Subject line
+ * @property {string} text Plain text body
+ */
+
+/**
+ * Mail callback
+ * @callback MailCallback
+ * @param {Error} err An error instance describing the error that occurred, or null if the message was sent
+ */
+
+Mailer.prototype = {
+
+	/**
+	 * Server configuration
+	 * @type {object}
+	 */
+	config: null,
+
+	/**
+	 * Configured Winston logger instance
+	 * @type {object}
+	 */
+	logger: null,
+
+	/**
+	 * Transport which delivers messages
+	 * @type {object}
+	 */
+	transport: null,
+
+	/**
+	 * Create the transport configured in config.mail.transport.
+	 * @return {object} Transport instance with a send(message, callback) method
+	 */
+	createTransport: function() {
+		var self = this;
+
+		if ( self.config.mail.transport === 'log' ) {
+			return new LogTransport( self.logger );
+		}
+
+		var Transport = require( path.resolve(__dirname, self.config.mail.transport) );
+		self.logger.info( "Mailer: Using mail transport " + self.config.mail.transport );
+		return new Transport( self.config.mail.options, self.logger );
+	},
+
+	/**
+	 * Send an email message.
+	 * @param {MailMessage} message Message to send
+	 * @param {MailCallback} callback Callback for handling errors
+	 */
+	sendMail: function( message, callback ) {
+		var self = this;
+
+		var err;
+		if ( !message.to ) err = new Error( "Message 'to' address must be supplied" );
+		if ( !message.subject ) err = new Error( "Message 'subject' must be supplied" );
+		if ( !message.text ) err = new Error( "Message 'text' must be supplied" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		var mail = {
+			from: message.from || self.config.mail.from,
+			to: message.to,
+			subject: message.subject,
+			text: message.text
+		};
+
+		self.logger.debug( "Mailer: sendMail(): Sending '" + mail.subject + "' to " + mail.to );
+		self.transport.send( mail, callback );
+	}
+
+};
+
+/**
+ * Mail transport which writes messages to the log, for development and testing without a mail server.
+ * @constructor
+ * @param {object} logger Configured Winston logger instance
+ */
+function LogTransport( logger ) {
+	this.logger = logger;
+}
+
+/**
+ * Write a message to the log.
+ * @param {MailMessage} message Message to write
+ * @param {MailCallback} callback Callback, called once the message is written
+ */
+LogTransport.prototype.send = function( message, callback ) {
+	this.logger.info( "Mail from " + message.from + " to " + message.to + ", subject '" + message.subject + "':\n" + message.text );
+	callback(null);
+};
+
+// Export our object constructor method from the module
+module.exports = Mailer;
@@ -0,0 +1,109 @@
+'use strict';
+
+// memory-cache module, stores the entries in this process
+var memoryCache = require('memory-cache');
+
+/**
+ * A MemoryCache caches responses in the memory of this server process.
+ * It is the default cache backend, and is only suitable when a single server instance is running, as each instance
+ * has its own cache and invalidations do not reach the others. See PostgresCache for a cache shared between instances.
+ *
+ * Cache keys are of the form 'scope|url', where url is the URL of the cached response and scope is anything else the
+ * response depends on. Entries are invalidated by the path of their URL.
+ * @constructor
+ * @param {config} config The server configuration object loaded from the configuration file
+ * @param {object} logger Configured Winston logger instance
+ */
+var MemoryCache = function(
+	config,
+	logger
+	){
+
+	this.config = config;
+	this.logger = logger;
+	this.cache = new memoryCache.Cache();
+};
+
+/**
+ * Cache get callback
+ * @callback CacheGetCallback
+ * @param {Error} err An error instance describing the error that occurred, or null if no error
+ * @param {?object} value The cached value, or null if there is no entry for the key or it has expired
+ */
+
+MemoryCache.prototype = {
+
+	/**
+	 * Server configuration
+	 * @type {object}
+	 */
+	config: null,
+
+	/**
+	 * Configured Winston logger instance
+	 * @type {object}
+	 */
+	logger: null,
+
+	/**
+	 * memory-cache instance holding the entries
+	 * @type {object}
+	 */
+	cache: null,
+
+	/**
+	 * Start the cache. There is nothing to start for the memory cache.
+	 */
+	start: function(){
+	},
+
+	/**
+	 * Get a cached value.
+	 * @param {string} key Key of the entry
+	 * @param {CacheGetCallback} callback Callback for handling error or the cached value
+	 */
+	get: function(key, callback){
+		callback( null, this.cache.get(key) );
+	},
+
+	/**
+	 * Store a value in the cache, replacing any existing entry for the key.
+	 * @param {string} key Key of the entry
+	 * @param {object} value Value to store
+	 * @param {number} ttl How long the entry lives, in milliseconds
+	 * @param {function=} callback Optional callback, called with arguments (err) once the value is stored
+	 */
+	put: function(key, value, ttl, callback){
+		this.cache.put(key, value, ttl);
+		if (callback) callback(null);
+	},
+
+	/**
+	 * Remove the entries for a route, for every query string and scope.
+	 * Entries are removed if their URL is the route path, or the route path followed by a query string or sub-path.
+	 * @param {string} routePath Path of the route, e.g. '/data/api/soil'
+	 * @param {function=} callback Optional callback, called with arguments (err) once the entries are removed
+	 */
+	invalidate: function(routePath, callback){
+		var self = this;
+
+		self.cache.keys().forEach( function(key) {
+			var url = key.slice( key.indexOf('|') + 1 );
+			if ( url === routePath || url.indexOf(routePath + '?') === 0 || url.indexOf(routePath + '/') === 0 ) {
+				self.cache.del(key);
+			}
+		});
+		if (callback) callback(null);
+	},
+
+	/**
+	 * Remove every entry.
+	 */
+	clear: function(){
+		this.cache.clear();
+	}
+
+};
+
+// Export our object constructor method from the module
+module.exports = MemoryCache;
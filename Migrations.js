@@ -0,0 +1,385 @@
+'use strict';
+
+// Node dependencies
+var path = require('path');
+// Node.js fs filesystem module, used to read the migration files
+var fs = require('fs');
+
+// Validation module, parameter validation functions
+var Validation = require('./Validation.js');
+
+/**
+ * Versioned migrations of the database schema.
+ * Each migration is a pair of SQL files in the migrations directory, named VERSION-NAME.up.sql and
+ * VERSION-NAME.down.sql, e.g. '013-blocks.up.sql'. Migrations are applied in order of their numeric version, and the
+ * schema_migrations table records which have been applied.
+ * Each migration runs in its own transaction along with its schema_migrations row, so a migration which fails is
+ * rolled back completely. If two processes apply the same migration at once, the second waits for the first and then
+ * fails on the duplicate schema_migrations row, without applying anything.
+ * @constructor
+ * @param {config} config The server configuration object loaded from the configuration file
+ * @param {object} logger Configured Winston logger instance
+ * @param {Database} database Configured instance of the Database object for this server
+ */
+var Migrations = function(
+	config,
+	logger,
+	database
+	){
+
+	this.config = config;
+	this.logger = logger;
+	this.database = database;
+};
+
+/**
+ * @typedef {object} Migration
+ * @property {number} version Version of the migration, the number at the start of its file names
+ * @property {string} name Name of the migration, from its file names
+ * @property {?string} up Path of the file which applies the migration, or null if the migration was applied from a file which no longer exists
+ * @property {?string} down Path of the file which reverts the migration, or null if the file does not exist
+ * @property {?Date} applied_at When the migration was applied, or null if it is pending
+ */
+
+/**
+ * Migrations callback
+ * @callback MigrationsCallback
+ * @param {Error} err An error instance describing the error that occurred, or null if no error
+ * @param {Migration[]} migrations The migrations, in order of version
+ */
+
+Migrations.prototype = {
+
+	/**
+	 * Server configuration
+	 * @type {object}
+	 */
+	config: null,
+
+	/**
+	 * Configured Winston logger instance
+	 * @type {object}
+	 */
+	logger: null,
+
+	/**
+	 * Configured 'Database' module for DB interaction
+	 * @type {Database}
+	 */
+	database: null,
+
+	/**
+	 * Directory containing the migration files
+	 * @type {string}
+	 */
+	directory: path.join(__dirname, 'migrations'),
+
+	/**
+	 * Read the migrations from the migration files, without their applied_at times.
+	 * Other files in the directory are ignored. Migrations without an up file, and versions used by more than one
+	 * migration, are errors.
+	 * @param {MigrationsCallback} callback Callback for handling error or the migrations
+	 */
+	readMigrations: function(callback){
+		var self = this;
+
+		fs.readdir(self.directory, function(err, files){
+			if (err) {
+				self.logger.error( "Migrations: readMigrations(): Could not read " + self.directory + ", " + err.message );
+				callback( new Error('Could not read the migrations directory') );
+				return;
+			}
+
+			var byVersion = {};
+			var error = null;
+			files.forEach( function(file) {
+				var match = /^(\d+)-([a-z0-9-]+)\.(up|down)\.sql$/.exec(file);
+				if (!match) return;
+				var version = Number(match[1]);
+				var migration = byVersion[version];
+				if (!migration) {
+					migration = byVersion[version] = { version: version, name: match[2], up: null, down: null, applied_at: null };
+				} else if (migration.name !== match[2]) {
+					error = error || new Error( "Migration version " + version + " is used by both '" + migration.name + "' and '" + match[2] + "'" );
+				}
+				migration[match[3]] = path.join(self.directory, file);
+			});
+
+			var migrations = Object.keys(byVersion).map( function(version) {
+				return byVersion[version];
+			}).sort( function(a, b) {
+				return a.version - b.version;
+			});
+			migrations.forEach( function(migration) {
+				if (!migration.up) error = error || new Error( "Migration " + migration.version + "-" + migration.name + " has no up file" );
+			});
+
+			callback(error, error ? undefined : migrations);
+		});
+	},
+
+	/**
+	 * Get every migration, from the migration files and the schema_migrations table, with when each was applied.
+	 * If the schema_migrations table does not exist yet, every migration is pending.
+	 * @param {MigrationsCallback} callback Callback for handling error or the migrations
+	 */
+	status: function(callback){
+		var self = this;
+
+		self.readMigrations( function(err, migrations){
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			// Reading the status does not create the schema_migrations table, so it can be checked by a read-only user
+			var queryObject = {
+				text: "SELECT to_regclass('public.schema_migrations') IS NOT NULL AS tracked;",
+				values: []
+			};
+			self.database.dataQuery(queryObject, function(err, data){
+				if (err) {
+					callback(err);
+					return;
+				}
+				if (!data[0].tracked) {
+					callback(null, migrations);
+					return;
+				}
+
+				var appliedQuery = {
+					text: "SELECT version, name, applied_at FROM schema_migrations ORDER BY version;",
+					values: []
+				};
+				self.database.dataQuery(appliedQuery, function(err, rows){
+					if (err) {
+						callback(err);
+						return;
+					}
+
+					rows.forEach( function(row) {
+						var migration = null;
+						migrations.forEach( function(candidate) {
+							if (candidate.version === row.version) migration = candidate;
+						});
+						if (!migration) {
+							migration = { version: row.version, name: row.name, up: null, down: null, applied_at: null };
+							migrations.push(migration);
+						}
+						migration.applied_at = row.applied_at;
+					});
+					migrations.sort( function(a, b) {
+						return a.version - b.version;
+					});
+
+					callback(null, migrations);
+				});
+			});
+		});
+	},
+
+	/**
+	 * Get the migrations which have not been applied.
+	 * @param {MigrationsCallback} callback Callback for handling error or the pending migrations
+	 */
+	pending: function(callback){
+		this.status( function(err, migrations){
+			if (err) {
+				callback(err);
+				return;
+			}
+			callback(null, migrations.filter( function(migration) {
+				return migration.applied_at === null;
+			}));
+		});
+	},
+
+	/**
+	 * Apply every pending migration in order, stopping at the first which fails.
+	 * @param {MigrationsCallback} callback Callback for handling error or the migrations applied, which are the
+	 * migrations applied before the failure if there is an error
+	 */
+	up: function(callback){
+		var self = this;
+
+		self.createTable( function(err){
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			self.pending( function(err, pending){
+				if (err) {
+					callback(err);
+					return;
+				}
+
+				var applied = [];
+				var applyNext = function() {
+					if (applied.length === pending.length) {
+						callback(null, applied);
+						return;
+					}
+
+					var migration = pending[applied.length];
+					self.runFile(migration, migration.up, {
+						text: "INSERT INTO schema_migrations (version, name) VALUES ($1, $2);",
+						values: [migration.version, migration.name]
+					}, function(err){
+						if (err) {
+							callback(err, applied);
+							return;
+						}
+						self.logger.info( "Migrations: Applied " + migration.version + "-" + migration.name );
+						applied.push(migration);
+						applyNext();
+					});
+				};
+				applyNext();
+			});
+		});
+	},
+
+	/**
+	 * Revert the most recently applied migration, the one with the highest version.
+	 * @param {MigrationsCallback} callback Callback for handling error or the migration reverted, as an array which
+	 * is empty if no migrations have been applied
+	 */
+	down: function(callback){
+		var self = this;
+
+		self.status( function(err, migrations){
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			var applied = migrations.filter( function(migration) {
+				return migration.applied_at !== null;
+			});
+			if (!applied.length) {
+				callback(null, []);
+				return;
+			}
+
+			var migration = applied[applied.length - 1];
+			if (!migration.down) {
+				callback( new Error( "Migration " + migration.version + "-" + migration.name + " has no down file" ) );
+				return;
+			}
+
+			self.runFile(migration, migration.down, {
+				text: "DELETE FROM schema_migrations WHERE version = $1;",
+				values: [migration.version]
+			}, function(err){
+				if (err) {
+					callback(err);
+					return;
+				}
+				self.logger.info( "Migrations: Reverted " + migration.version + "-" + migration.name );
+				callback(null, [migration]);
+			});
+		});
+	},
+
+	/**
+	 * Record every migration up to and including a version as applied, without running them.
+	 * This is for databases whose schema was set up by running the SQL files by hand, before migrations were tracked.
+	 * @param {number} version Version of the last migration already in the database (must be an integer)
+	 * @param {MigrationsCallback} callback Callback for handling error or the migrations recorded
+	 */
+	baseline: function(version, callback){
+		var self = this;
+
+		if ( !Validation.validateIntegerParameter(version) || version < 1 ) {
+			callback( new Error( "'version' must be a positive integer" ) );
+			return;
+		}
+
+		self.createTable( function(err){
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			self.pending( function(err, pending){
+				if (err) {
+					callback(err);
+					return;
+				}
+
+				var recorded = pending.filter( function(migration) {
+					return migration.version <= version;
+				});
+				if (!recorded.length) {
+					callback(null, []);
+					return;
+				}
+
+				var queryObject = {
+					text: "INSERT INTO schema_migrations (version, name) " +
+						"SELECT * FROM unnest($1::integer[], $2::varchar[]);",
+					values: [
+						recorded.map( function(migration) { return migration.version; } ),
+						recorded.map( function(migration) { return migration.name; } )
+					]
+				};
+				self.database.dataQuery(queryObject, function(err){
+					callback(err, err ? undefined : recorded);
+				});
+			});
+		});
+	},
+
+	/**
+	 * Create the schema_migrations table if it does not exist.
+	 * @param {function} callback Callback, called with an Error if the table could not be created
+	 */
+	createTable: function(callback){
+		var queryObject = {
+			text: "CREATE TABLE IF NOT EXISTS schema_migrations (" +
+				"version integer NOT NULL, " +
+				"name character varying NOT NULL, " +
+				"applied_at timestamp with time zone NOT NULL DEFAULT now(), " +
+				"CONSTRAINT schema_migrations_pkey PRIMARY KEY (version)" +
+				");",
+			values: []
+		};
+		this.database.dataQuery(queryObject, function(err){
+			callback(err);
+		});
+	},
+
+	/**
+	 * Run a migration file in a transaction, after a query which records the change in schema_migrations.
+	 * The file is run without parameters, so it can hold several statements.
+	 * @param {Migration} migration The migration the file belongs to
+	 * @param {string} file Path of the file to run
+	 * @param {object} recordQuery Query object for the parameterized query changing the schema_migrations table
+	 * @param {function} callback Callback, called with an Error if the file could not be read or run
+	 */
+	runFile: function(migration, file, recordQuery, callback){
+		var self = this;
+
+		fs.readFile(file, 'utf8', function(err, sql){
+			if (err) {
+				self.logger.error( "Migrations: runFile(): Could not read " + file + ", " + err.message );
+				callback( new Error( "Could not read migration " + migration.version + "-" + migration.name ) );
+				return;
+			}
+
+			// Recording the change first makes a concurrent run of the same migration wait, and then fail, before running the file
+			self.database.transactionQuery([recordQuery, { text: sql }], function(err){
+				if (err) {
+					callback( new Error( "Migration " + migration.version + "-" + migration.name + " failed: " + err.message ) );
+					return;
+				}
+				callback(null);
+			});
+		});
+	}
+
+};
+
+// Export our object constructor method from the module
+module.exports = Migrations;
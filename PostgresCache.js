@@ -0,0 +1,187 @@
+'use strict';
+
+// MemoryCache module, holds the entries this instance has already read
+var MemoryCache = require('./MemoryCache.js');
+
+/**
+ * A PostgresCache caches responses in the response_cache table, so they are shared between all of the server instances
+ * using the database. It has the same interface as MemoryCache.
+ *
+ * Each instance also keeps the entries it has read in memory, to save a query on every cache hit.
+ * Invalidations are sent to every instance with postgres NOTIFY, so they can drop their copies of the entries.
+ * @constructor
+ * @param {config} config The server configuration object loaded from the configuration file
+ * @param {object} logger Configured Winston logger instance
+ * @param {Database} database Configured instance of the Database object for this server
+ */
+var PostgresCache = function(
+	config,
+	logger,
+	database
+	){
+
+	this.config = config;
+	this.logger = logger;
+	this.database = database;
+	this.local = new MemoryCache(config, logger);
+};
+
+PostgresCache.prototype = {
+
+	/**
+	 * Server configuration
+	 * @type {object}
+	 */
+	config: null,
+
+	/**
+	 * Configured Winston logger instance
+	 * @type {object}
+	 */
+	logger: null,
+
+	/**
+	 * Configured 'Database' module for DB interaction
+	 * @type {Database}
+	 */
+	database: null,
+
+	/**
+	 * Entries this instance has read or written, which are dropped when they are invalidated on any instance
+	 * @type {MemoryCache}
+	 */
+	local: null,
+
+	/**
+	 * Postgres channel on which invalidated route paths are sent
+	 * @type {string}
+	 */
+	channel: 'response_cache',
+
+	/**
+	 * Start listening for invalidations from the other instances.
+	 * The entries held in memory are dropped each time listening starts, as invalidations may have been missed while
+	 * this instance was not listening.
+	 */
+	start: function(){
+		var self = this;
+
+		self.database.listen(
+			self.channel,
+			function(routePath) {
+				self.local.invalidate(routePath);
+			},
+			function() {
+				self.local.clear();
+			}
+		);
+	},
+
+	/**
+	 * Get a cached value, from memory if this instance has it, otherwise from the database.
+	 * @param {string} key Key of the entry
+	 * @param {CacheGetCallback} callback Callback for handling error or the cached value
+	 */
+	get: function(key, callback){
+		var self = this;
+
+		self.local.get(key, function(err, value){
+			if (value) {
+				callback(null, value);
+				return;
+			}
+
+			// SQL
+			var queryObject = {
+				text: "SELECT value, EXTRACT(EPOCH FROM expires_at - now()) * 1000 AS ttl " +
+					"FROM response_cache " +
+					"WHERE key = $1 AND expires_at > now();",
+				values: [ key ]
+			};
+
+			// Call data query
+			self.database.dataQuery(queryObject, function(err, data){
+				if (err) {
+					callback(err);
+				} else if (!data.length) {
+					callback(null, null);
+				} else {
+					// Keep the entry in memory for the rest of its lifetime
+					self.local.put( key, data[0].value, Number(data[0].ttl) );
+					callback(null, data[0].value);
+				}
+			});
+		});
+	},
+
+	/**
+	 * Store a value in the cache, replacing any existing entry for the key.
+	 * Expired entries are removed from the table at the same time.
+	 * @param {string} key Key of the entry
+	 * @param {object} value Value to store, which must be serializable as JSON
+	 * @param {number} ttl How long the entry lives, in milliseconds
+	 * @param {function=} callback Optional callback, called with arguments (err) once the value is stored
+	 */
+	put: function(key, value, ttl, callback){
+		var self = this;
+
+		self.local.put(key, value, ttl);
+
+		// SQL
+		var queryObject = {
+			text: "WITH expired AS (DELETE FROM response_cache WHERE expires_at <= now()) " +
+				"INSERT INTO response_cache (key, url, value, expires_at) " +
+				"VALUES ($1, $2, $3::jsonb, now() + $4 * interval '1 millisecond') " +
+				"ON CONFLICT (key) DO UPDATE SET url = EXCLUDED.url, value = EXCLUDED.value, expires_at = EXCLUDED.expires_at;",
+			values: [
+				key,
+				key.slice( key.indexOf('|') + 1 ),
+				JSON.stringify(value),
+				ttl
+			]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, function(err){
+			if (err) self.logger.error( "PostgresCache: put(): Could not store " + key + ": " + err.message );
+			if (callback) callback(err);
+		});
+	},
+
+	/**
+	 * Remove the entries for a route, for every query string and scope, from the table and from the memory of every
+	 * instance.
+	 * Entries are removed if their URL is the route path, or the route path followed by a query string or sub-path.
+	 * @param {string} routePath Path of the route, e.g. '/data/api/soil'
+	 * @param {function=} callback Optional callback, called with arguments (err) once the entries are removed
+	 */
+	invalidate: function(routePath, callback){
+		var self = this;
+
+		self.local.invalidate(routePath);
+
+		// SQL
+		// The notification is only sent when the transaction commits, after the entries are removed
+		var queryObjects = [
+			{
+				text: "DELETE FROM response_cache " +
+					"WHERE url = $1 OR left(url, char_length($1) + 1) IN ($1 || '?', $1 || '/');",
+				values: [ routePath ]
+			},
+			{
+				text: "SELECT pg_notify($1, $2);",
+				values: [ self.channel, routePath ]
+			}
+		];
+
+		// Call transaction query
+		self.database.transactionQuery(queryObjects, function(err){
+			if (err) self.logger.error( "PostgresCache: invalidate(): Could not invalidate " + routePath + ": " + err.message );
+			if (callback) callback(err);
+		});
+	}
+
+};
+
+// Export our object constructor method from the module
+module.exports = PostgresCache;
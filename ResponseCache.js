@@ -0,0 +1,155 @@
+'use strict';
+
+// Node.js crypto module, used to hash the responses for their ETag headers
+var crypto = require('crypto');
+
+/**
+ * A ResponseCache stores the responses of the data routes in a cache backend, serves them from it, and removes them
+ * when their data changes.
+ * Cached responses are given 'ETag' and 'Last-Modified' headers, so a client which already has a response is sent
+ * '304 Not Modified' instead of the response again.
+ * @constructor
+ * @param {config} config The server configuration object loaded from the configuration file
+ * @param {object} logger Configured Winston logger instance
+ * @param {(MemoryCache|PostgresCache)} cache Started cache backend holding the responses
+ */
+var ResponseCache = function(
+	config,
+	logger,
+	cache
+	){
+
+	this.config = config;
+	this.logger = logger;
+	this.cache = cache;
+};
+
+ResponseCache.prototype = {
+
+	/**
+	 * Server configuration
+	 * @type {object}
+	 */
+	config: null,
+
+	/**
+	 * Configured Winston logger instance
+	 * @type {object}
+	 */
+	logger: null,
+
+	/**
+	 * Cache backend holding the responses
+	 * @type {(MemoryCache|PostgresCache)}
+	 */
+	cache: null,
+
+	/**
+	 * Cache key for a response. The key includes the URL, so responses with different query strings or formats are
+	 * cached separately, and the user's sites, so users of different sites never share a cached response.
+	 * @param {object} req Express 'req' request object
+	 * @returns {string} Cache key
+	 */
+	key: function(req){
+		return (req.sites ? req.sites.join(',') : '*') + '|' + req.originalUrl;
+	},
+
+	/**
+	 * Store the response to a request in the cache with timeout.
+	 * Successful responses are given 'ETag' and 'Last-Modified' headers, so clients can make conditional requests for
+	 * them.
+	 * @see {@link config} property cache_timeout
+	 * @param {object} req Express 'req' request object
+	 * @param {HttpResponse} data Response to store in the cache
+	 */
+	put: function(req, data){
+		if (data.code === 200) {
+			var headers = {};
+			Object.keys(data.headers).forEach( function(name) {
+				headers[name] = data.headers[name];
+			});
+			headers.ETag = '"' + crypto.createHash('sha1').update(data.body).digest('hex') + '"';
+			headers['Last-Modified'] = new Date().toUTCString();
+			data.headers = headers;
+		}
+		this.cache.put(this.key(req), data, this.config.cache_timeout);
+	},
+
+	/**
+	 * Create express middleware which writes the cached response for the request, if there is one, instead of
+	 * querying the database.
+	 * On routes scoped to the user's sites it must be used after loadSites.
+	 * @returns {function} Express middleware function
+	 */
+	middleware: function(){
+		var self = this;
+
+		return function(req, res, next) {
+			self.cache.get( self.key(req), function(err, responseData) {
+				// A cache which cannot be read is treated as empty, so the response comes from the database instead
+				if (err) self.logger.error( "Could not read " + req.originalUrl + " from cache: " + err.message );
+				if (responseData) {
+					self.logger.debug( "Serving " + req.originalUrl + " from cache" );
+					self.write(req, res, responseData);
+				} else {
+					next();
+				}
+			});
+		};
+	},
+
+	/**
+	 * Write a response, or '304 Not Modified' if the client already has it.
+	 * The client has the response if its 'If-None-Match' or 'If-Modified-Since' header matches the response's 'ETag'
+	 * or 'Last-Modified' header, as added by put.
+	 * @param {object} req Express 'req' request object
+	 * @param {object} res Express 'res' response object
+	 * @param {HttpResponse} responseData The response
+	 */
+	write: function(req, res, responseData){
+		if (responseData.code === 200 && responseData.headers.ETag) {
+			// Express checks the request's conditional headers against the validators set on the response
+			res.setHeader( 'ETag', responseData.headers.ETag );
+			res.setHeader( 'Last-Modified', responseData.headers['Last-Modified'] );
+			res.statusCode = 200;
+			if (req.fresh) {
+				res.writeHead( 304, {} );
+				res.end();
+				return;
+			}
+		}
+		res.writeHead( responseData.code, responseData.headers );
+		res.end( responseData.body );
+	},
+
+	/**
+	 * Remove the cached responses of a data route after its data has changed, for every query string, format and
+	 * site, on every server instance sharing the cache.
+	 * @param {string} routePath Path of the route, e.g. '/data/api/soil'
+	 */
+	invalidate: function(routePath){
+		this.cache.invalidate(routePath);
+	},
+
+	/**
+	 * Remove the cached responses which include soil pits, after a soil pit has changed.
+	 * Removing the soil route also removes its sub-routes, such as the soil surfaces.
+	 */
+	invalidateSoil: function(){
+		this.invalidate('/data/api/soil');
+		this.invalidate('/data/api/blocks/soil');
+	},
+
+	/**
+	 * Remove the cached responses which include blocks, after a block has changed.
+	 * Removing the blocks route also removes its sub-routes, such as the block soil summary.
+	 */
+	invalidateBlocks: function(){
+		this.invalidate('/data/api/blocks');
+		this.invalidate('/data/api/soil/surface');
+	}
+
+};
+
+// Export our object constructor method from the module
+module.exports = ResponseCache;
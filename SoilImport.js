@@ -0,0 +1,202 @@
+'use strict';
+
+/**
+ * Soil survey import parser, transforms uploaded CSV or GeoJSON soil survey data into
+ * GeoJSON soil pit features suitable for VineyardServer.importSoilPits.
+ * @constructor
+ * @param {object} logger Configured Winston logger instance
+ */
+var SoilImport = function(
+	logger
+	){
+
+	this.logger = logger;
+};
+
+/**
+ * @typedef {object} ImportRow
+ * @property {number} row Row number in the source data; the line number for CSV files (the header is line 1), or the 1-based feature index for GeoJSON
+ * @property {object} feature GeoJSON soil pit feature built from the row
+ */
+
+SoilImport.prototype = {
+
+	/**
+	 * Configured Winston logger instance
+	 * @type {object}
+	 */
+	logger: null,
+
+	/**
+	 * Column names accepted for the latitude of a soil pit, compared case-insensitively
+	 * @type {string[]}
+	 */
+	latitudeColumns: ['lat', 'latitude'],
+
+	/**
+	 * Column names accepted for the longitude of a soil pit, compared case-insensitively
+	 * @type {string[]}
+	 */
+	longitudeColumns: ['lon', 'lng', 'long', 'longitude'],
+
+	/**
+	 * Parse CSV text into an array of records, each of which is an array of field values.
+	 * Supports quoted fields containing delimiters, escaped quotes ("") and line breaks, as written by spreadsheet software.
+	 * @param {string} text CSV text
+	 * @return {Array.<string[]>} Array of records
+	 */
+	parseCsv: function( text ) {
+		var records = [];
+		var record = [];
+		var field = "";
+		var quoted = false;
+
+		// Strip the byte order mark which some spreadsheet software writes at the start of the file
+		if ( text.charCodeAt(0) === 0xFEFF ) text = text.slice(1);
+
+		for (var i=0; i<text.length; i++) {
+			var c = text[i];
+			if (quoted) {
+				if ( c === '"' && text[i+1] === '"' ) {
+					field += '"';
+					i++;
+				} else if ( c === '"' ) {
+					quoted = false;
+				} else {
+					field += c;
+				}
+			} else if ( c === '"' ) {
+				quoted = true;
+			} else if ( c === ',' ) {
+				record.push( field );
+				field = "";
+			} else if ( c === '\n' || c === '\r' ) {
+				if ( c === '\r' && text[i+1] === '\n' ) i++;
+				record.push( field );
+				records.push( record );
+				record = [];
+				field = "";
+			} else {
+				field += c;
+			}
+		}
+		// Add the last record if the file does not end with a line break
+		if ( field !== "" || record.length ) {
+			record.push( field );
+			records.push( record );
+		}
+
+		return records;
+	},
+
+	/**
+	 * Transform CSV soil survey data into soil pit features.
+	 * The first line must be a header naming the columns; latitude and longitude columns are required, and the
+	 * 'pit_location', 'depth', 'texture' and 'pedality' columns are read if present. Blank lines are skipped.
+	 * @param {string} text CSV text
+	 * @return {ImportRow[]} Features built from each data line
+	 * @throws {Error} If the header does not contain latitude and longitude columns
+	 */
+	csvToRows: function( text ) {
+		var self = this;
+
+		var records = self.parseCsv( text );
+		var header = ( records[0] || [] ).map( function(name) { return name.trim().toLowerCase(); } );
+
+		var latIndex = findColumn( header, self.latitudeColumns );
+		var lonIndex = findColumn( header, self.longitudeColumns );
+		if ( latIndex === -1 || lonIndex === -1 ) {
+			throw new Error( "CSV header must include latitude (" + self.latitudeColumns.join('/') + ") and longitude (" + self.longitudeColumns.join('/') + ") columns" );
+		}
+		var pitLocationIndex = header.indexOf( 'pit_location' );
+		var depthIndex = header.indexOf( 'depth' );
+		var textureIndex = header.indexOf( 'texture' );
+		var pedalityIndex = header.indexOf( 'pedality' );
+
+		var rows = [];
+		for (var recordIndex=1; recordIndex<records.length; recordIndex++) {
+			var record = records[recordIndex];
+			if ( record.length === 1 && record[0].trim() === "" ) continue;
+
+			rows.push({
+				row: recordIndex + 1,
+				feature: {
+					type: 'Feature',
+					geometry: {
+						type: 'Point',
+						coordinates: [ numberOrNull(record[lonIndex]), numberOrNull(record[latIndex]) ]
+					},
+					properties: {
+						pit_location: numberOrNull( record[pitLocationIndex] ),
+						depth: numberOrNull( record[depthIndex] ),
+						texture: stringOrNull( record[textureIndex] ),
+						pedality: stringOrNull( record[pedalityIndex] )
+					}
+				}
+			});
+		}
+
+		self.logger.debug( "SoilImport: csvToRows(): " + rows.length + " rows read" );
+		return rows;
+	},
+
+	/**
+	 * Transform a GeoJSON FeatureCollection of soil pits into import rows.
+	 * Features are not validated here; see VineyardServer.validateSoilFeature.
+	 * @param {object} collection GeoJSON FeatureCollection
+	 * @return {ImportRow[]} One row for each feature in the collection
+	 * @throws {Error} If the data is not a FeatureCollection
+	 */
+	geoJsonToRows: function( collection ) {
+		var self = this;
+
+		if ( !collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features) ) {
+			throw new Error( "GeoJSON must be a FeatureCollection" );
+		}
+
+		var rows = collection.features.map( function(feature, index) {
+			return { row: index + 1, feature: feature };
+		});
+
+		self.logger.debug( "SoilImport: geoJsonToRows(): " + rows.length + " features read" );
+		return rows;
+	}
+
+};
+
+/**
+ * Find the index of the first of the candidate column names present in the header.
+ * @param {string[]} header Lower case column names
+ * @param {string[]} candidates Column names to look for
+ * @return {number} Index of the column, or -1 if none of the candidates are present
+ */
+function findColumn( header, candidates ) {
+	for (var i=0; i<candidates.length; i++) {
+		var index = header.indexOf( candidates[i] );
+		if ( index !== -1 ) return index;
+	}
+	return -1;
+}
+
+/**
+ * Convert a CSV field to a number; an empty or missing field becomes null, and a non-numeric field becomes NaN so it fails validation.
+ * @param {string=} field CSV field value
+ * @return {?number} Numeric value of the field
+ */
+function numberOrNull( field ) {
+	if ( field === undefined || field.trim() === "" ) return null;
+	return Number( field );
+}
+
+/**
+ * Convert a CSV field to a trimmed string; an empty or missing field becomes null.
+ * @param {string=} field CSV field value
+ * @return {?string} String value of the field
+ */
+function stringOrNull( field ) {
+	if ( field === undefined || field.trim() === "" ) return null;
+	return field.trim();
+}
+
+// Export our object constructor method from the module
+module.exports = SoilImport;
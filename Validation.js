@@ -61,6 +61,77 @@ Validation.prototype = {
 		if (typeof param !== 'string') valid = false;
 		if (!emptyAllowed && param === "") valid = false;
 		return valid;
+	},
+
+	/**
+	 * Validate a parameter which should be a non-empty array, where every element passes the supplied validation function.
+	 * @param {Array} param Parameter to validate
+	 * @param {function} elementValidator Validation function applied to each element, e.g. validateStringParameter
+	 * @returns {boolean} True if the parameter passed validation
+	 */
+	validateArrayParameter: function(param, elementValidator) {
+		var valid = true;
+		if ( !Array.isArray(param) || param.length === 0 ) {
+			valid = false;
+		} else {
+			for (var i=0; i<param.length; i++) {
+				if ( !elementValidator.call(this, param[i]) ) valid = false;
+			}
+		}
+		return valid;
+	},
+
+	/**
+	 * Validate a parameter which should be a WGS84 point, as an array of [longitude, latitude].
+	 * @param {number[]} param Parameter to validate
+	 * @returns {boolean} True if the parameter passed validation
+	 */
+	validatePointParameter: function(param) {
+		var valid = true;
+		if ( !Array.isArray(param) || param.length !== 2 ) {
+			valid = false;
+		} else {
+			if ( !this.validateNumberParameter(param[0], -180, 180) ) valid = false;
+			if ( !this.validateNumberParameter(param[1], -90, 90) ) valid = false;
+		}
+		return valid;
+	},
+
+	/**
+	 * Validate a parameter which should be a WGS84 bounding box, as an array of [minLon, minLat, maxLon, maxLat].
+	 * @param {number[]} param Parameter to validate
+	 * @returns {boolean} True if the parameter passed validation
+	 */
+	validateBoundingBoxParameter: function(param) {
+		var valid = true;
+		if ( !Array.isArray(param) || param.length !== 4 ) {
+			valid = false;
+		} else {
+			if ( !this.validatePointParameter([param[0], param[1]]) ) valid = false;
+			if ( !this.validatePointParameter([param[2], param[3]]) ) valid = false;
+			if ( param[0] > param[2] || param[1] > param[3] ) valid = false;
+		}
+		return valid;
+	},
+
+	/**
+	 * Validate a parameter which should be the coordinates of a WGS84 GeoJSON Polygon: a non-empty array of linear rings,
+	 * each an array of at least four [longitude, latitude] points whose first and last points are the same.
+	 * @param {Array.<number[][]>} param Parameter to validate
+	 * @returns {boolean} True if the parameter passed validation
+	 */
+	validatePolygonParameter: function(param) {
+		var self = this;
+
+		var validRing = function(ring) {
+			if ( !Array.isArray(ring) || ring.length < 4 ) return false;
+			if ( !ring.every( function(point) { return self.validatePointParameter(point); } ) ) return false;
+			var first = ring[0];
+			var last = ring[ring.length - 1];
+			return first[0] === last[0] && first[1] === last[1];
+		};
+
+		return this.validateArrayParameter(param, validRing);
 	}
 
 };
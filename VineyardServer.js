@@ -1,5 +1,7 @@
 'use strict';
 
+// Node.js crypto module, used to hash API keys
+var crypto = require('crypto');
 // Validation module, parameter validation functions
 var Validation = require('./Validation.js');
 
@@ -10,16 +12,19 @@ var Validation = require('./Validation.js');
  * @param {config} config The server configuration object loaded from the configuration file
  * @param {object} logger Configured Winston logger instance
  * @param {Database} database Instance of Database DB query object
+ * @param {Audit=} audit Audit log which changes to users and data are recorded in; changes are not recorded if not supplied
  */
 var VineyardServer = function(
 	config,
 	logger,
-	database
+	database,
+	audit
 	){
 
 	this.config = config;
 	this.logger = logger;
 	this.database = database;
+	this.audit = audit || null;
 };
 
 VineyardServer.prototype = {
@@ -42,9 +47,115 @@ VineyardServer.prototype = {
 	 */
 	database: null,
 
-	getSoilData: function(callback){
+	/**
+	 * Audit log which changes are recorded in, or null
+	 * @type {Audit}
+	 */
+	audit: null,
+
+	/**
+	 * Record a change in the audit log, then call the callback whether or not the entry was written.
+	 * Nothing is recorded if the server has no audit log.
+	 * @param {AuditContext=} context Who made the change
+	 * @param {string} action What changed, e.g. 'soil.update'
+	 * @param {?object} before The changed record before the change
+	 * @param {?object} after The changed record after the change
+	 * @param {function} callback Callback with no arguments
+	 */
+	recordAudit: function(context, action, before, after, callback){
+		var self = this;
+
+		if (!self.audit) {
+			callback();
+			return;
+		}
+
+		context = context || {};
+		self.audit.record({
+			action: action,
+			username: context.username,
+			ip: context.ip,
+			route: context.route,
+			before: before,
+			after: after
+		}, function(){
+			callback();
+		});
+	},
+
+	/**
+	 * Get the GeoJSON soil pit data, optionally filtered by the supplied options.
+	 * Each pit's 'horizons' property is an array of its horizons, ordered from the surface down.
+	 * Call the callback function with error or response data.
+	 * @param {object} options Filter options for the query, all of which are optional
+	 * @param {string[]=} options.texture Only return pits with one of these texture codes
+	 * @param {string[]=} options.pedality Only return pits with one of these pedality codes
+	 * @param {number=} options.min_depth Only return pits with a depth greater than or equal to this value, in cm
+	 * @param {number=} options.max_depth Only return pits with a depth less than or equal to this value, in cm
+	 * @param {number[]=} options.pit_location Only return pits with one of these pit location numbers (must be integers)
+	 * @param {number[]=} options.bbox Only return pits within this WGS84 bounding box, as [minLon, minLat, maxLon, maxLat]
+	 * @param {number[]=} options.near Only return pits within options.radius of this WGS84 point, as [lon, lat]
+	 * @param {number=} options.radius Search radius around options.near in metres, required if options.near is supplied
+	 * @param {number[]=} options.site_ids Only return pits at these sites (must be integers)
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getSoilData: function(options, callback){
 		var self = this;
 
+		// Validate options
+		var err;
+		if ( options.texture !== undefined && !Validation.validateArrayParameter(options.texture, Validation.validateStringParameter) ) err = new Error( "'texture' option is invalid" );
+		if ( options.pedality !== undefined && !Validation.validateArrayParameter(options.pedality, Validation.validateStringParameter) ) err = new Error( "'pedality' option is invalid" );
+		if ( options.min_depth !== undefined && !Validation.validateNumberParameter(options.min_depth) ) err = new Error( "'min_depth' option is invalid" );
+		if ( options.max_depth !== undefined && !Validation.validateNumberParameter(options.max_depth) ) err = new Error( "'max_depth' option is invalid" );
+		if ( options.min_depth !== undefined && options.max_depth !== undefined && options.min_depth > options.max_depth ) err = new Error( "'min_depth' option must not be greater than 'max_depth'" );
+		if ( options.pit_location !== undefined && !Validation.validateArrayParameter(options.pit_location, Validation.validateIntegerParameter) ) err = new Error( "'pit_location' option is invalid" );
+		if ( options.bbox !== undefined && !Validation.validateBoundingBoxParameter(options.bbox) ) err = new Error( "'bbox' option is invalid" );
+		if ( options.near !== undefined && !Validation.validatePointParameter(options.near) ) err = new Error( "'near' option is invalid" );
+		if ( (options.near !== undefined || options.radius !== undefined) && !(Validation.validateNumberParameter(options.radius) && options.radius > 0) ) err = new Error( "'radius' option is invalid" );
+		if ( options.radius !== undefined && options.near === undefined ) err = new Error( "'near' option must be supplied with 'radius'" );
+		if ( !self.validateSiteIds(options.site_ids) ) err = new Error( "'site_ids' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// Build parameterized WHERE conditions for the filters that have been supplied
+		var conditions = [];
+		var values = [];
+		if ( options.texture !== undefined ) {
+			values.push( options.texture );
+			conditions.push( "lg.texture = ANY($" + values.length + "::varchar[])" );
+		}
+		if ( options.pedality !== undefined ) {
+			values.push( options.pedality );
+			conditions.push( "lg.pedality = ANY($" + values.length + "::varchar[])" );
+		}
+		if ( options.min_depth !== undefined ) {
+			values.push( options.min_depth );
+			conditions.push( "lg.depth >= $" + values.length );
+		}
+		if ( options.max_depth !== undefined ) {
+			values.push( options.max_depth );
+			conditions.push( "lg.depth <= $" + values.length );
+		}
+		if ( options.pit_location !== undefined ) {
+			values.push( options.pit_location );
+			conditions.push( "lg.pit_location = ANY($" + values.length + "::int[])" );
+		}
+		if ( options.bbox !== undefined ) {
+			values.push( options.bbox[0], options.bbox[1], options.bbox[2], options.bbox[3] );
+			conditions.push( "lg.wkb_geometry && ST_MakeEnvelope($" + (values.length-3) + ", $" + (values.length-2) + ", $" + (values.length-1) + ", $" + values.length + ", 4326)" );
+		}
+		if ( options.near !== undefined ) {
+			values.push( options.near[0], options.near[1], options.radius );
+			// Cast to geography so the radius is measured in metres rather than degrees
+			conditions.push( "ST_DWithin(lg.wkb_geometry::geography, ST_SetSRID(ST_MakePoint($" + (values.length-2) + ", $" + (values.length-1) + "), 4326)::geography, $" + values.length + ")" );
+		}
+		if ( options.site_ids !== undefined ) {
+			values.push( options.site_ids );
+			conditions.push( "lg.site_id = ANY($" + values.length + "::int[])" );
+		}
 
 		// SQL
 		var queryObject = {
@@ -55,72 +166,2255 @@ VineyardServer.prototype = {
 			    "row_to_json( " +
 			      "(SELECT l FROM " +
 			        "(SELECT ogc_fid, " +
+			        "site_id, " +
 			        "pit_location, " +
 			        "depth, " +
 			        "texture, " +
-			        "pedality) " +
+			        "pedality, " +
+			        soilHorizonsJson("lg") + " AS horizons) " +
 			      " As l) " +
 			    ") As properties " +
 			    "FROM soil_data AS lg " +
+			    ( conditions.length ? "WHERE " + conditions.join(" AND ") + " " : "" ) +
 			    "ORDER BY pit_location" +
-			" ) As f ;"
+			" ) As f ;",
+			values: values
+		};
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Validate a GeoJSON Point feature describing a soil pit.
+	 * The geometry must be a WGS84 Point; each property is optional, but if supplied and not null must be of the type of its soil_data column.
+	 * A feature with horizons takes its depth, texture and pedality from them, so if it also has any of those properties
+	 * they must match its horizons.
+	 * @param {object} feature GeoJSON feature to validate
+	 * @returns {?Error} Error describing the first invalid part of the feature, or null if the feature is valid
+	 */
+	validateSoilFeature: function(feature){
+		if ( !feature || typeof feature !== 'object' || feature.type !== 'Feature' ) return new Error( "Soil pit must be a GeoJSON Feature" );
+		if ( !feature.geometry || feature.geometry.type !== 'Point' ) return new Error( "Soil pit geometry must be a GeoJSON Point" );
+		if ( !Validation.validatePointParameter(feature.geometry.coordinates) ) return new Error( "Soil pit geometry coordinates must be [lon, lat] in WGS84 degrees" );
+
+		var properties = feature.properties || {};
+		if ( !isNullOrUndefined(properties.pit_location) && !Validation.validateIntegerParameter(properties.pit_location) ) return new Error( "'pit_location' property must be an integer" );
+		if ( !isNullOrUndefined(properties.depth) && !Validation.validateIntegerParameter(properties.depth) ) return new Error( "'depth' property must be an integer" );
+		if ( !isNullOrUndefined(properties.texture) && !Validation.validateStringParameter(properties.texture) ) return new Error( "'texture' property must be a string" );
+		if ( !isNullOrUndefined(properties.pedality) && !Validation.validateStringParameter(properties.pedality) ) return new Error( "'pedality' property must be a string" );
+		if ( !isNullOrUndefined(properties.horizons) ) {
+			if ( !Array.isArray(properties.horizons) ) return new Error( "'horizons' property must be an array" );
+			for (var i=0; i<properties.horizons.length; i++) {
+				var err = this.validateSoilHorizon(properties.horizons[i]);
+				if (err) return new Error( "Horizon " + i + " is not valid: " + err.message );
+			}
+
+			var summary = soilFeatureSummary(feature);
+			var mismatched = ['depth', 'texture', 'pedality'].filter( function(name) {
+				return !isNullOrUndefined(properties[name]) && properties[name] !== summary[name];
+			});
+			if (mismatched.length) return new Error( "'" + mismatched[0] + "' property does not match the horizons, which give " + JSON.stringify(summary[mismatched[0]]) + "; leave it out to take it from the horizons" );
+		}
+
+		return null;
+	},
+
+	/**
+	 * Validate a soil horizon, a layer of a soil pit's profile.
+	 * The top depth is required; the other properties are optional, but if supplied and not null must be of the type of
+	 * their soil_horizons column.
+	 * @param {object} horizon Horizon to validate
+	 * @returns {?Error} Error describing the first invalid property of the horizon, or null if the horizon is valid
+	 */
+	validateSoilHorizon: function(horizon){
+		if ( !horizon || typeof horizon !== 'object' ) return new Error( "Horizon must be an object" );
+		if ( !Validation.validateIntegerParameter(horizon.top_depth) || horizon.top_depth < 0 ) return new Error( "'top_depth' property must be an integer of at least 0" );
+		if ( !isNullOrUndefined(horizon.bottom_depth) && !(Validation.validateIntegerParameter(horizon.bottom_depth) && horizon.bottom_depth > horizon.top_depth) ) return new Error( "'bottom_depth' property must be an integer greater than 'top_depth'" );
+		if ( !isNullOrUndefined(horizon.texture) && !Validation.validateStringParameter(horizon.texture) ) return new Error( "'texture' property must be a string" );
+		if ( !isNullOrUndefined(horizon.pedality) && !Validation.validateStringParameter(horizon.pedality) ) return new Error( "'pedality' property must be a string" );
+		if ( !isNullOrUndefined(horizon.colour) && !Validation.validateStringParameter(horizon.colour) ) return new Error( "'colour' property must be a string" );
+		if ( !isNullOrUndefined(horizon.ph) && !(Validation.validateNumberParameter(horizon.ph) && horizon.ph >= 0 && horizon.ph <= 14) ) return new Error( "'ph' property must be a number from 0 to 14" );
+		if ( !isNullOrUndefined(horizon.ec) && !(Validation.validateNumberParameter(horizon.ec) && horizon.ec >= 0) ) return new Error( "'ec' property must be a number of at least 0" );
+		if ( !isNullOrUndefined(horizon.notes) && !Validation.validateStringParameter(horizon.notes, true) ) return new Error( "'notes' property must be a string" );
+
+		return null;
+	},
+
+	/**
+	 * Build the parameter values for writing a soil pit feature to the soil_data table.
+	 * The values are, in order: longitude, latitude, pit_location, depth, texture, pedality; the depth, texture and
+	 * pedality of a feature with horizons are taken from its horizons.
+	 * @param {object} feature Valid GeoJSON soil pit feature
+	 * @returns {Array} Values for a parameterized query
+	 */
+	soilFeatureValues: function(feature){
+		var properties = feature.properties || {};
+		var summary = soilFeatureSummary(feature);
+		return [
+			feature.geometry.coordinates[0],
+			feature.geometry.coordinates[1],
+			isNullOrUndefined(properties.pit_location) ? null : properties.pit_location,
+			summary.depth,
+			summary.texture,
+			summary.pedality
+		];
+	},
+
+	/**
+	 * Create a new soil pit from a GeoJSON Point feature, with its horizons.
+	 * Call the callback function with error or response data, which is an array containing a single row with the new 'ogc_fid'.
+	 * @param {object} options Options for the query
+	 * @param {object} options.feature GeoJSON Point feature, with optional pit_location, depth, texture, pedality and horizons properties;
+	 * without horizons the pit is given a single horizon from its depth, texture and pedality, and with horizons its
+	 * depth, texture and pedality are taken from them
+	 * @param {number=} options.site_id The site the pit belongs to (must be an integer)
+	 * @param {AuditContext=} options.audit Who made the change, for the audit log
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	createSoilPit: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err = self.validateSoilFeature(options.feature);
+		if ( !err && options.site_id !== undefined && !Validation.validateIntegerParameter(options.site_id) ) err = new Error( "'site_id' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// Call data query
+		self.database.dataQuery(self.soilInsertQuery([options.feature], options.site_id, soilFeatureHorizons(options.feature)), function(err, data){
+			if (err) {
+				callback(err);
+				return;
+			}
+			self.recordAudit( options.audit, 'soil.create', null, soilAuditRecord(data[0].ogc_fid, options.site_id, options.feature), function(){
+				callback(null, data);
+			});
+		});
+	},
+
+	/**
+	 * @typedef {object} ImportReport
+	 * @property {number} imported Number of soil pits inserted
+	 * @property {object[]} errors One entry for each invalid row, each with the 'row' number and an error 'message'
+	 */
+
+	/**
+	 * Import soil pits in a single transaction.
+	 * Every row is validated first; if any row is invalid nothing is inserted and the report lists every invalid row.
+	 * Call the callback function with error, or with an import report.
+	 * @param {object} options Options for the import
+	 * @param {ImportRow[]} options.rows Rows of soil pit features to import, e.g. from SoilImport
+	 * @param {number=} options.site_id The site the pits belong to (must be an integer)
+	 * @param {AuditContext=} options.audit Who made the change, for the audit log
+	 * @param {function} callback Callback with arguments (error, {@link ImportReport})
+	 */
+	importSoilPits: function(options, callback){
+		var self = this;
+
+		// Validate options
+		if ( !Array.isArray(options.rows) || !options.rows.length ) {
+			callback( new Error( "'rows' option must be a non-empty array" ) );
+			return;
+		}
+		if ( options.site_id !== undefined && !Validation.validateIntegerParameter(options.site_id) ) {
+			callback( new Error( "'site_id' option is invalid" ) );
+			return;
+		}
+
+		var errors = [];
+		options.rows.forEach( function(row) {
+			var err = self.validateSoilFeature(row.feature);
+			// Imported pits are given a single horizon from their depth, texture and pedality, so horizons would be lost
+			if ( !err && row.feature.properties && !isNullOrUndefined(row.feature.properties.horizons) ) err = new Error( "'horizons' cannot be imported, pits with horizons must be created one at a time" );
+			if (err) errors.push({ row: row.row, message: err.message });
+		});
+		if (errors.length) {
+			self.logger.info( "importSoilPits: " + errors.length + " of " + options.rows.length + " rows are invalid, nothing imported" );
+			callback( null, { imported: 0, errors: errors } );
+			return;
+		}
+
+		// Insert in batches, as postgres limits the number of parameters in a single query
+		var queryObjects = [];
+		for (var start=0; start<options.rows.length; start+=self.importBatchSize) {
+			var features = options.rows.slice(start, start + self.importBatchSize).map( getRowFeature );
+			queryObjects.push( self.soilInsertQuery(features, options.site_id) );
+		}
+
+		self.database.transactionQuery(queryObjects, function(err, results){
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			self.logger.info( "importSoilPits: " + options.rows.length + " soil pits imported" );
+			var ids = [];
+			(results || []).forEach( function(rows) {
+				rows.forEach( function(row) { ids.push(row.ogc_fid); } );
+			});
+			var after = { site_id: options.site_id === undefined ? null : options.site_id, imported: options.rows.length, ogc_fids: ids };
+			self.recordAudit( options.audit, 'soil.import', null, after, function(){
+				callback( null, { imported: options.rows.length, errors: [] } );
+			});
+		});
+	},
+
+	/**
+	 * Number of rows inserted by each query during an import
+	 * @type {number}
+	 */
+	importBatchSize: 1000,
+
+	/**
+	 * Build a parameterized multi-row query inserting soil pit features into the soil_data table, with their horizons.
+	 * The query returns the new 'ogc_fid' of each row.
+	 * @param {object[]} features Valid GeoJSON soil pit features
+	 * @param {number=} siteId The site the pits belong to, if any
+	 * @param {object[]=} horizons Horizons of the pit, if there is a single feature; otherwise each pit is given a single horizon from its depth, texture and pedality
+	 * @returns {object} Query object for parameterized postgres query
+	 */
+	soilInsertQuery: function(features, siteId, horizons){
+		var self = this;
+
+		var rows = [];
+		var values = [];
+		features.forEach( function(feature) {
+			var placeholders = self.soilFeatureValues(feature).map( function(value) {
+				values.push(value);
+				return "$" + values.length;
+			});
+			rows.push( "(ST_SetSRID(ST_MakePoint(" + placeholders[0] + ", " + placeholders[1] + "), 4326), " + placeholders.slice(2).join(", ") );
+		});
+		// Every row is at the same site, so the site is a single parameter after the feature values
+		if ( siteId !== undefined ) values.push( siteId );
+		rows = rows.map( function(row) {
+			return row + ( siteId !== undefined ? ", $" + values.length : "" ) + ")";
+		});
+
+		if ( horizons !== undefined ) values.push( JSON.stringify(horizons) );
+
+		return {
+			text: "WITH pits AS (INSERT INTO soil_data " +
+				"(wkb_geometry, pit_location, depth, texture, pedality" + ( siteId !== undefined ? ", site_id" : "" ) + ") " +
+				"VALUES " + rows.join(", ") + " " +
+				"RETURNING ogc_fid, depth, texture, pedality), " +
+				"horizons AS (" + soilHorizonsInsertSql("pits", horizons !== undefined ? "$" + values.length : undefined) + ") " +
+				"SELECT ogc_fid FROM pits;",
+			values: values
+		};
+	},
+
+	/**
+	 * Replace the geometry, attributes and horizons of an existing soil pit.
+	 * Call the callback function with error or response data, which is an array containing the updated 'ogc_fid', or empty if no pit matched.
+	 * @param {object} options Options for the query
+	 * @param {number} options.id The 'ogc_fid' of the soil pit to update (must be an integer)
+	 * @param {object} options.feature GeoJSON Point feature, with optional pit_location, depth, texture, pedality and horizons properties;
+	 * without horizons the pit is given a single horizon from its depth, texture and pedality, and with horizons its
+	 * depth, texture and pedality are taken from them
+	 * @param {number[]=} options.site_ids Only update the pit if it is at one of these sites (must be integers)
+	 * @param {AuditContext=} options.audit Who made the change, for the audit log
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	updateSoilPit: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.id) ) err = new Error( "'id' option is invalid" );
+		if (!err) err = self.validateSoilFeature(options.feature);
+		if ( !err && !self.validateSiteIds(options.site_ids) ) err = new Error( "'site_ids' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		var values = self.soilFeatureValues(options.feature).concat( [options.id] );
+		var where = "WHERE ogc_fid = $7 ";
+		if ( options.site_ids !== undefined ) {
+			values.push( options.site_ids );
+			where += "AND site_id = ANY($8::int[]) ";
+		}
+
+		values.push( JSON.stringify(soilFeatureHorizons(options.feature)) );
+
+		// SQL
+		// old_pit reads the pit as it was before the update, for the audit log. Every part of the statement sees the
+		// horizons as they were before it, so old_horizons only deletes the old horizons and not the new ones.
+		var queryObject = {
+			text: "WITH old_pit AS (SELECT " + soilAuditJson() + " AS before FROM soil_data " + where + "), " +
+				"pits AS (UPDATE soil_data SET " +
+				"wkb_geometry = ST_SetSRID(ST_MakePoint($1, $2), 4326), " +
+				"pit_location = $3, " +
+				"depth = $4, " +
+				"texture = $5, " +
+				"pedality = $6 " +
+				where +
+				"RETURNING ogc_fid, site_id), " +
+				"old_horizons AS (DELETE FROM soil_horizons WHERE ogc_fid IN (SELECT ogc_fid FROM pits)), " +
+				"horizons AS (" + soilHorizonsInsertSql("pits", "$" + values.length) + ") " +
+				"SELECT ogc_fid, site_id, (SELECT before FROM old_pit) AS before FROM pits;",
+			values: values
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, function(err, data){
+			if (err) {
+				callback(err);
+				return;
+			}
+			if (!data.length) {
+				callback(null, data);
+				return;
+			}
+			self.recordAudit( options.audit, 'soil.update', data[0].before, soilAuditRecord(data[0].ogc_fid, data[0].site_id, options.feature), function(){
+				callback( null, data.map(getSoilPitId) );
+			});
+		});
+	},
+
+	/**
+	 * Delete a soil pit.
+	 * Call the callback function with error or response data, which is an array containing the deleted 'ogc_fid', or empty if no pit matched.
+	 * @param {object} options Options for the query
+	 * @param {number} options.id The 'ogc_fid' of the soil pit to delete (must be an integer)
+	 * @param {number[]=} options.site_ids Only delete the pit if it is at one of these sites (must be integers)
+	 * @param {AuditContext=} options.audit Who made the change, for the audit log
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	deleteSoilPit: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.id) ) err = new Error( "'id' option is invalid" );
+		if ( !self.validateSiteIds(options.site_ids) ) err = new Error( "'site_ids' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		var values = [options.id];
+		if ( options.site_ids !== undefined ) values.push( options.site_ids );
 
+		// SQL
+		var queryObject = {
+			text: "DELETE FROM soil_data WHERE ogc_fid = $1 " +
+				( options.site_ids !== undefined ? "AND site_id = ANY($2::int[]) " : "" ) +
+				"RETURNING ogc_fid, " + soilAuditJson() + " AS before;",
+			values: values
 		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, function(err, data){
+			if (err) {
+				callback(err);
+				return;
+			}
+			if (!data.length) {
+				callback(null, data);
+				return;
+			}
+			self.recordAudit( options.audit, 'soil.delete', data[0].before, null, function(){
+				callback( null, data.map(getSoilPitId) );
+			});
+		});
+	},
+
+	/**
+	 * Soil properties which can be interpolated into surfaces, and whether their values are 'numeric' or 'categorical'
+	 * @type {object}
+	 */
+	soilSurfaceProperties: {
+		depth: 'numeric',
+		pedality: 'categorical'
+	},
+
+	/**
+	 * Get the soil pit values of a property within a block or bounding box, for interpolation into a surface.
+	 * Pits without a value for the property are left out. In a block, only pits at the block's site are included.
+	 * Call the callback function with error or response data, which is an array containing a single row with
+	 * 'geometry', the GeoJSON geometry of the block or null for a bounding box, and 'points', an array of
+	 * {@link SurfacePoint}. The array is empty if the block does not exist.
+	 * @param {object} options Options for the query
+	 * @param {string} options.property The soil property, one of the keys of soilSurfaceProperties
+	 * @param {number=} options.block_id The 'id' of the block to cover (must be an integer); either this or options.bbox must be supplied
+	 * @param {number[]=} options.bbox WGS84 bounding box to cover, as [minLon, minLat, maxLon, maxLat]
+	 * @param {number[]=} options.site_ids Only use the block and pits at these sites (must be integers)
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getSoilSurfacePoints: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !self.soilSurfaceProperties.hasOwnProperty(options.property) ) err = new Error( "'property' option must be one of: " + Object.keys(self.soilSurfaceProperties).join(', ') );
+		if ( (options.block_id === undefined) === (options.bbox === undefined) ) err = new Error( "Either the 'block_id' or the 'bbox' option must be supplied" );
+		if ( options.block_id !== undefined && !Validation.validateIntegerParameter(options.block_id) ) err = new Error( "'block_id' option is invalid" );
+		if ( options.bbox !== undefined && !Validation.validateBoundingBoxParameter(options.bbox) ) err = new Error( "'bbox' option is invalid" );
+		if ( !self.validateSiteIds(options.site_ids) ) err = new Error( "'site_ids' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// The property has been checked against soilSurfaceProperties, so it is a column name which is safe to use in the SQL
+		var points = "json_agg(json_build_object(" +
+			"'coordinates', json_build_array(ST_X(a.wkb_geometry), ST_Y(a.wkb_geometry)), " +
+			"'value', a." + options.property + "))";
+
+		// SQL
+		var queryObject;
+		if ( options.block_id !== undefined ) {
+			var values = [options.block_id];
+			if ( options.site_ids !== undefined ) values.push( options.site_ids );
+			queryObject = {
+				text: "SELECT ST_AsGeoJSON(b.wkb_geometry)::json AS geometry, " +
+					"COALESCE((SELECT " + points + " FROM soil_data a " +
+						"WHERE ST_Within(a.wkb_geometry, b.wkb_geometry) AND a.site_id = b.site_id " +
+						"AND a." + options.property + " IS NOT NULL), '[]'::json) AS points " +
+					"FROM blocks b WHERE b.id = $1" +
+					( options.site_ids !== undefined ? " AND b.site_id = ANY($2::int[])" : "" ) + ";",
+				values: values
+			};
+		} else {
+			queryObject = {
+				text: "SELECT NULL::json AS geometry, " +
+					"COALESCE(" + points + ", '[]'::json) AS points " +
+					"FROM soil_data a " +
+					"WHERE a.wkb_geometry && ST_MakeEnvelope($1, $2, $3, $4, 4326) " +
+					"AND a." + options.property + " IS NOT NULL" +
+					( options.site_ids !== undefined ? " AND a.site_id = ANY($5::int[])" : "" ) + ";",
+				values: options.bbox.concat( options.site_ids !== undefined ? [options.site_ids] : [] )
+			};
+		}
+
 		// Call data query
 		self.database.dataQuery(queryObject, callback);
 	},
 
 	/**
-	 * Get the GeoJSON sensor data including flooded state in the feature properties.
+	 * Get the GeoJSON vineyard block data, optionally filtered by the supplied options.
 	 * Call the callback function with error or response data.
-	 * @param {object} options Configuration options for the query
-	 * @param {string} options.polygon_layer Database table for layer of geo data
-	 * @param {number} options.minimum_state_filter Only return areas where current state is equal to or greater than this value (must be an integer)
+	 * @param {object} options Filter options for the query, all of which are optional
+	 * @param {string[]=} options.variety Only return blocks planted with one of these varieties
+	 * @param {number[]=} options.bbox Only return blocks intersecting this WGS84 bounding box, as [minLon, minLat, maxLon, maxLat]
+	 * @param {number[]=} options.site_ids Only return blocks at these sites (must be integers)
 	 * @param {DataQueryCallback} callback Callback for handling error or response data
 	 */
-	getSensors: function(options, callback){
+	getBlocks: function(options, callback){
 		var self = this;
 
 		// Validate options
-		var err;
-		if ( !options.polygon_layer ) err = new Error( "'polygon_layer' option must be supplied" );
-		if ( !Validation.validateIntegerParameter(options.minimum_state_filter) ) err = new Error( "'minimum_state_filter' parameter is invalid" );
+		var err = self.validateBlockFilterOptions(options);
 		if (err) {
 			callback(err);
 			return;
 		}
 
+		// Build parameterized WHERE conditions for the filters that have been supplied
+		var values = [];
+		var conditions = blockFilterConditions(options, values);
+
 		// SQL
-		// Note that references to tables were left unparameterized as these cannot be passed by user
 		var queryObject = {
-			text: "SELECT 'FeatureCollection' AS type, " +
-					"array_to_json(array_agg(f)) AS features " +
-				"FROM (SELECT 'Feature' AS type, " +
-					"ST_AsGeoJSON(lg.the_geom)::json AS geometry, " +
-					"row_to_json(attributes) AS properties " +
-							"FROM (SELECT area_name as level_name , " +
-							"rs.state as state, " +
-							"COALESCE(rs.last_updated at time zone 'ICT', null) as last_updated," +
-							"parent_name, " +
-							"pkey " +
-							"FROM " + options.polygon_layer + " as j " +
-							"LEFT JOIN rem_status as rs " +
-							"ON rs.rw=j.pkey " +
-							"WHERE COALESCE(rs.state,0) >= $1::int ) " +
-					"AS attributes, " +
-					options.polygon_layer + " AS lg " +
-					"WHERE attributes.pkey = lg.pkey )" +
-				"AS f;",
-			values: [options.minimum_state_filter]
+			text: "SELECT 'FeatureCollection' As type, " +
+			    "array_to_json(array_agg(f)) As features " +
+			  "FROM (SELECT 'Feature' As type, " +
+			    "ST_AsGeoJSON(lg.wkb_geometry)::json As geometry, " +
+			    "row_to_json( " +
+			      "(SELECT l FROM " +
+			        "(SELECT id, " +
+			        "site_id, " +
+			        "name, " +
+			        "variety, " +
+			        "clone, " +
+			        "rootstock, " +
+			        "planting_year, " +
+			        "row_spacing, " +
+			        "area) " +
+			      " As l) " +
+			    ") As properties " +
+			    "FROM blocks AS lg " +
+			    ( conditions.length ? "WHERE " + conditions.join(" AND ") + " " : "" ) +
+			    "ORDER BY name" +
+			" ) As f ;",
+			values: values
 		};
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Get the GeoJSON vineyard blocks with a summary of the soil pits inside each block, optionally filtered by the
+	 * supplied options. Only pits at the same site as the block are included.
+	 * Each feature's properties are the block's 'id', 'site_id', 'name', 'variety' and 'area', and:
+	 * 'pit_count', the number of pits in the block;
+	 * 'dominant_texture', the most common texture code, or null if no pit has a texture;
+	 * 'pedality', an object of the number of pits with each pedality code, e.g. {"F/P": 3, "D/I": 1};
+	 * 'mean_depth' and 'max_depth', the mean and maximum pit depth in cm, or null if no pit has a depth.
+	 * Call the callback function with error or response data.
+	 * @param {object} options Filter options for the blocks, as for getBlocks
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getBlockSoilSummary: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err = self.validateBlockFilterOptions(options);
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// Build parameterized WHERE conditions for the filters that have been supplied
+		var values = [];
+		var conditions = blockFilterConditions(options, values);
 
+		// Pits inside each block, aggregated in the joined subqueries and left joined so blocks without pits have a count of 0
+		var blockPits = "FROM soil_data a, blocks b " +
+			"WHERE ST_Within(a.wkb_geometry, b.wkb_geometry) AND a.site_id = b.site_id ";
+
+		// SQL
+		var queryObject = {
+			text: "SELECT 'FeatureCollection' As type, " +
+			    "array_to_json(array_agg(f)) As features " +
+			  "FROM (SELECT 'Feature' As type, " +
+			    "ST_AsGeoJSON(lg.wkb_geometry)::json As geometry, " +
+			    "row_to_json( " +
+			      "(SELECT l FROM " +
+			        "(SELECT lg.id, " +
+			        "lg.site_id, " +
+			        "lg.name, " +
+			        "lg.variety, " +
+			        "lg.area, " +
+			        "COALESCE(summary.pit_count, 0) AS pit_count, " +
+			        "summary.dominant_texture, " +
+			        "COALESCE(pedality.pedality, '{}'::json) AS pedality, " +
+			        "summary.mean_depth, " +
+			        "summary.max_depth) " +
+			      " As l) " +
+			    ") As properties " +
+			    "FROM blocks AS lg " +
+			    "LEFT OUTER JOIN (SELECT b.id, " +
+			      "count(a.ogc_fid) AS pit_count, " +
+			      "mode() WITHIN GROUP (ORDER BY a.texture) AS dominant_texture, " +
+			      "round(avg(a.depth), 1) AS mean_depth, " +
+			      "max(a.depth) AS max_depth " +
+			      blockPits +
+			      "GROUP BY b.id) AS summary ON (lg.id = summary.id) " +
+			    "LEFT OUTER JOIN (SELECT id, json_object_agg(pedality, count) AS pedality " +
+			      "FROM (SELECT b.id, a.pedality, count(a.ogc_fid) AS count " +
+			        blockPits +
+			        "AND a.pedality IS NOT NULL " +
+			        "GROUP BY b.id, a.pedality) AS counts " +
+			      "GROUP BY id) AS pedality ON (lg.id = pedality.id) " +
+			    ( conditions.length ? "WHERE " + conditions.join(" AND ") + " " : "" ) +
+			    "ORDER BY lg.name" +
+			" ) As f ;",
+			values: values
+		};
 		// Call data query
 		self.database.dataQuery(queryObject, callback);
 	},
 
+	/**
+	 * Validate the filter options of getBlocks and getBlockSoilSummary.
+	 * @param {object} options Filter options, as for getBlocks
+	 * @returns {?Error} Error describing the last invalid option, or null if the options are valid
+	 */
+	validateBlockFilterOptions: function(options){
+		var err = null;
+		if ( options.variety !== undefined && !Validation.validateArrayParameter(options.variety, Validation.validateStringParameter) ) err = new Error( "'variety' option is invalid" );
+		if ( options.bbox !== undefined && !Validation.validateBoundingBoxParameter(options.bbox) ) err = new Error( "'bbox' option is invalid" );
+		if ( !this.validateSiteIds(options.site_ids) ) err = new Error( "'site_ids' option is invalid" );
+		return err;
+	},
+
+	/**
+	 * Validate a GeoJSON Polygon or MultiPolygon feature describing a vineyard block.
+	 * The geometry must be in WGS84 and the block must have a name; the other properties are optional, but if supplied
+	 * and not null must be of the type of their blocks column.
+	 * @param {object} feature GeoJSON feature to validate
+	 * @returns {?Error} Error describing the first invalid part of the feature, or null if the feature is valid
+	 */
+	validateBlockFeature: function(feature){
+		if ( !feature || typeof feature !== 'object' || feature.type !== 'Feature' ) return new Error( "Block must be a GeoJSON Feature" );
+		if ( !feature.geometry || (feature.geometry.type !== 'Polygon' && feature.geometry.type !== 'MultiPolygon') ) return new Error( "Block geometry must be a GeoJSON Polygon or MultiPolygon" );
+		var polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+		if ( !Validation.validateArrayParameter(polygons, Validation.validatePolygonParameter) ) return new Error( "Block geometry coordinates must be closed rings of [lon, lat] in WGS84 degrees" );
 
+		var properties = feature.properties || {};
+		if ( !Validation.validateStringParameter(properties.name) ) return new Error( "'name' property must be a string" );
+		if ( !isNullOrUndefined(properties.variety) && !Validation.validateStringParameter(properties.variety) ) return new Error( "'variety' property must be a string" );
+		if ( !isNullOrUndefined(properties.clone) && !Validation.validateStringParameter(properties.clone) ) return new Error( "'clone' property must be a string" );
+		if ( !isNullOrUndefined(properties.rootstock) && !Validation.validateStringParameter(properties.rootstock) ) return new Error( "'rootstock' property must be a string" );
+		if ( !isNullOrUndefined(properties.planting_year) && !Validation.validateIntegerParameter(properties.planting_year) ) return new Error( "'planting_year' property must be an integer" );
+		if ( !isNullOrUndefined(properties.row_spacing) && !(Validation.validateNumberParameter(properties.row_spacing) && properties.row_spacing > 0) ) return new Error( "'row_spacing' property must be a positive number of metres" );
 
-};
+		return null;
+	},
+
+	/**
+	 * Build the parameter values for writing a block feature to the blocks table.
+	 * The values are, in order: GeoJSON geometry, name, variety, clone, rootstock, planting_year, row_spacing.
+	 * @param {object} feature Valid GeoJSON block feature
+	 * @returns {Array} Values for a parameterized query
+	 */
+	blockFeatureValues: function(feature){
+		var properties = feature.properties || {};
+		return [
+			JSON.stringify(feature.geometry),
+			properties.name,
+			isNullOrUndefined(properties.variety) ? null : properties.variety,
+			isNullOrUndefined(properties.clone) ? null : properties.clone,
+			isNullOrUndefined(properties.rootstock) ? null : properties.rootstock,
+			isNullOrUndefined(properties.planting_year) ? null : properties.planting_year,
+			isNullOrUndefined(properties.row_spacing) ? null : properties.row_spacing
+		];
+	},
+
+	/**
+	 * Create a new block from a GeoJSON Polygon or MultiPolygon feature. The block's area is calculated from its geometry.
+	 * Call the callback function with error or response data, which is an array containing a single row with the new 'id'.
+	 * @param {object} options Options for the query
+	 * @param {object} options.feature GeoJSON feature, with a name and optional variety, clone, rootstock, planting_year and row_spacing properties
+	 * @param {number=} options.site_id The site the block belongs to (must be an integer)
+	 * @param {AuditContext=} options.audit Who made the change, for the audit log
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	createBlock: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err = self.validateBlockFeature(options.feature);
+		if ( !err && options.site_id !== undefined && !Validation.validateIntegerParameter(options.site_id) ) err = new Error( "'site_id' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		var values = self.blockFeatureValues(options.feature);
+		values.push( options.site_id === undefined ? null : options.site_id );
+
+		// SQL
+		var queryObject = {
+			text: "INSERT INTO blocks " +
+				"(wkb_geometry, area, name, variety, clone, rootstock, planting_year, row_spacing, site_id) " +
+				"VALUES (" + blockGeometrySql() + ", " + blockAreaSql() + ", $2, $3, $4, $5, $6, $7, $8) " +
+				"RETURNING id, " + blockAuditJson() + " AS after;",
+			values: values
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, function(err, data){
+			if (err) {
+				callback(err);
+				return;
+			}
+			self.recordAudit( options.audit, 'block.create', null, data[0].after, function(){
+				callback( null, data.map(getBlockId) );
+			});
+		});
+	},
+
+	/**
+	 * Replace the geometry and attributes of an existing block. The block's area is recalculated from its geometry.
+	 * Call the callback function with error or response data, which is an array containing the updated 'id', or empty if no block matched.
+	 * @param {object} options Options for the query
+	 * @param {number} options.id The 'id' of the block to update (must be an integer)
+	 * @param {object} options.feature GeoJSON feature, with a name and optional variety, clone, rootstock, planting_year and row_spacing properties
+	 * @param {number[]=} options.site_ids Only update the block if it is at one of these sites (must be integers)
+	 * @param {AuditContext=} options.audit Who made the change, for the audit log
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	updateBlock: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.id) ) err = new Error( "'id' option is invalid" );
+		if (!err) err = self.validateBlockFeature(options.feature);
+		if ( !err && !self.validateSiteIds(options.site_ids) ) err = new Error( "'site_ids' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		var values = self.blockFeatureValues(options.feature).concat( [options.id] );
+		var where = "WHERE id = $8 ";
+		if ( options.site_ids !== undefined ) {
+			values.push( options.site_ids );
+			where += "AND site_id = ANY($9::int[]) ";
+		}
+
+		// SQL
+		// The CTE reads the block as it was before the update, for the audit log
+		var queryObject = {
+			text: "WITH old_block AS (SELECT " + blockAuditJson() + " AS before FROM blocks " + where + ") " +
+				"UPDATE blocks SET " +
+				"wkb_geometry = " + blockGeometrySql() + ", " +
+				"area = " + blockAreaSql() + ", " +
+				"name = $2, " +
+				"variety = $3, " +
+				"clone = $4, " +
+				"rootstock = $5, " +
+				"planting_year = $6, " +
+				"row_spacing = $7 " +
+				where +
+				"RETURNING id, (SELECT before FROM old_block) AS before, " + blockAuditJson() + " AS after;",
+			values: values
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, function(err, data){
+			if (err) {
+				callback(err);
+				return;
+			}
+			if (!data.length) {
+				callback(null, data);
+				return;
+			}
+			self.recordAudit( options.audit, 'block.update', data[0].before, data[0].after, function(){
+				callback( null, data.map(getBlockId) );
+			});
+		});
+	},
+
+	/**
+	 * Delete a block.
+	 * Call the callback function with error or response data, which is an array containing the deleted 'id', or empty if no block matched.
+	 * @param {object} options Options for the query
+	 * @param {number} options.id The 'id' of the block to delete (must be an integer)
+	 * @param {number[]=} options.site_ids Only delete the block if it is at one of these sites (must be integers)
+	 * @param {AuditContext=} options.audit Who made the change, for the audit log
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	deleteBlock: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.id) ) err = new Error( "'id' option is invalid" );
+		if ( !self.validateSiteIds(options.site_ids) ) err = new Error( "'site_ids' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		var values = [options.id];
+		if ( options.site_ids !== undefined ) values.push( options.site_ids );
+
+		// SQL
+		var queryObject = {
+			text: "DELETE FROM blocks WHERE id = $1 " +
+				( options.site_ids !== undefined ? "AND site_id = ANY($2::int[]) " : "" ) +
+				"RETURNING id, " + blockAuditJson() + " AS before;",
+			values: values
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, function(err, data){
+			if (err) {
+				callback(err);
+				return;
+			}
+			if (!data.length) {
+				callback(null, data);
+				return;
+			}
+			self.recordAudit( options.audit, 'block.delete', data[0].before, null, function(){
+				callback( null, data.map(getBlockId) );
+			});
+		});
+	},
+
+	/**
+	 * Get the GeoJSON sensor data including current state in the feature properties.
+	 * Call the callback function with error or response data.
+	 * @param {object} options Configuration options for the query
+	 * @param {string} options.polygon_layer Database table for layer of geo data, which must be one of the tables in config.pg.sensor_layers,
+	 * with the columns in sensorLayerColumns
+	 * @param {number} options.minimum_state_filter Only return sensors where current state is equal to or greater than this value (must be an integer)
+	 * @param {number[]=} options.site_ids Only return sensors at these sites (must be integers)
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getSensors: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !options.polygon_layer ) err = new Error( "'polygon_layer' option must be supplied" );
+		else if ( !self.isSensorLayer(options.polygon_layer) ) err = new Error( "'polygon_layer' option is not a configured sensor layer" );
+		if ( !Validation.validateIntegerParameter(options.minimum_state_filter) ) err = new Error( "'minimum_state_filter' parameter is invalid" );
+		if ( !self.validateSiteIds(options.site_ids) ) err = new Error( "'site_ids' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		var values = [options.minimum_state_filter];
+		var siteCondition = "";
+		if ( options.site_ids !== undefined ) {
+			values.push( options.site_ids );
+			siteCondition = "AND j.site_id = ANY($2::int[]) ";
+		}
+
+		// SQL
+		// Note that references to tables were left unparameterized as these cannot be passed by user
+		var queryObject = {
+			text: "SELECT 'FeatureCollection' AS type, " +
+					"array_to_json(array_agg(f)) AS features " +
+				"FROM (SELECT 'Feature' AS type, " +
+					"ST_AsGeoJSON(lg.the_geom)::json AS geometry, " +
+					"row_to_json(attributes) AS properties " +
+							"FROM (SELECT area_name as level_name , " +
+							"rs.state as state, " +
+							"rs.last_updated as last_updated, " +
+							"parent_name, " +
+							"site_id, " +
+							"pkey " +
+							"FROM " + options.polygon_layer + " as j " +
+							"LEFT JOIN rem_status as rs " +
+							"ON rs.rw=j.pkey " +
+							"WHERE COALESCE(rs.state,0) >= $1::int " +
+							siteCondition + ") " +
+					"AS attributes, " +
+					options.polygon_layer + " AS lg " +
+					"WHERE attributes.pkey = lg.pkey )" +
+				"AS f;",
+			values: values
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Hash an API key or password reset token for storage or lookup.
+	 * These are long random strings, so a single SHA-256 hash is sufficient and allows the key to be looked up directly.
+	 * @param {string} apiKey API key or token
+	 * @returns {string} Hex encoded SHA-256 hash of the key
+	 */
+	hashApiKey: function(apiKey){
+		return crypto.createHash('sha256').update(apiKey, 'utf8').digest('hex');
+	},
+
+	/**
+	 * Look up the sensor which owns an API key.
+	 * Call the callback function with error or response data, which is an array containing the sensor's 'pkey' and 'area_name', or empty if the key is not recognised.
+	 * @param {object} options Options for the query
+	 * @param {string} options.api_key API key supplied by the sensor logger
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getSensorByApiKey: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateStringParameter(options.api_key) ) err = new Error( "'api_key' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		// Readings are stored against the 'sensors' table, so API keys are only held there and not in other sensor layers
+		var queryObject = {
+			text: "SELECT pkey, area_name FROM sensors WHERE api_key = $1;",
+			values: [ self.hashApiKey(options.api_key) ]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Set the API key a sensor logger uses to submit readings, replacing any existing key.
+	 * Call the callback function with error or response data, which is an array containing the sensor's 'pkey', or empty if no sensor matched.
+	 * @param {object} options Options for the query
+	 * @param {number} options.sensor_id The pkey of the sensor (must be an integer)
+	 * @param {string} options.api_key New API key, only a hash of which is stored
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	setSensorApiKey: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.sensor_id) ) err = new Error( "'sensor_id' option is invalid" );
+		if ( !Validation.validateStringParameter(options.api_key) ) err = new Error( "'api_key' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "UPDATE sensors SET api_key = $1 WHERE pkey = $2 RETURNING pkey;",
+			values: [ self.hashApiKey(options.api_key), options.sensor_id ]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Store a batch of readings from a sensor logger with a single multi-row insert.
+	 * Call the callback function with error or response data, which is an array containing the 'id' of each new reading.
+	 * @param {object} options Options for the query
+	 * @param {number} options.sensor_id The pkey of the sensor which took the readings (must be an integer)
+	 * @param {object[]} options.readings Readings to store
+	 * @param {string} options.readings.measurement What was measured, which must be one of config.sensors.measurements
+	 * @param {number} options.readings.value Measured value
+	 * @param {number} options.readings.recorded_at Time the reading was taken, in unix time (seconds since the epoch)
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	addSensorReadings: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.sensor_id) ) err = new Error( "'sensor_id' option is invalid" );
+		if ( !Array.isArray(options.readings) || !options.readings.length ) {
+			err = new Error( "'readings' option must be a non-empty array" );
+		} else {
+			for (var i=0; i<options.readings.length && !err; i++) {
+				err = self.validateSensorReading( options.readings[i] );
+			}
+		}
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var rows = [];
+		var values = [];
+		options.readings.forEach( function(reading) {
+			values.push( options.sensor_id, reading.measurement, reading.value, reading.recorded_at );
+			rows.push( "($" + (values.length-3) + ", $" + (values.length-2) + ", $" + (values.length-1) + ", to_timestamp($" + values.length + "))" );
+		});
+		var queryObject = {
+			text: "INSERT INTO sensor_readings " +
+				"(sensor_id, measurement, value, recorded_at) " +
+				"VALUES " + rows.join(", ") + " " +
+				"RETURNING id;",
+			values: values
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Time bucket sizes for sensor reading queries, mapping the 'interval' option to the postgres date_trunc field
+	 * @type {object}
+	 */
+	readingIntervals: {
+		hourly: 'hour',
+		daily: 'day'
+	},
+
+	/**
+	 * Get the readings from a sensor over a time range, either raw or aggregated into hourly or daily buckets.
+	 * Buckets start on the hour or at midnight in config.sensors.timezone.
+	 * Call the callback function with error or response data, which is an array of rows ordered by measurement and time, each with
+	 * 'measurement', 'time', 'min', 'mean', 'max' and 'count' properties. For raw readings min, mean and max are all the reading's value.
+	 * @param {object} options Options for the query
+	 * @param {number} options.sensor_id The pkey of the sensor (must be an integer)
+	 * @param {number} options.start Unix timestamp for start of query period, inclusive
+	 * @param {number} options.end Unix timestamp for end of query period, exclusive
+	 * @param {string} options.interval 'raw', 'hourly' or 'daily'
+	 * @param {string=} options.measurement Only return readings of this measurement type
+	 * @param {number[]=} options.site_ids Only return readings if the sensor is at one of these sites (must be integers)
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getSensorReadings: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.sensor_id) ) err = new Error( "'sensor_id' option is invalid" );
+		if ( !Validation.validateNumberParameter(options.start) ) err = new Error( "'start' option is invalid" );
+		if ( !Validation.validateNumberParameter(options.end) ) err = new Error( "'end' option is invalid" );
+		if ( !err && options.start >= options.end ) err = new Error( "'start' option must be before 'end'" );
+		if ( options.interval !== 'raw' && !self.readingIntervals.hasOwnProperty(options.interval) ) err = new Error( "'interval' option is invalid" );
+		if ( options.measurement !== undefined && !Validation.validateStringParameter(options.measurement) ) err = new Error( "'measurement' option is invalid" );
+		if ( !self.validateSiteIds(options.site_ids) ) err = new Error( "'site_ids' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		var values = [options.sensor_id, options.start, options.end];
+		var where = "WHERE sensor_id = $1 " +
+			"AND recorded_at >= to_timestamp($2) " +
+			"AND recorded_at < to_timestamp($3) ";
+		if ( options.measurement !== undefined ) {
+			values.push( options.measurement );
+			where += "AND measurement = $" + values.length + " ";
+		}
+		if ( options.site_ids !== undefined ) {
+			values.push( options.site_ids );
+			where += "AND sensor_id IN (SELECT pkey FROM sensors WHERE site_id = ANY($" + values.length + "::int[])) ";
+		}
+
+		// SQL
+		var queryObject;
+		if ( options.interval === 'raw' ) {
+			queryObject = {
+				text: "SELECT measurement, recorded_at AS time, " +
+						"value AS min, value AS mean, value AS max, 1 AS count " +
+					"FROM sensor_readings " +
+					where +
+					"ORDER BY measurement, recorded_at;",
+				values: values
+			};
+		} else {
+			values.push( self.readingIntervals[options.interval], self.config.sensors.timezone );
+			var bucket = "date_trunc($" + (values.length-1) + ", recorded_at AT TIME ZONE $" + values.length + ") AT TIME ZONE $" + values.length;
+			queryObject = {
+				text: "SELECT measurement, " + bucket + " AS time, " +
+						"min(value) AS min, avg(value) AS mean, max(value) AS max, count(*)::int AS count " +
+					"FROM sensor_readings " +
+					where +
+					"GROUP BY measurement, time " +
+					"ORDER BY measurement, time;",
+				values: values
+			};
+		}
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Validate a single sensor reading.
+	 * @param {object} reading Reading to validate, as for addSensorReadings
+	 * @returns {?Error} Error describing why the reading is invalid, or null if the reading is valid
+	 */
+	validateSensorReading: function(reading){
+		var self = this;
+
+		if ( !reading || typeof reading !== 'object' ) return new Error( "Reading must be an object" );
+		if ( !Validation.validateStringParameter(reading.measurement) || self.config.sensors.measurements.indexOf(reading.measurement) === -1 ) {
+			return new Error( "'measurement' must be one of: " + self.config.sensors.measurements.join(', ') );
+		}
+		if ( !Validation.validateNumberParameter(reading.value) ) return new Error( "'value' must be a number" );
+		if ( !Validation.validateNumberParameter(reading.recorded_at) ) return new Error( "'recorded_at' must be a valid time" );
+
+		return null;
+	},
+
+	/**
+	 * Get all user accounts, ordered by username. Password hashes are not returned.
+	 * Call the callback function with error or response data, which is an array of users with 'id', 'username', 'email', 'editor', 'admin', 'disabled', 'roles' and 'sites' properties.
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getUsers: function(callback){
+		var self = this;
+
+		// SQL
+		var queryObject = {
+			text: "SELECT u.id, u.username, u.email, COALESCE(u.editor, false) AS editor, COALESCE(u.admin, false) AS admin, u.disabled, " +
+					"COALESCE(array_agg(r.name ORDER BY r.name) FILTER (WHERE r.name IS NOT NULL), '{}') AS roles, " +
+					"ARRAY(SELECT us.site_id FROM user_sites AS us WHERE us.user_id = u.id ORDER BY us.site_id) AS sites " +
+				"FROM users AS u " +
+				"LEFT JOIN user_roles AS ur ON ur.user_id = u.id " +
+				"LEFT JOIN roles AS r ON r.id = ur.role_id " +
+				"GROUP BY u.id " +
+				"ORDER BY u.username;",
+			values: []
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Create a user account, unless an account with the same username already exists.
+	 * Call the callback function with error or response data, which is an array containing the new user, or empty if the username is taken.
+	 * @param {object} options Options for the query
+	 * @param {string} options.username Username of the new account
+	 * @param {string} options.password Password PBKDF2 delimited string, as created by the server's hasher
+	 * @param {?string=} options.email Email address, used to send password reset links
+	 * @param {boolean} options.editor If true the user can edit soil pits
+	 * @param {boolean} options.admin If true the user can manage user accounts
+	 * @param {AuditContext=} options.audit Who made the change, for the audit log
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	createUser: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateStringParameter(options.username) ) err = new Error( "'username' option must be supplied" );
+		if ( !Validation.validateStringParameter(options.password) ) err = new Error( "'password' option must be supplied" );
+		if ( !isNullOrUndefined(options.email) && !Validation.validateStringParameter(options.email) ) err = new Error( "'email' option must be a string or null" );
+		if ( !Validation.validateBooleanParameter(options.editor) ) err = new Error( "'editor' option must be a boolean" );
+		if ( !Validation.validateBooleanParameter(options.admin) ) err = new Error( "'admin' option must be a boolean" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "INSERT INTO users (username, password, email, editor, admin) " +
+				"SELECT $1, $2, $3, $4, $5 " +
+				"WHERE NOT EXISTS (SELECT 1 FROM users WHERE username = $1) " +
+				"RETURNING id, username, email, editor, admin, disabled;",
+			values: [options.username, options.password, isNullOrUndefined(options.email) ? null : options.email, options.editor, options.admin]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, function(err, data){
+			if (err) {
+				callback(err);
+				return;
+			}
+			if (!data.length) {
+				callback(null, data);
+				return;
+			}
+			self.recordAudit( options.audit, 'user.create', null, data[0], function(){
+				callback(null, data);
+			});
+		});
+	},
+
+	/**
+	 * Flags of a user account which can be changed by updateUser
+	 * @type {string[]}
+	 */
+	userFlags: ['editor', 'admin', 'disabled'],
+
+	/**
+	 * Change the email address or the editor, admin or disabled flags of a user account. Properties which are not supplied are left unchanged.
+	 * Call the callback function with error or response data, which is an array containing the updated user, or empty if no user matched.
+	 * @param {object} options Options for the query
+	 * @param {number} options.id The id of the user to update (must be an integer)
+	 * @param {boolean=} options.editor If true the user can edit soil pits
+	 * @param {boolean=} options.admin If true the user can manage user accounts
+	 * @param {boolean=} options.disabled If true the user cannot log in
+	 * @param {?string=} options.email Email address, or null to remove it
+	 * @param {AuditContext=} options.audit Who made the change, for the audit log
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	updateUser: function(options, callback){
+		var self = this;
+
+		var values = [];
+		var assignments = [];
+		var err;
+
+		// Validate options
+		if ( !Validation.validateIntegerParameter(options.id) ) err = new Error( "'id' option is invalid" );
+		self.userFlags.forEach( function(flag) {
+			if ( options[flag] === undefined ) return;
+			if ( !Validation.validateBooleanParameter(options[flag]) ) {
+				err = new Error( "'" + flag + "' option must be a boolean" );
+			} else {
+				values.push( options[flag] );
+				// Column names come from userFlags, not the user
+				assignments.push( flag + " = $" + values.length );
+			}
+		});
+		if ( options.email !== undefined ) {
+			if ( options.email !== null && !Validation.validateStringParameter(options.email) ) {
+				err = new Error( "'email' option must be a string or null" );
+			} else {
+				values.push( options.email );
+				assignments.push( "email = $" + values.length );
+			}
+		}
+		if ( !err && !assignments.length ) err = new Error( "One of 'email', '" + self.userFlags.join("', '") + "' options must be supplied" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		values.push( options.id );
+		// The CTE reads the user as they were before the update, for the audit log
+		var queryObject = {
+			text: "WITH old_user AS (SELECT " + userAuditJson() + " AS before FROM users WHERE id = $" + values.length + ") " +
+				"UPDATE users SET " + assignments.join(", ") + " " +
+				"WHERE id = $" + values.length + " " +
+				"RETURNING id, username, email, COALESCE(editor, false) AS editor, COALESCE(admin, false) AS admin, disabled, " +
+					"(SELECT before FROM old_user) AS before;",
+			values: values
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, function(err, data){
+			if (err) {
+				callback(err);
+				return;
+			}
+			if (!data.length) {
+				callback(null, data);
+				return;
+			}
+			var user = {};
+			Object.keys(data[0]).forEach( function(key) {
+				if (key !== 'before') user[key] = data[0][key];
+			});
+			self.recordAudit( options.audit, 'user.update', data[0].before, user, function(){
+				callback(null, [user]);
+			});
+		});
+	},
+
+	/**
+	 * Delete a user account.
+	 * Call the callback function with error or response data, which is an array containing the deleted user's 'id', or empty if no user matched.
+	 * @param {object} options Options for the query
+	 * @param {number} options.id The id of the user to delete (must be an integer)
+	 * @param {AuditContext=} options.audit Who made the change, for the audit log
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	deleteUser: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.id) ) err = new Error( "'id' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "DELETE FROM users WHERE id = $1 RETURNING id, " + userAuditJson() + " AS before;",
+			values: [options.id]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, function(err, data){
+			if (err) {
+				callback(err);
+				return;
+			}
+			if (!data.length) {
+				callback(null, data);
+				return;
+			}
+			self.recordAudit( options.audit, 'user.delete', data[0].before, null, function(){
+				callback( null, [{ id: data[0].id }] );
+			});
+		});
+	},
+
+	/**
+	 * Set the password of a user account.
+	 * Call the callback function with error or response data, which is an array containing the user's 'id', or empty if no user matched.
+	 * @param {object} options Options for the query
+	 * @param {number} options.id The id of the user (must be an integer)
+	 * @param {string} options.password Password PBKDF2 delimited string, as created by the server's hasher
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	setUserPassword: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.id) ) err = new Error( "'id' option is invalid" );
+		if ( !Validation.validateStringParameter(options.password) ) err = new Error( "'password' option must be supplied" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "UPDATE users SET password = $1 WHERE id = $2 RETURNING id;",
+			values: [options.password, options.id]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Store a password reset token for a user, if the user exists, is not disabled and has an email address to send it to.
+	 * Only a hash of the token is stored.
+	 * Call the callback function with error or response data, which is an array containing the user's 'id', 'username' and 'email', or empty if no token was stored.
+	 * @param {object} options Options for the query
+	 * @param {string} options.username Username of the account to reset
+	 * @param {string} options.token Random reset token, which is sent to the user
+	 * @param {number} options.expires Time the token expires, in unix time (must be a number)
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	createPasswordReset: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateStringParameter(options.username) ) err = new Error( "'username' option must be supplied" );
+		if ( !Validation.validateStringParameter(options.token) ) err = new Error( "'token' option must be supplied" );
+		if ( !Validation.validateNumberParameter(options.expires) ) err = new Error( "'expires' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "WITH account AS (" +
+					"SELECT id, username, email FROM users " +
+					"WHERE username = $1 AND NOT disabled AND email IS NOT NULL" +
+				"), token AS (" +
+					"INSERT INTO password_resets (user_id, token_hash, expires) " +
+					"SELECT id, $2, to_timestamp($3) FROM account " +
+					"RETURNING user_id" +
+				") " +
+				"SELECT account.id, account.username, account.email FROM account " +
+				"JOIN token ON token.user_id = account.id;",
+			values: [options.username, self.hashApiKey(options.token), options.expires]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Set a user's password using a password reset token. The token can only be used once, and only before it expires.
+	 * Call the callback function with error or response data, which is an array containing the user's 'id' and 'username', or empty if the token is not valid.
+	 * @param {object} options Options for the query
+	 * @param {string} options.token Reset token sent to the user
+	 * @param {string} options.password New password PBKDF2 delimited string, as created by the server's hasher
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	resetPassword: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateStringParameter(options.token) ) err = new Error( "'token' option must be supplied" );
+		if ( !Validation.validateStringParameter(options.password) ) err = new Error( "'password' option must be supplied" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		// The token is deleted as it is used, so it cannot be used again
+		var queryObject = {
+			text: "WITH token AS (" +
+					"DELETE FROM password_resets " +
+					"WHERE token_hash = $1 AND expires > now() " +
+					"RETURNING user_id" +
+				") " +
+				"UPDATE users SET password = $2 " +
+				"FROM token " +
+				"WHERE users.id = token.user_id AND NOT users.disabled " +
+				"RETURNING users.id, users.username;",
+			values: [self.hashApiKey(options.token), options.password]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Permissions granted by the legacy 'editor' and 'admin' flags of a user, in addition to the permissions of their roles
+	 * @type {object}
+	 */
+	userFlagPermissions: {
+		editor: ['soil:edit', 'blocks:edit'],
+		admin: ['users:manage']
+	},
+
+	/**
+	 * @typedef {object} UserPermissions
+	 * @property {string[]} roles Names of the user's roles
+	 * @property {string[]} permissions Names of the user's effective permissions, sorted
+	 */
+
+	/**
+	 * Get the roles and effective permissions of a user.
+	 * A user's permissions are those of all of their roles, or config.auth.defaultPermissions if they have no roles,
+	 * plus the permissions granted by their 'editor' and 'admin' flags.
+	 * Call the callback function with error or the user's permissions.
+	 * @param {object} options Options for the query
+	 * @param {object} options.user The user's row from the users table
+	 * @param {function} callback Callback for handling error or response data, with arguments (err, {UserPermissions})
+	 */
+	getUserPermissions: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !options.user || !Validation.validateIntegerParameter(Number(options.user.id)) ) err = new Error( "'user' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "SELECT r.name AS role, rp.permission " +
+				"FROM user_roles AS ur " +
+				"JOIN roles AS r ON r.id = ur.role_id " +
+				"LEFT JOIN role_permissions AS rp ON rp.role_id = r.id " +
+				"WHERE ur.user_id = $1;",
+			values: [Number(options.user.id)]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, function(err, data){
+			if (err) {
+				callback(err);
+				return;
+			}
+
+			var roles = [];
+			var permissions = [];
+			var add = function(list, value) {
+				if ( value !== null && list.indexOf(value) === -1 ) list.push(value);
+			};
+			data.forEach( function(row) {
+				add( roles, row.role );
+				add( permissions, row.permission );
+			});
+			if ( !roles.length ) {
+				self.config.auth.defaultPermissions.forEach( function(permission) {
+					add( permissions, permission );
+				});
+			}
+			Object.keys(self.userFlagPermissions).forEach( function(flag) {
+				if ( !options.user[flag] ) return;
+				self.userFlagPermissions[flag].forEach( function(permission) {
+					add( permissions, permission );
+				});
+			});
+
+			callback( null, { roles: roles.sort(), permissions: permissions.sort() } );
+		});
+	},
+
+	/**
+	 * Get all roles with their permissions, ordered by name.
+	 * Call the callback function with error or response data, which is an array of roles with 'name', 'description' and 'permissions' properties.
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getRoles: function(callback){
+		var self = this;
+
+		// SQL
+		var queryObject = {
+			text: "SELECT r.name, r.description, " +
+					"COALESCE(array_agg(rp.permission ORDER BY rp.permission) FILTER (WHERE rp.permission IS NOT NULL), '{}') AS permissions " +
+				"FROM roles AS r " +
+				"LEFT JOIN role_permissions AS rp ON rp.role_id = r.id " +
+				"GROUP BY r.id " +
+				"ORDER BY r.name;",
+			values: []
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Replace the roles of a user.
+	 * Call the callback function with error or response data, which is an array containing the user's 'id', or empty if no user matched.
+	 * @param {object} options Options for the query
+	 * @param {number} options.id The id of the user (must be an integer)
+	 * @param {string[]} options.roles Names of the user's roles, which may be empty
+	 * @param {AuditContext=} options.audit Who made the change, for the audit log
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	setUserRoles: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.id) ) err = new Error( "'id' option is invalid" );
+		if ( !Array.isArray(options.roles) || (options.roles.length && !Validation.validateArrayParameter(options.roles, Validation.validateStringParameter)) ) err = new Error( "'roles' option must be an array of role names" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObjects = [
+			{
+				text: "SELECT id, ARRAY(SELECT r.name FROM user_roles AS ur JOIN roles AS r ON r.id = ur.role_id " +
+					"WHERE ur.user_id = users.id ORDER BY r.name) AS roles " +
+					"FROM users WHERE id = $1;",
+				values: [options.id]
+			},
+			{
+				text: "DELETE FROM user_roles WHERE user_id = $1;",
+				values: [options.id]
+			},
+			{
+				text: "INSERT INTO user_roles (user_id, role_id) " +
+					"SELECT $1, id FROM roles WHERE name = ANY($2::varchar[]);",
+				values: [options.id, options.roles]
+			}
+		];
+
+		// Call transaction query, so the user is never left with some of their roles missing
+		self.database.transactionQuery(queryObjects, function(err, results){
+			if (err) {
+				callback(err);
+				return;
+			}
+			if (!results[0].length) {
+				callback(null, results[0]);
+				return;
+			}
+			var after = { id: options.id, roles: options.roles.slice().sort() };
+			self.recordAudit( options.audit, 'user.roles', results[0][0], after, function(){
+				callback( null, [{ id: results[0][0].id }] );
+			});
+		});
+	},
+
+	/**
+	 * Get sites with their bounds, ordered by name.
+	 * Call the callback function with error or response data, which is an array of sites with 'id', 'name' and 'bounds' properties,
+	 * where 'bounds' is the WGS84 bounding box of the site as [minLon, minLat, maxLon, maxLat], or null if the site has no boundary.
+	 * @param {object} options Options for the query
+	 * @param {number=} options.user_id Only return the sites this user belongs to (must be an integer); all sites are returned if not supplied
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getSites: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( options.user_id !== undefined && !Validation.validateIntegerParameter(options.user_id) ) err = new Error( "'user_id' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		var values = [];
+		if ( options.user_id !== undefined ) values.push( options.user_id );
+
+		// SQL
+		var queryObject = {
+			text: "SELECT s.id, s.name, " +
+					"CASE WHEN s.bounds IS NULL THEN NULL " +
+					"ELSE json_build_array(ST_XMin(s.bounds), ST_YMin(s.bounds), ST_XMax(s.bounds), ST_YMax(s.bounds)) END AS bounds " +
+				"FROM sites AS s " +
+				( options.user_id !== undefined ? "JOIN user_sites AS us ON us.site_id = s.id AND us.user_id = $1 " : "" ) +
+				"ORDER BY s.name;",
+			values: values
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Replace the sites a user belongs to.
+	 * Call the callback function with error or response data, which is an array containing the user's 'id', or empty if no user matched.
+	 * @param {object} options Options for the query
+	 * @param {number} options.id The id of the user (must be an integer)
+	 * @param {number[]} options.site_ids The ids of the user's sites, which may be empty (must be integers)
+	 * @param {AuditContext=} options.audit Who made the change, for the audit log
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	setUserSites: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.id) ) err = new Error( "'id' option is invalid" );
+		if ( options.site_ids === undefined || !self.validateSiteIds(options.site_ids) ) err = new Error( "'site_ids' option must be an array of site ids" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObjects = [
+			{
+				text: "SELECT id, ARRAY(SELECT site_id FROM user_sites WHERE user_id = users.id ORDER BY site_id) AS sites " +
+					"FROM users WHERE id = $1;",
+				values: [options.id]
+			},
+			{
+				text: "DELETE FROM user_sites WHERE user_id = $1;",
+				values: [options.id]
+			},
+			{
+				text: "INSERT INTO user_sites (user_id, site_id) " +
+					"SELECT $1, id FROM sites WHERE id = ANY($2::int[]);",
+				values: [options.id, options.site_ids]
+			}
+		];
+
+		// Call transaction query, so the user is never left with some of their sites missing
+		self.database.transactionQuery(queryObjects, function(err, results){
+			if (err) {
+				callback(err);
+				return;
+			}
+			if (!results[0].length) {
+				callback(null, results[0]);
+				return;
+			}
+			var after = { id: options.id, sites: options.site_ids.slice().sort( function(a, b) { return a - b; } ) };
+			self.recordAudit( options.audit, 'user.sites', results[0][0], after, function(){
+				callback( null, [{ id: results[0][0].id }] );
+			});
+		});
+	},
+
+	/**
+	 * Look up the site whose alert feed key has been supplied.
+	 * Call the callback function with error or response data, which is an array containing the site's 'id' and 'name', or empty if the key is not recognised.
+	 * @param {object} options Options for the query
+	 * @param {string} options.alerts_key Alert feed key from the feed URL
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getSiteByAlertsKey: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateStringParameter(options.alerts_key) ) err = new Error( "'alerts_key' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "SELECT id, name FROM sites WHERE alerts_key = $1;",
+			values: [ self.hashApiKey(options.alerts_key) ]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Set the key in the URL of a site's alert feed, replacing any existing key.
+	 * Call the callback function with error or response data, which is an array containing the site's 'id' and 'name', or empty if no site matched.
+	 * @param {object} options Options for the query
+	 * @param {number} options.site_id The id of the site (must be an integer)
+	 * @param {string} options.alerts_key New alert feed key, of which only a hash is stored
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	setSiteAlertsKey: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.site_id) ) err = new Error( "'site_id' option is invalid" );
+		if ( !Validation.validateStringParameter(options.alerts_key) ) err = new Error( "'alerts_key' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "UPDATE sites SET alerts_key = $1 WHERE id = $2 RETURNING id, name;",
+			values: [ self.hashApiKey(options.alerts_key), options.site_id ]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Check an optional list of site ids, which may be empty if the user does not belong to any sites.
+	 * @param {number[]=} siteIds Site ids
+	 * @returns {boolean} True if the list is undefined, or an array of integers
+	 */
+	validateSiteIds: function(siteIds){
+		if ( siteIds === undefined ) return true;
+		return Array.isArray(siteIds) && siteIds.every( Validation.validateIntegerParameter );
+	},
+
+	/**
+	 * Types of failed login record; failures are counted separately for each username and for each client IP address
+	 * @type {string[]}
+	 */
+	loginFailureTypes: ['username', 'ip'],
+
+	/**
+	 * Get the usernames and IP addresses which are currently locked out of logging in.
+	 * Call the callback function with error or response data, which is an array of lockouts with 'attempt_type', 'attempt_value', 'failures' and 'locked_until' properties.
+	 * @param {object} options Options for the query
+	 * @param {string=} options.username Only return the lockout of this username, or of options.ip
+	 * @param {string=} options.ip Only return the lockout of this IP address, or of options.username
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getLoginLockouts: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( options.username !== undefined && !Validation.validateStringParameter(options.username, true) ) err = new Error( "'username' option is invalid" );
+		if ( options.ip !== undefined && !Validation.validateStringParameter(options.ip) ) err = new Error( "'ip' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var values = [];
+		var filters = [];
+		if ( options.username !== undefined ) {
+			values.push( options.username );
+			filters.push( "(attempt_type = 'username' AND attempt_value = $" + values.length + ")" );
+		}
+		if ( options.ip !== undefined ) {
+			values.push( options.ip );
+			filters.push( "(attempt_type = 'ip' AND attempt_value = $" + values.length + ")" );
+		}
+		var queryObject = {
+			text: "SELECT attempt_type, attempt_value, failures, locked_until " +
+				"FROM login_failures " +
+				"WHERE locked_until > now() " +
+				( filters.length ? "AND (" + filters.join(" OR ") + ") " : "" ) +
+				"ORDER BY locked_until DESC;",
+			values: values
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Record a failed login for a username and for the client IP address it came from.
+	 * Failures are counted until none have occurred for config.auth.lockout.failureWindow seconds. After
+	 * config.auth.lockout.allowedFailures failures, each further failure locks out logins for twice as long as the last,
+	 * starting at config.auth.lockout.initialDelay seconds and up to config.auth.lockout.maxDelay seconds; after
+	 * config.auth.lockout.maxFailures failures logins are locked out for config.auth.lockout.lockoutDuration seconds.
+	 * Call the callback function with error or response data, which is an array of the updated records with 'attempt_type', 'attempt_value', 'failures' and 'locked_until' properties.
+	 * @param {object} options Options for the query
+	 * @param {string} options.username Username which failed to log in
+	 * @param {string} options.ip IP address of the client
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	recordLoginFailure: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateStringParameter(options.username, true) ) err = new Error( "'username' option is invalid" );
+		if ( !Validation.validateStringParameter(options.ip) ) err = new Error( "'ip' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		// An existing record is incremented in the conflict clause, which sees the row as last committed and locks it,
+		// so concurrent failures each add one to the count instead of all writing the same count
+		var lockout = self.config.auth.lockout;
+		var failures = "CASE WHEN login_failures.last_failure > now() - $8::int * interval '1 second' THEN login_failures.failures + 1 ELSE 1 END";
+		var queryObject = {
+			text: "INSERT INTO login_failures (attempt_type, attempt_value, failures, last_failure, locked_until) " +
+				"VALUES ('username', $1::varchar, 1, now(), " + loginLockoutSql("1") + "), " +
+					"('ip', $2::varchar, 1, now(), " + loginLockoutSql("1") + ") " +
+				"ON CONFLICT (attempt_type, attempt_value) DO UPDATE SET " +
+					"failures = " + failures + ", " +
+					"last_failure = now(), " +
+					"locked_until = " + loginLockoutSql(failures) + " " +
+				"RETURNING attempt_type, attempt_value, failures, locked_until;",
+			values: [
+				options.username,
+				options.ip,
+				lockout.maxFailures,
+				lockout.lockoutDuration,
+				lockout.allowedFailures,
+				lockout.initialDelay,
+				lockout.maxDelay,
+				lockout.failureWindow
+			]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Clear the failed logins recorded for a username or IP address, ending any lockout.
+	 * Call the callback function with error or response data, which is an array containing the cleared record, or empty if there were no failures recorded.
+	 * @param {object} options Options for the query
+	 * @param {string} options.attempt_type Either 'username' or 'ip'
+	 * @param {string} options.attempt_value The username or IP address
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	clearLoginFailures: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( self.loginFailureTypes.indexOf(options.attempt_type) === -1 ) err = new Error( "'attempt_type' option must be one of: " + self.loginFailureTypes.join(', ') );
+		if ( !Validation.validateStringParameter(options.attempt_value, true) ) err = new Error( "'attempt_value' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "DELETE FROM login_failures " +
+				"WHERE attempt_type = $1 AND attempt_value = $2 " +
+				"RETURNING attempt_type, attempt_value, failures, locked_until;",
+			values: [options.attempt_type, options.attempt_value]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Scopes of personal API tokens; 'read' tokens can only read data, 'editor' tokens can also edit data if their user is an editor
+	 * @type {string[]}
+	 */
+	apiTokenScopes: ['read', 'editor'],
+
+	/**
+	 * Get a user's personal API tokens. The tokens themselves are not stored, so are not returned.
+	 * Call the callback function with error or response data, which is an array of tokens with 'id', 'name', 'scope', 'created' and 'last_used' properties.
+	 * @param {object} options Options for the query
+	 * @param {number} options.user_id The id of the user (must be an integer)
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getApiTokens: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.user_id) ) err = new Error( "'user_id' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "SELECT id, name, scope, created, last_used " +
+				"FROM api_tokens " +
+				"WHERE user_id = $1 " +
+				"ORDER BY created;",
+			values: [options.user_id]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Store a new personal API token for a user. Only a hash of the token is stored.
+	 * Call the callback function with error or response data, which is an array containing the new token's 'id', 'name', 'scope' and 'created'.
+	 * @param {object} options Options for the query
+	 * @param {number} options.user_id The id of the user (must be an integer)
+	 * @param {string} options.name Name to identify the token, e.g. the script which uses it
+	 * @param {string} options.scope Scope of the token, one of apiTokenScopes
+	 * @param {string} options.token Random token, which is returned to the user
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	createApiToken: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.user_id) ) err = new Error( "'user_id' option is invalid" );
+		if ( !Validation.validateStringParameter(options.name) ) err = new Error( "'name' option must be supplied" );
+		if ( self.apiTokenScopes.indexOf(options.scope) === -1 ) err = new Error( "'scope' option must be one of: " + self.apiTokenScopes.join(', ') );
+		if ( !Validation.validateStringParameter(options.token) ) err = new Error( "'token' option must be supplied" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "INSERT INTO api_tokens (user_id, name, scope, token_hash) " +
+				"VALUES ($1, $2, $3, $4) " +
+				"RETURNING id, name, scope, created;",
+			values: [options.user_id, options.name, options.scope, self.hashApiKey(options.token)]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Look up the user who owns a personal API token, and record that the token was used.
+	 * Tokens of disabled users are not accepted.
+	 * Call the callback function with error or response data, which is an array containing the user's row from the users table with the token's 'scope' and 'token_id', or empty if the token is not valid.
+	 * @param {object} options Options for the query
+	 * @param {string} options.token API token supplied by the client
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	getUserByApiToken: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateStringParameter(options.token) ) err = new Error( "'token' option must be supplied" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "UPDATE api_tokens SET last_used = now() " +
+				"FROM users " +
+				"WHERE api_tokens.token_hash = $1 AND users.id = api_tokens.user_id AND NOT users.disabled " +
+				"RETURNING users.*, api_tokens.scope, api_tokens.id AS token_id;",
+			values: [self.hashApiKey(options.token)]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Revoke one of a user's personal API tokens.
+	 * Call the callback function with error or response data, which is an array containing the deleted token's 'id', or empty if the user has no such token.
+	 * @param {object} options Options for the query
+	 * @param {number} options.id The id of the token (must be an integer)
+	 * @param {number} options.user_id The id of the user who owns the token (must be an integer)
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	deleteApiToken: function(options, callback){
+		var self = this;
+
+		// Validate options
+		var err;
+		if ( !Validation.validateIntegerParameter(options.id) ) err = new Error( "'id' option is invalid" );
+		if ( !Validation.validateIntegerParameter(options.user_id) ) err = new Error( "'user_id' option is invalid" );
+		if (err) {
+			callback(err);
+			return;
+		}
+
+		// SQL
+		var queryObject = {
+			text: "DELETE FROM api_tokens WHERE id = $1 AND user_id = $2 RETURNING id;",
+			values: [options.id, options.user_id]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	},
+
+	/**
+	 * Check that a table is one of the configured sensor layers, so it is safe to use in a query.
+	 * @param {string} table Database table name
+	 * @returns {boolean} True if the table is in config.pg.sensor_layers
+	 */
+	isSensorLayer: function(table){
+		var self = this;
+
+		var layers = self.config.pg && self.config.pg.sensor_layers ? self.config.pg.sensor_layers : {};
+		return Object.keys(layers).some( function(name) {
+			return layers[name] === table;
+		});
+	},
+
+	/**
+	 * Columns which every sensor layer table must have, as getSensors reads them from whichever layer is requested
+	 * @type {string[]}
+	 */
+	sensorLayerColumns: ['pkey', 'area_name', 'parent_name', 'the_geom', 'site_id'],
+
+	/**
+	 * Find the columns missing from the configured sensor layer tables, so a layer which cannot be queried is found
+	 * when the server starts rather than when it is requested. A table which does not exist is missing every column.
+	 * Call the callback function with error or response data, which is an array of the missing columns with 'table_name' and 'column_name' properties.
+	 * @param {DataQueryCallback} callback Callback for handling error or response data
+	 */
+	checkSensorLayers: function(callback){
+		var self = this;
+
+		var layers = self.config.pg && self.config.pg.sensor_layers ? self.config.pg.sensor_layers : {};
+		var tables = Object.keys(layers).map( function(name) {
+			return layers[name];
+		});
+
+		// SQL
+		var queryObject = {
+			text: "SELECT t.table_name, c.column_name " +
+				"FROM unnest($1::varchar[]) AS t (table_name), unnest($2::varchar[]) AS c (column_name) " +
+				"WHERE NOT EXISTS (SELECT 1 FROM information_schema.columns AS i " +
+					"WHERE i.table_schema = ANY(current_schemas(false)) " +
+					"AND i.table_name = t.table_name AND i.column_name = c.column_name) " +
+				"ORDER BY t.table_name, c.column_name;",
+			values: [tables, self.sensorLayerColumns]
+		};
+
+		// Call data query
+		self.database.dataQuery(queryObject, callback);
+	}
+
+};
+
+/**
+ * Check whether a value is null or undefined, as optional feature properties may be either.
+ * @param {*} value Value to check
+ * @returns {boolean} True if the value is null or undefined
+ */
+function isNullOrUndefined(value) {
+	return value === null || value === undefined;
+}
+
+/**
+ * SQL expression building the audit log record of a soil_data row, matching soilAuditRecord.
+ * @returns {string} SQL expression
+ */
+function soilAuditJson() {
+	return "json_build_object('ogc_fid', ogc_fid, 'site_id', site_id, " +
+		"'longitude', ST_X(wkb_geometry), 'latitude', ST_Y(wkb_geometry), " +
+		"'pit_location', pit_location, 'depth', depth, 'texture', texture, 'pedality', pedality, " +
+		"'horizons', " + soilHorizonsJson("soil_data") + ")";
+}
+
+/**
+ * Columns of a soil horizon, in the order of the soil_horizons table, with their postgres types
+ * @type {string[][]}
+ */
+var SOIL_HORIZON_COLUMNS = [
+	['top_depth', 'integer'],
+	['bottom_depth', 'integer'],
+	['texture', 'varchar'],
+	['pedality', 'varchar'],
+	['colour', 'varchar'],
+	['ph', 'numeric'],
+	['ec', 'numeric'],
+	['notes', 'varchar']
+];
+
+/**
+ * SQL expression building the JSON array of a soil pit's horizons, ordered from the surface down.
+ * @param {string} pit Name or alias of the soil_data table in the query
+ * @returns {string} SQL expression
+ */
+function soilHorizonsJson(pit) {
+	var columns = SOIL_HORIZON_COLUMNS.map( function(column) { return column[0]; } );
+	return "(SELECT COALESCE(json_agg(h ORDER BY h.top_depth), '[]'::json) " +
+		"FROM (SELECT " + columns.join(", ") + " FROM soil_horizons WHERE soil_horizons.ogc_fid = " + pit + ".ogc_fid) AS h)";
+}
+
+/**
+ * SQL statement inserting the horizons of soil pits, for use in a CTE after the pits have been written.
+ * With a horizons parameter, every pit is given those horizons. Without one, each pit is given a single horizon from
+ * the surface to its depth, with its texture and pedality, as in the migration in migrations/014-soil-horizons.up.sql and
+ * soilFeatureHorizons; pits without a depth, texture or pedality are given no horizons.
+ * @param {string} pits Name of the CTE returning the pits' 'ogc_fid', and 'depth', 'texture' and 'pedality' if there is no horizons parameter
+ * @param {string=} horizonsParam Placeholder of the parameter holding the horizons as a JSON array, e.g. '$7'
+ * @returns {string} SQL statement
+ */
+function soilHorizonsInsertSql(pits, horizonsParam) {
+	var columns = SOIL_HORIZON_COLUMNS.map( function(column) { return column[0]; } );
+	var insert = "INSERT INTO soil_horizons (ogc_fid, " + columns.join(", ") + ") ";
+	if (horizonsParam) {
+		return insert + "SELECT p.ogc_fid, " + columns.map( function(column) { return "h." + column; } ).join(", ") + " " +
+			"FROM " + pits + " AS p, json_to_recordset(" + horizonsParam + "::json) AS h(" +
+			SOIL_HORIZON_COLUMNS.map( function(column) { return column.join(" "); } ).join(", ") + ")";
+	}
+	return insert + "SELECT p.ogc_fid, 0, CASE WHEN p.depth > 0 THEN p.depth END, p.texture, p.pedality, NULL, NULL, NULL, NULL " +
+		"FROM " + pits + " AS p " +
+		"WHERE p.depth IS NOT NULL OR p.texture IS NOT NULL OR p.pedality IS NOT NULL";
+}
+
+/**
+ * Get the horizons of a soil pit feature, with every column of the soil_horizons table.
+ * A feature without horizons is given a single horizon from the surface to its depth, with its texture and pedality,
+ * matching soilHorizonsInsertSql; a feature without a depth, texture or pedality is given no horizons.
+ * @param {object} feature Valid GeoJSON soil pit feature
+ * @returns {object[]} Horizons
+ */
+function soilFeatureHorizons(feature) {
+	var properties = feature.properties || {};
+	var horizons = properties.horizons;
+	if ( isNullOrUndefined(horizons) ) {
+		horizons = [];
+		if ( !isNullOrUndefined(properties.depth) || !isNullOrUndefined(properties.texture) || !isNullOrUndefined(properties.pedality) ) {
+			horizons.push({
+				top_depth: 0,
+				bottom_depth: properties.depth > 0 ? properties.depth : null,
+				texture: properties.texture,
+				pedality: properties.pedality
+			});
+		}
+	}
+	return horizons.map( function(horizon) {
+		var record = {};
+		SOIL_HORIZON_COLUMNS.forEach( function(column) {
+			record[column[0]] = isNullOrUndefined(horizon[column[0]]) ? null : horizon[column[0]];
+		});
+		return record;
+	});
+}
+
+/**
+ * Get the depth, texture and pedality of a soil pit feature, which summarise the pit for the filters, block summaries
+ * and surfaces. A feature with horizons takes them from its horizons: the depth is the deepest depth the horizons are
+ * known to reach, and the texture and pedality are those of the top horizon. A feature without horizons takes them from
+ * its properties, so its summary matches the single horizon given to it by soilFeatureHorizons.
+ * @param {object} feature Valid GeoJSON soil pit feature
+ * @returns {object} The pit's 'depth', 'texture' and 'pedality', each null if not known
+ */
+function soilFeatureSummary(feature) {
+	var properties = feature.properties || {};
+	if ( isNullOrUndefined(properties.horizons) ) {
+		return {
+			depth: isNullOrUndefined(properties.depth) ? null : properties.depth,
+			texture: isNullOrUndefined(properties.texture) ? null : properties.texture,
+			pedality: isNullOrUndefined(properties.pedality) ? null : properties.pedality
+		};
+	}
+
+	var depth = null;
+	var top = null;
+	properties.horizons.forEach( function(horizon) {
+		// A horizon without a bottom depth continues below the bottom of the pit, which is at least its top depth
+		var reached = isNullOrUndefined(horizon.bottom_depth) ? horizon.top_depth : horizon.bottom_depth;
+		if ( depth === null || reached > depth ) depth = reached;
+		if ( top === null || horizon.top_depth < top.top_depth ) top = horizon;
+	});
+	return {
+		depth: depth,
+		texture: top && !isNullOrUndefined(top.texture) ? top.texture : null,
+		pedality: top && !isNullOrUndefined(top.pedality) ? top.pedality : null
+	};
+}
+
+/**
+ * Build the audit log record of a soil pit from the feature written to it, matching soilAuditJson.
+ * @param {number} id The pit's 'ogc_fid'
+ * @param {?number=} siteId The site the pit is at
+ * @param {object} feature Valid GeoJSON soil pit feature
+ * @returns {object} Audit record
+ */
+function soilAuditRecord(id, siteId, feature) {
+	var properties = feature.properties || {};
+	var summary = soilFeatureSummary(feature);
+	return {
+		ogc_fid: id,
+		site_id: isNullOrUndefined(siteId) ? null : siteId,
+		longitude: feature.geometry.coordinates[0],
+		latitude: feature.geometry.coordinates[1],
+		pit_location: isNullOrUndefined(properties.pit_location) ? null : properties.pit_location,
+		depth: summary.depth,
+		texture: summary.texture,
+		pedality: summary.pedality,
+		horizons: soilFeatureHorizons(feature)
+	};
+}
+
+/**
+ * SQL expression for the time logins are locked out until after a number of failed logins, or null if they are not
+ * locked out. The lockout settings are parameters $3 to $7 of recordLoginFailure's query.
+ * @param {string} failures SQL expression for the number of failed logins
+ * @returns {string} SQL expression
+ */
+function loginLockoutSql(failures) {
+	return "CASE WHEN " + failures + " >= $3::int THEN now() + $4::int * interval '1 second' " +
+		"WHEN " + failures + " > $5::int THEN now() + LEAST($6::int * power(2, " + failures + " - $5::int - 1), $7::int) * interval '1 second' " +
+		"ELSE NULL END";
+}
+
+/**
+ * SQL expression building the audit log record of a users row. The password hash is never recorded.
+ * @returns {string} SQL expression
+ */
+function userAuditJson() {
+	return "json_build_object('id', id, 'username', username, 'email', email, " +
+		"'editor', COALESCE(editor, false), 'admin', COALESCE(admin, false), 'disabled', disabled)";
+}
+
+/**
+ * SQL expression for the geometry of a block from its GeoJSON geometry, which is always parameter $1.
+ * Polygons are stored as MultiPolygons so blocks divided by a road or track have a single geometry type.
+ * @returns {string} SQL expression
+ */
+function blockGeometrySql() {
+	return "ST_Multi(ST_SetSRID(ST_GeomFromGeoJSON($1), 4326))";
+}
+
+/**
+ * SQL expression for the area of a block in hectares, calculated from its GeoJSON geometry parameter.
+ * The geometry is cast to geography so the area is measured in square metres rather than square degrees.
+ * @returns {string} SQL expression
+ */
+function blockAreaSql() {
+	return "ST_Area(" + blockGeometrySql() + "::geography) / 10000";
+}
+
+/**
+ * Build the parameterized WHERE conditions on the blocks table, aliased 'lg', for the block filter options that have
+ * been supplied.
+ * @param {object} options Valid filter options, as for VineyardServer.getBlocks
+ * @param {Array} values Query parameter values, to which the values of the conditions are added
+ * @returns {string[]} SQL conditions
+ */
+function blockFilterConditions(options, values) {
+	var conditions = [];
+	if ( options.variety !== undefined ) {
+		values.push( options.variety );
+		conditions.push( "lg.variety = ANY($" + values.length + "::varchar[])" );
+	}
+	if ( options.bbox !== undefined ) {
+		values.push( options.bbox[0], options.bbox[1], options.bbox[2], options.bbox[3] );
+		conditions.push( "lg.wkb_geometry && ST_MakeEnvelope($" + (values.length-3) + ", $" + (values.length-2) + ", $" + (values.length-1) + ", $" + values.length + ", 4326)" );
+	}
+	if ( options.site_ids !== undefined ) {
+		values.push( options.site_ids );
+		conditions.push( "lg.site_id = ANY($" + values.length + "::int[])" );
+	}
+	return conditions;
+}
+
+/**
+ * SQL expression building the audit log record of a blocks row.
+ * @returns {string} SQL expression
+ */
+function blockAuditJson() {
+	return "json_build_object('id', id, 'site_id', site_id, 'name', name, " +
+		"'variety', variety, 'clone', clone, 'rootstock', rootstock, 'planting_year', planting_year, " +
+		"'row_spacing', row_spacing, 'area', area, 'geometry', ST_AsGeoJSON(wkb_geometry)::json)";
+}
+
+/**
+ * Get the id of a block from a row returned by a query, without the audit columns.
+ * @param {object} row Row with an 'id'
+ * @returns {object} Row with only the 'id'
+ */
+function getBlockId(row) {
+	return { id: row.id };
+}
+
+/**
+ * Get the id of a soil pit from a row returned by a query, without the audit columns.
+ * @param {object} row Row with an 'ogc_fid'
+ * @returns {object} Row with only the 'ogc_fid'
+ */
+function getSoilPitId(row) {
+	return { ogc_fid: row.ogc_fid };
+}
+
+/**
+ * Get the feature from an import row.
+ * @param {ImportRow} row Import row
+ * @returns {object} GeoJSON feature
+ */
+function getRowFeature(row) {
+	return row.feature;
+}
 
 // Export our object constructor method from the module
 module.exports = VineyardServer;
@@ -0,0 +1,56 @@
+'use strict';
+
+// alerts-key.js - issue the key of a site's CAP alert feed
+
+/**
+ * @file Generate a new key for the URL of a site's CAP alert feed, replacing any existing key.
+ * The feed URL is printed once; only a hash of the key is stored in the database.
+ * @license Released under GNU GPLv3 License (see LICENSE.txt).
+ * @example
+ * Usage:
+ *     node alerts-key.js config.js SITE_ID
+ */
+
+// Node dependencies
+var path = require('path');
+// Node.js crypto module, used to generate the key
+var crypto = require('crypto');
+
+// Modules
+//Postgres 'pg' module, used for database interaction
+var pg = require('pg');
+// Winston logger module, used for logging
+var logger = require('winston');
+// Database module, abstraction layer over queries to database
+var Database = require('./Database.js');
+// VineyardServer module, stores the key
+var VineyardServer = require('./VineyardServer.js');
+
+if ( process.argv.length < 4 ) {
+	console.log( "Usage: node alerts-key.js config.js SITE_ID" );
+	process.exit(1);
+}
+
+// Read in config file from argument
+var config = require( __dirname + path.sep + process.argv[2] );
+var siteId = Number( process.argv[3] );
+
+var database = new Database(config, logger, pg);
+var server = new VineyardServer(config, logger, database);
+
+var alertsKey = crypto.randomBytes(24).toString('hex');
+
+server.setSiteAlertsKey({ site_id: siteId, alerts_key: alertsKey }, function(err, data){
+	// Close the connection pool so the process can exit
+	pg.end();
+
+	if (err) {
+		logger.error( "Could not set alert feed key: " + err.message );
+		process.exitCode = 1;
+	} else if (!data.length) {
+		logger.error( "Site " + siteId + " does not exist" );
+		process.exitCode = 1;
+	} else {
+		console.log( "/data/api/alerts/cap/" + alertsKey );
+	}
+});
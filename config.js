@@ -14,20 +14,41 @@
  * @property {object} languages.local Language codes which are accepted by this server
  * @property {object} languages.default Default language code to serve if we cannot supply the requested one to the user
  * @property {number} cache_timeout How long data will live in the cache, in milliseconds
+ * @property {string} cache_backend Where responses are cached, 'memory' for each server process or 'postgres' for a cache shared between server instances
  * @property {boolean} compression If true, enable gzip compression on the server responses
  * @property {boolean} redirectHTTP If true, redirect HTTP to HTTPS when request originates from a proxy
+ * @property {boolean} trustProxy If true, read the client IP address from the X-Forwarded-For header set by a proxy; enable this when running behind a proxy or load balancer
+ * @property {boolean} legacyErrors If true, respond to every error with '204 No Content' as older clients expect, instead of a JSON error
+ * @property {string} max_upload_size Maximum size of a request body, e.g. '10mb', which limits the size of soil survey imports
  * @property {object} pg Configuration options for the PostGres connection
  * @property {string} pg.conString The connection URL for PostGres
  * @property {number} pg.reconnectionDelay The delay between attempts to reconnect to PostGres
  * @property {number} pg.reconnectionAttempts The number of attempts to reconnect to PostGres before exiting
- * @property {string} pg.tbl_reports Database table containing confirmed reports
- * @property {string} pg.tbl_reports_unconfirmed Database table containing unconfirmed reports
- * @property {object} pg.aggregate_levels Object of aggregate levels mapping a name to a database table
- * @property {string} pg.aggregate_levels.(name) Name of the aggregate level
- * @property {string} pg.aggregate_levels.(value) Database table for the aggregate level
- * @property {object} pg.infrastructure_tbls Object of infrastructure tables mapping a name to a database table
- * @property {string} pg.infrastructure_tbls.(name) Name of the infrastructure type
- * @property {string} pg.infrastructure_tbls.(value) Database table for the infrastructure type
+ * @property {boolean} pg.migrate_on_start If true, apply pending schema migrations when the server starts; if false, the server refuses to start while migrations are pending
+ * @property {object} pg.sensor_layers Object of sensor layers mapping a name to a database table; only these tables can be queried by the sensors route
+ * @property {string} pg.sensor_layers.(name) Name of the sensor layer, as passed in the 'layer' parameter
+ * @property {string} pg.sensor_layers.(value) Database table for the sensor layer
+ * @property {string} pg.default_sensor_layer Name of the sensor layer returned when no 'layer' parameter is supplied
+ * @property {object} sensors Configuration options for sensor telemetry
+ * @property {string[]} sensors.measurements Measurement types which sensor loggers may submit
+ * @property {number} sensors.max_readings Maximum number of readings a logger may submit in a single request
+ * @property {string} sensors.timezone Time zone used to align hourly and daily buckets of sensor readings, e.g. 'Australia/Sydney'
+ * @property {object} surface Configuration options for interpolated soil surfaces
+ * @property {number} surface.cell_size Default width and height of each grid cell, in metres
+ * @property {number} surface.max_cells Maximum number of grid cells in one surface
+ * @property {number} surface.idw_power Power of the distance used in inverse distance weighting
+ * @property {object} alerts Configuration options for the CAP alert feed
+ * @property {string} alerts.layer Name of the sensor layer, from pg.sensor_layers, whose areas are published as alerts
+ * @property {string} alerts.feed_title Title of the Atom feed
+ * @property {string} alerts.id_base_url Base URL of the feed and entry IDs, followed by '/site/' and the id of the feed's site
+ * @property {string} alerts.sender CAP sender identifier, e.g. an email address or domain
+ * @property {string} alerts.sender_name Human readable name of the alert originator
+ * @property {string} alerts.web URL of a web page with more information
+ * @property {string} alerts.category CAP category of the hazard, e.g. 'Met'
+ * @property {string} alerts.event Type of hazard, e.g. 'Frost'
+ * @property {string} alerts.timezone Time zone used for alert times, e.g. 'Australia/Sydney'
+ * @property {number} alerts.point_radius Radius in kilometers of the alert area around a Point feature
+ * @property {object} alerts.severities Object mapping each area state to an object with the CAP 'severity' and a 'description' of the observed level
  * @property {object} logger Configuration options for logging
  * @property {string} logger.level Log level - info, verbose or debug are most useful. Levels are (npm defaults): silly, debug, verbose, info, warn, error.
  * @property {number} logger.maxFileSize Maximum size of each log file in bytes
@@ -36,6 +57,21 @@
  * @property {number} port Port to launch server on
  * @property {object} auth Configuration options for authentication
  * @property {object} auth.sessionSecret Session secret used by express-session
+ * @property {number} auth.minPasswordLength Minimum length of new passwords
+ * @property {string} auth.resetUrl Public URL of the password reset page, which is sent in password reset emails
+ * @property {number} auth.resetTokenLifetime Time in seconds a password reset token can be used for
+ * @property {string[]} auth.defaultPermissions Permissions of users who have not been given any roles
+ * @property {object} auth.lockout Configuration options for delaying and locking out logins after failed attempts, applied to each username and IP address
+ * @property {number} auth.lockout.allowedFailures Number of failed logins allowed before logins are delayed
+ * @property {number} auth.lockout.initialDelay Seconds logins are refused for after the first delayed failure; the delay doubles with each further failure
+ * @property {number} auth.lockout.maxDelay Maximum delay in seconds
+ * @property {number} auth.lockout.maxFailures Number of failed logins after which logins are locked out
+ * @property {number} auth.lockout.lockoutDuration Seconds logins are locked out for
+ * @property {number} auth.lockout.failureWindow Seconds without a failed login after which the failure count restarts
+ * @property {object} mail Configuration options for sending email
+ * @property {string} mail.transport 'log' to write emails to the log, or the path of a mail transport module relative to the application directory
+ * @property {object} mail.options Options passed to the mail transport module
+ * @property {string} mail.from Sender address of emails
  */
 var config = {};
 
@@ -61,12 +97,23 @@ config.languages.default= 'en'; // English
 
 // Default cache time expiry
 config.cache_timeout = 60000; // Data cache expiry (1 minute)
+// Where responses are cached: 'memory' in each server process, or 'postgres' shared between server instances (see migrations/012-response-cache.up.sql)
+config.cache_backend = 'memory';
 
 config.compression = false; // Enable express compression middleware
 
+// Maximum size of request bodies, including soil survey uploads to /data/api/soil/import
+config.max_upload_size = '10mb';
+
+// Respond to errors with '204 No Content' instead of JSON errors, only for clients which cannot handle error status codes
+config.legacyErrors = false;
+
 // Enable http to https redirection behind a proxy
 config.redirectHTTP = true;
 
+// Trust the X-Forwarded-For header from a proxy or load balancer for the client IP address, used to lock out password guessing
+config.trustProxy = false;
+
 // Postgres database connection
 config.pg = {};
 
@@ -86,9 +133,16 @@ var pgdetails = vcapServices['user-provided'][0];
 config.pg.conString = 'postgres://' + pgdetails.credentials.username + ':' + pgdetails.credentials.password + '@' + pgdetails.credentials.public_hostname +'/cognicity';
 */
 
+// Sensor location tables which may be queried, keyed by the name used in the 'layer' parameter
+config.pg.sensor_layers = {
+	sensors: 'sensors'
+};
+config.pg.default_sensor_layer = 'sensors';
+
 // Database reconnection settings
 config.pg.reconnectionDelay = 1000 * 60 * 3; // Delay before attempting a reconnection in ms
 config.pg.reconnectionAttempts = 5; // Number of times to attempt reconnection before notifying admin and exiting
+config.pg.migrate_on_start = false; // Apply pending migrations from the migrations directory at start up, instead of refusing to start
 
 
 // Logging configuration
@@ -98,6 +152,37 @@ config.logger.maxFileSize = 1024 * 1024 * 100; // Max file size in bytes of each
 config.logger.maxFiles = 10; // Max number of log files kept
 config.logger.logDirectory = ''; // Set this to a full path to a directory - if not set logs will be written to the application directory.
 
+// Sensor telemetry
+config.sensors = {};
+config.sensors.measurements = ['soil_moisture', 'temperature', 'leaf_wetness']; // Measurement types accepted from sensor loggers
+config.sensors.max_readings = 1000; // Maximum readings accepted in one request
+config.sensors.timezone = 'Australia/Sydney'; // Daily buckets of readings start at midnight in this time zone
+
+// Soil surfaces, interpolated from the soil pits at /data/api/soil/surface
+config.surface = {};
+config.surface.cell_size = 10; // Default width and height of each grid cell, in metres
+config.surface.max_cells = 10000; // Maximum number of grid cells in one surface
+config.surface.idw_power = 2; // Power of the distance in inverse distance weighting; higher values make nearer pits more influential
+
+// CAP alert feed of each site, published at /data/api/alerts/cap/KEY for sensor areas in an alert state
+config.alerts = {};
+config.alerts.layer = 'sensors'; // Sensor layer, from config.pg.sensor_layers, whose states are published
+config.alerts.feed_title = 'Vineyard Hazard Alerts'; // Title of the Atom feed
+config.alerts.id_base_url = 'https://vineyard.example.com/data/api/alerts/cap'; // Base of the feed and entry IDs, which are followed by /site/ and the site id
+config.alerts.sender = 'alerts@vineyard.example.com'; // CAP sender, a unique identifier of the originator of the alerts
+config.alerts.sender_name = 'Vineyard Monitoring'; // Human readable name of the originator
+config.alerts.web = 'https://vineyard.example.com/'; // Web page with more information about the alerts
+config.alerts.category = 'Met'; // CAP category of the hazard
+config.alerts.event = 'Frost'; // Type of hazard, e.g. 'Frost', 'Heat Stress' or 'Waterlogging'
+config.alerts.timezone = 'Australia/Sydney'; // Time zone of alert times
+config.alerts.point_radius = 0.5; // Radius in kilometers of the circular alert area around a point, such as a soil pit or sensor
+// Mapping of sensor area state to CAP severity and a description of the observed level; states not listed are not published
+config.alerts.severities = {
+	1: { severity: 'Minor', description: 'a risk of light frost' },
+	2: { severity: 'Moderate', description: 'temperatures below 0 degrees' },
+	3: { severity: 'Severe', description: 'temperatures below -2 degrees' }
+};
+
 // Server port
 config.port = process.env.PORT || 8081;
 // on IBM bluemix use config.port = process.env.VCAP_APP_PORT || 8081;
@@ -105,5 +190,24 @@ config.port = process.env.PORT || 8081;
 config.auth = {};
 // The session secret used to sign the session cookie in express-session. Change before production deployment.
 config.auth.sessionSecret = process.env.SESSION_SECRET;
+config.auth.minPasswordLength = 10; // Minimum length of new passwords
+config.auth.resetUrl = 'https://vineyard.example.com/password/reset'; // Public URL of the password reset page, sent in reset emails
+config.auth.resetTokenLifetime = 60 * 60; // Time in seconds before a password reset link expires; default 1 hour
+config.auth.defaultPermissions = ['soil:read', 'blocks:read', 'sensors:read']; // Permissions of users who have no roles, see migrations/009-roles.up.sql
+
+// Failed login lockout, applied separately to each username and client IP address
+config.auth.lockout = {};
+config.auth.lockout.allowedFailures = 3; // Failed logins allowed before logins are delayed
+config.auth.lockout.initialDelay = 2; // Seconds logins are refused for after the first delayed failure, doubling with each further failure
+config.auth.lockout.maxDelay = 60; // Maximum delay in seconds
+config.auth.lockout.maxFailures = 10; // Failed logins after which logins are locked out
+config.auth.lockout.lockoutDuration = 15 * 60; // Seconds logins are locked out for; default 15 minutes
+config.auth.lockout.failureWindow = 60 * 60; // Failed logins are forgotten after this many seconds without another failure; default 1 hour
+
+// Email delivery, used for password reset links
+config.mail = {};
+config.mail.transport = 'log'; // 'log' writes emails to the log; otherwise the path to a transport module, see Mailer.js
+config.mail.options = {}; // Options passed to the transport module
+config.mail.from = 'noreply@vineyard.example.com'; // Sender address of emails
 
 module.exports = config;
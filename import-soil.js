@@ -0,0 +1,106 @@
+'use strict';
+
+// import-soil.js - command line import of soil survey data
+
+/**
+ * @file Import soil pits from a CSV or GeoJSON file into the soil_data table at a site, in a single transaction
+ * @license Released under GNU GPLv3 License (see LICENSE.txt).
+ * @example
+ * Usage:
+ *     node import-soil.js config.js survey.csv SITE_ID
+ *     node import-soil.js config.js survey.geojson SITE_ID
+ */
+
+// Node dependencies
+var path = require('path');
+// Node.js fs filesystem module
+var fs = require('fs');
+
+// Modules
+//Postgres 'pg' module, used for database interaction
+var pg = require('pg');
+// Winston logger module, used for logging
+var logger = require('winston');
+// Database module, abstraction layer over queries to database
+var Database = require('./Database.js');
+// VineyardServer module, validates and inserts the soil pits
+var VineyardServer = require('./VineyardServer.js');
+// Audit module, records the import in the audit log
+var Audit = require('./Audit.js');
+// SoilImport module, parses soil survey files
+var SoilImport = require('./SoilImport.js');
+
+if ( process.argv.length < 5 ) {
+	console.log( "Usage: node import-soil.js config.js <survey.csv|survey.geojson> SITE_ID" );
+	process.exit(1);
+}
+
+// Read in config file from argument
+var config = require( __dirname + path.sep + process.argv[2] );
+var file = process.argv[3];
+// Id of the site the pits are at
+var siteId = Number(process.argv[4]);
+
+var database = new Database(config, logger, pg);
+var server = new VineyardServer(config, logger, database, new Audit(config, logger, database));
+var soilImport = new SoilImport(logger);
+
+// Files ending .csv are read as CSV, anything else as GeoJSON
+var rows;
+try {
+	var text = fs.readFileSync(file, 'utf8');
+	if ( path.extname(file).toLowerCase() === '.csv' ) {
+		rows = soilImport.csvToRows(text);
+	} else {
+		rows = soilImport.geoJsonToRows( JSON.parse(text) );
+	}
+} catch (e) {
+	logger.error( "Could not read " + file + ": " + e.message );
+	process.exit(1);
+}
+
+if (!rows.length) {
+	logger.error( file + " does not contain any soil pits" );
+	process.exit(1);
+}
+
+// Imports from the command line are recorded against the script rather than a user
+var auditContext = { username: null, ip: null, route: "import-soil.js " + path.basename(file) };
+
+// Pits are only returned to the users of their site, so the site must exist before anything is imported
+server.getSites({}, function(err, sites){
+	var site = null;
+	if (!err) {
+		sites.forEach( function(candidate) {
+			if (candidate.id === siteId) site = candidate;
+		});
+	}
+	if (err || !site) {
+		// Close the connection pool so the process can exit
+		pg.end();
+		logger.error( err ? "Could not read sites: " + err.message : "Site " + process.argv[4] + " does not exist" );
+		process.exitCode = 1;
+		return;
+	}
+
+	server.importSoilPits({ rows: rows, site_id: siteId, audit: auditContext }, function(err, report){
+		// Close the connection pool so the process can exit
+		pg.end();
+
+		if (err) {
+			logger.error( "Import failed: " + err.message );
+			process.exitCode = 1;
+			return;
+		}
+
+		report.errors.forEach( function(error) {
+			logger.error( "Row " + error.row + ": " + error.message );
+		});
+		if (report.errors.length) {
+			logger.error( report.errors.length + " invalid rows, nothing imported from " + file );
+			process.exitCode = 1;
+		} else {
+			logger.info( report.imported + " soil pits imported from " + file + " to site " + site.name );
+		}
+	});
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+// migrate.js - apply, revert and list database schema migrations
+
+/**
+ * @file Apply, revert or list the database schema migrations in the migrations directory.
+ * 'baseline' records the migrations up to a version as applied without running them, for databases set up before
+ * migrations were tracked.
+ * @license Released under GNU GPLv3 License (see LICENSE.txt).
+ * @example
+ * Usage:
+ *     node migrate.js config.js status
+ *     node migrate.js config.js up
+ *     node migrate.js config.js down
+ *     node migrate.js config.js baseline VERSION
+ */
+
+// Node dependencies
+var path = require('path');
+
+// Modules
+//Postgres 'pg' module, used for database interaction
+var pg = require('pg');
+// Winston logger module, used for logging
+var logger = require('winston');
+// Database module, abstraction layer over queries to database
+var Database = require('./Database.js');
+// Migrations module, reads and runs the migration files
+var Migrations = require('./Migrations.js');
+
+var command = process.argv[3];
+if ( process.argv.length < 4 || ['status', 'up', 'down', 'baseline'].indexOf(command) === -1 || (command === 'baseline' && process.argv.length < 5) ) {
+	console.log( "Usage: node migrate.js config.js <status|up|down|baseline VERSION>" );
+	process.exit(1);
+}
+
+// Read in config file from argument
+var config = require( __dirname + path.sep + process.argv[2] );
+
+var database = new Database(config, logger, pg);
+var migrations = new Migrations(config, logger, database);
+
+/**
+ * Print the migrations, in the same format for every command
+ * @param {Migration[]} list Migrations to print
+ */
+function printMigrations(list) {
+	list.forEach( function(migration) {
+		var state = migration.applied_at ? "applied " + migration.applied_at.toISOString() : "pending";
+		if (!migration.up) state += ", file missing";
+		console.log( migration.version + "-" + migration.name + ": " + state );
+	});
+}
+
+/**
+ * Close the connection pool so the process can exit, and report the result of the command
+ * @param {string} description What the command did, e.g. 'Applied'
+ * @returns {MigrationsCallback} Callback for the command
+ */
+function finish(description) {
+	return function(err, list) {
+		pg.end();
+
+		if (list && command !== 'status') {
+			list.forEach( function(migration) {
+				console.log( description + " " + migration.version + "-" + migration.name );
+			});
+			if (!list.length) console.log( "Nothing to do" );
+		}
+		if (err) {
+			logger.error( "Migration failed: " + err.message );
+			process.exitCode = 1;
+			return;
+		}
+		if (command === 'status') printMigrations(list);
+	};
+}
+
+switch (command) {
+	case 'status':
+		migrations.status( finish() );
+		break;
+	case 'up':
+		migrations.up( finish("Applied") );
+		break;
+	case 'down':
+		migrations.down( finish("Reverted") );
+		break;
+	case 'baseline':
+		migrations.baseline( Number(process.argv[4]), finish("Recorded") );
+		break;
+}
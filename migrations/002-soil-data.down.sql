@@ -0,0 +1,2 @@
+-- The postgis extension is left installed, as other database objects may use it
+DROP TABLE soil_data;
@@ -1,4 +1,5 @@
-CREATE EXTENSION postgis;
+-- Soil pits
+CREATE EXTENSION IF NOT EXISTS postgis;
 
 CREATE TABLE soil_data (
     ogc_fid integer NOT NULL,
@@ -0,0 +1,2 @@
+DROP TABLE users;
+DROP SEQUENCE users_id_seq;
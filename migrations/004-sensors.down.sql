@@ -0,0 +1,3 @@
+DROP TABLE sensor_readings;
+DROP TABLE rem_status;
+DROP TABLE sensors;
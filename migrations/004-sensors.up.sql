@@ -0,0 +1,68 @@
+-- Sensor locations
+CREATE TABLE sensors (
+    pkey serial NOT NULL,
+    area_name character varying,
+    parent_name character varying,
+    the_geom geometry(Point,4326),
+    api_key character varying,
+    CONSTRAINT sensors_pkey PRIMARY KEY (pkey)
+);
+
+COMMENT ON TABLE sensors IS 'Vineyard sensor locations';
+COMMENT ON COLUMN sensors.pkey IS '{integer} [Primary Key] Unique ID for sensor';
+COMMENT ON COLUMN sensors.area_name IS '{character varying} Name of the sensor';
+COMMENT ON COLUMN sensors.parent_name IS '{character varying} Name of the block or area the sensor is in';
+COMMENT ON COLUMN sensors.the_geom IS '{geometry} Location of the sensor';
+COMMENT ON COLUMN sensors.api_key IS '{character varying} SHA-256 hash of the API key the sensor logger uses to submit readings';
+
+CREATE UNIQUE INDEX sensors_api_key_index
+  ON sensors
+  USING btree
+  (api_key);
+
+COMMENT ON INDEX sensors_api_key_index IS 'Index for looking up sensors by API key';
+
+CREATE INDEX sensors_the_geom_index
+  ON sensors
+  USING gist
+  (the_geom);
+
+-- Current sensor state
+CREATE TABLE rem_status (
+    rw integer NOT NULL,
+    state integer,
+    last_updated timestamp with time zone,
+    CONSTRAINT rem_status_pkey PRIMARY KEY (rw)
+);
+
+COMMENT ON TABLE rem_status IS 'Current state of each sensor';
+COMMENT ON COLUMN rem_status.rw IS '{integer} [Primary Key] The pkey of the sensor in its sensor layer table';
+COMMENT ON COLUMN rem_status.state IS '{integer} Current state of the sensor, 0 for normal and higher values for more severe conditions';
+COMMENT ON COLUMN rem_status.last_updated IS '{timestamp with time zone} Time the state was last changed';
+
+-- Sensor readings
+CREATE TABLE sensor_readings (
+    id bigserial NOT NULL,
+    sensor_id integer NOT NULL,
+    measurement character varying NOT NULL,
+    value double precision NOT NULL,
+    recorded_at timestamp with time zone NOT NULL,
+    received_at timestamp with time zone NOT NULL DEFAULT now(),
+    CONSTRAINT sensor_readings_pkey PRIMARY KEY (id),
+    CONSTRAINT sensor_readings_sensor_id_fkey FOREIGN KEY (sensor_id) REFERENCES sensors (pkey) ON DELETE CASCADE
+);
+
+COMMENT ON TABLE sensor_readings IS 'Timestamped readings submitted by sensor loggers';
+COMMENT ON COLUMN sensor_readings.id IS '{bigint} [Primary Key] Unique ID for reading';
+COMMENT ON COLUMN sensor_readings.sensor_id IS '{integer} The pkey of the sensor which took the reading';
+COMMENT ON COLUMN sensor_readings.measurement IS '{character varying} What was measured, e.g. soil_moisture, temperature or leaf_wetness';
+COMMENT ON COLUMN sensor_readings.value IS '{double precision} Measured value';
+COMMENT ON COLUMN sensor_readings.recorded_at IS '{timestamp with time zone} Time the logger took the reading';
+COMMENT ON COLUMN sensor_readings.received_at IS '{timestamp with time zone} Time the server received the reading';
+
+CREATE INDEX sensor_readings_sensor_time_index
+  ON sensor_readings
+  USING btree
+  (sensor_id, measurement, recorded_at);
+
+COMMENT ON INDEX sensor_readings_sensor_time_index IS 'Index for querying readings from a sensor over a time range';
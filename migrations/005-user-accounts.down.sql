@@ -0,0 +1,11 @@
+DROP INDEX users_username_index;
+
+CREATE INDEX users_username_index
+  ON public.users
+  USING btree
+  (username COLLATE pg_catalog."default");
+
+COMMENT ON INDEX users_username_index IS 'Index for looking up users by username';
+COMMENT ON COLUMN users.editor IS '{boolean} If true this user can change flooded states';
+
+ALTER TABLE users DROP COLUMN disabled;
@@ -0,0 +1,30 @@
+-- User account management: disabled accounts, and usernames which must be unique
+-- The unique index cannot be created while two users share a username, so duplicate usernames must be renamed or
+-- deleted first; they can be listed with:
+--   SELECT username, count(*) FROM users GROUP BY username HAVING count(*) > 1;
+
+DO $$
+DECLARE
+  duplicates text;
+BEGIN
+  SELECT string_agg(quote_literal(username), ', ') INTO duplicates
+    FROM (SELECT username FROM users GROUP BY username HAVING count(*) > 1) AS d;
+  IF duplicates IS NOT NULL THEN
+    RAISE EXCEPTION 'Usernames must be unique; rename or delete the users sharing these usernames first: %', duplicates;
+  END IF;
+END
+$$;
+
+ALTER TABLE users ADD COLUMN disabled boolean NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN users.editor IS '{boolean} If true this user can create, update and delete soil pits';
+COMMENT ON COLUMN users.disabled IS '{boolean} If true this user cannot log in';
+
+DROP INDEX users_username_index;
+
+CREATE UNIQUE INDEX users_username_index
+  ON public.users
+  USING btree
+  (username COLLATE pg_catalog."default");
+
+COMMENT ON INDEX users_username_index IS 'Index for looking up users by username, which must be unique';
@@ -0,0 +1,18 @@
+-- Password reset tokens, emailed to users
+
+ALTER TABLE users ADD COLUMN email character varying;
+
+COMMENT ON COLUMN users.email IS '{character varying} Email address password reset links are sent to';
+
+CREATE TABLE public.password_resets
+(
+  token_hash character varying NOT NULL,
+  user_id bigint NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  expires timestamp with time zone NOT NULL,
+  CONSTRAINT password_resets_pkey PRIMARY KEY (token_hash)
+);
+
+COMMENT ON TABLE password_resets IS 'Unused password reset tokens sent to users';
+COMMENT ON COLUMN password_resets.token_hash IS '{character varying} [Primary Key] SHA-256 hash of the reset token, hex encoded';
+COMMENT ON COLUMN password_resets.user_id IS '{bigint} [Foreign Key] User whose password the token can reset';
+COMMENT ON COLUMN password_resets.expires IS '{timestamp with time zone} Time after which the token cannot be used';
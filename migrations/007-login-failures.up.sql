@@ -0,0 +1,17 @@
+-- Failed logins
+CREATE TABLE public.login_failures
+(
+  attempt_type character varying NOT NULL,
+  attempt_value character varying NOT NULL,
+  failures integer NOT NULL,
+  last_failure timestamp with time zone NOT NULL,
+  locked_until timestamp with time zone,
+  CONSTRAINT login_failures_pkey PRIMARY KEY (attempt_type, attempt_value)
+);
+
+COMMENT ON TABLE login_failures IS 'Recent failed logins, used to slow down and lock out password guessing';
+COMMENT ON COLUMN login_failures.attempt_type IS '{character varying} [Primary Key] Either username or ip';
+COMMENT ON COLUMN login_failures.attempt_value IS '{character varying} [Primary Key] The username or client IP address which failed to log in';
+COMMENT ON COLUMN login_failures.failures IS '{integer} Number of recent consecutive failed logins';
+COMMENT ON COLUMN login_failures.last_failure IS '{timestamp with time zone} Time of the most recent failed login';
+COMMENT ON COLUMN login_failures.locked_until IS '{timestamp with time zone} Logins are refused until this time, or allowed if null';
@@ -0,0 +1,29 @@
+-- Personal API tokens
+CREATE TABLE public.api_tokens
+(
+  id bigserial NOT NULL,
+  user_id bigint NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  name character varying NOT NULL,
+  scope character varying NOT NULL DEFAULT 'read',
+  token_hash character varying NOT NULL,
+  created timestamp with time zone NOT NULL DEFAULT now(),
+  last_used timestamp with time zone,
+  CONSTRAINT api_tokens_pkey PRIMARY KEY (id),
+  CONSTRAINT api_tokens_scope_check CHECK (scope IN ('read', 'editor'))
+);
+
+COMMENT ON TABLE api_tokens IS 'Personal API tokens, sent as Authorization: Bearer to access data routes without a session';
+COMMENT ON COLUMN api_tokens.id IS '{bigint} [Primary Key] Unique ID for row';
+COMMENT ON COLUMN api_tokens.user_id IS '{bigint} [Foreign Key] User who owns the token';
+COMMENT ON COLUMN api_tokens.name IS '{character varying} Name given to the token by its user';
+COMMENT ON COLUMN api_tokens.scope IS '{character varying} read to only read data, or editor to also edit data';
+COMMENT ON COLUMN api_tokens.token_hash IS '{character varying} SHA-256 hash of the token, hex encoded';
+COMMENT ON COLUMN api_tokens.created IS '{timestamp with time zone} Time the token was created';
+COMMENT ON COLUMN api_tokens.last_used IS '{timestamp with time zone} Time the token was last used';
+
+CREATE UNIQUE INDEX api_tokens_token_hash_index
+  ON public.api_tokens
+  USING btree
+  (token_hash);
+
+COMMENT ON INDEX api_tokens_token_hash_index IS 'Index for looking up tokens by hash';
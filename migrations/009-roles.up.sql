@@ -0,0 +1,69 @@
+-- Roles and permissions
+
+-- Permissions which can be checked by routes
+CREATE TABLE public.permissions
+(
+  name character varying NOT NULL,
+  description character varying,
+  CONSTRAINT permissions_pkey PRIMARY KEY (name)
+);
+
+COMMENT ON TABLE permissions IS 'Permissions checked by server routes';
+COMMENT ON COLUMN permissions.name IS '{character varying} [Primary Key] Name of the permission, as data set:action';
+COMMENT ON COLUMN permissions.description IS '{character varying} What the permission allows';
+
+INSERT INTO permissions (name, description) VALUES
+	('soil:read', 'View soil pits'),
+	('soil:edit', 'Create, update, delete and import soil pits'),
+	('sensors:read', 'View sensors and their readings'),
+	('users:manage', 'Manage user accounts, roles and login lockouts');
+
+-- Roles, which group permissions
+CREATE TABLE public.roles
+(
+  id serial NOT NULL,
+  name character varying NOT NULL,
+  description character varying,
+  CONSTRAINT roles_pkey PRIMARY KEY (id),
+  CONSTRAINT roles_name_key UNIQUE (name)
+);
+
+COMMENT ON TABLE roles IS 'Roles which users can be given';
+COMMENT ON COLUMN roles.id IS '{integer} [Primary Key] Unique ID for row';
+COMMENT ON COLUMN roles.name IS '{character varying} Unique name of the role';
+COMMENT ON COLUMN roles.description IS '{character varying} Who the role is for';
+
+CREATE TABLE public.role_permissions
+(
+  role_id integer NOT NULL REFERENCES roles (id) ON DELETE CASCADE,
+  permission character varying NOT NULL REFERENCES permissions (name) ON DELETE CASCADE,
+  CONSTRAINT role_permissions_pkey PRIMARY KEY (role_id, permission)
+);
+
+COMMENT ON TABLE role_permissions IS 'Permissions granted by each role';
+
+CREATE TABLE public.user_roles
+(
+  user_id bigint NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  role_id integer NOT NULL REFERENCES roles (id) ON DELETE CASCADE,
+  CONSTRAINT user_roles_pkey PRIMARY KEY (user_id, role_id)
+);
+
+COMMENT ON TABLE user_roles IS 'Roles given to each user; users without roles have the default permissions from the server configuration';
+
+-- Bootstrap default roles
+INSERT INTO roles (name, description) VALUES
+	('manager', 'Vineyard managers, with access to all data'),
+	('grower', 'Growers, who view data and record soil pits'),
+	('consultant', 'Consultants, who view soil and sensor data'),
+	('contractor', 'Contractors, who view sensor data');
+
+INSERT INTO role_permissions (role_id, permission)
+	SELECT roles.id, grants.permission
+	FROM (VALUES
+		('manager', 'soil:read'), ('manager', 'soil:edit'), ('manager', 'sensors:read'), ('manager', 'users:manage'),
+		('grower', 'soil:read'), ('grower', 'soil:edit'), ('grower', 'sensors:read'),
+		('consultant', 'soil:read'), ('consultant', 'sensors:read'),
+		('contractor', 'sensors:read')
+	) AS grants (role, permission)
+	JOIN roles ON roles.name = grants.role;
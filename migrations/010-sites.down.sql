@@ -0,0 +1,4 @@
+ALTER TABLE sensors DROP COLUMN site_id;
+ALTER TABLE soil_data DROP COLUMN site_id;
+DROP TABLE user_sites;
+DROP TABLE sites;
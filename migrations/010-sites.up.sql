@@ -0,0 +1,49 @@
+-- Vineyard sites, and which users can see the data at each site
+
+CREATE TABLE public.sites
+(
+  id serial NOT NULL,
+  name character varying NOT NULL,
+  bounds geometry(Polygon,4326),
+  alerts_key character varying,
+  CONSTRAINT sites_pkey PRIMARY KEY (id),
+  CONSTRAINT sites_name_key UNIQUE (name)
+);
+
+COMMENT ON TABLE sites IS 'Vineyard sites, which own soil and sensor data';
+COMMENT ON COLUMN sites.id IS '{integer} [Primary Key] Unique ID for row';
+COMMENT ON COLUMN sites.name IS '{character varying} Unique name of the site';
+COMMENT ON COLUMN sites.bounds IS '{geometry} Boundary of the site, used to set the initial map view';
+COMMENT ON COLUMN sites.alerts_key IS '{character varying} SHA-256 hash of the key in the URL of the site''s CAP alert feed, or null if the site has no feed';
+
+CREATE UNIQUE INDEX sites_alerts_key_index ON sites USING btree (alerts_key);
+
+CREATE TABLE public.user_sites
+(
+  user_id bigint NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  site_id integer NOT NULL REFERENCES sites (id) ON DELETE CASCADE,
+  CONSTRAINT user_sites_pkey PRIMARY KEY (user_id, site_id)
+);
+
+COMMENT ON TABLE user_sites IS 'Sites each user belongs to; users only see the data of their sites';
+
+-- The data and users already in the database belong to a default site, so they can still see their data once it is
+-- scoped to sites
+INSERT INTO sites (name) VALUES ('Default');
+
+INSERT INTO user_sites (user_id, site_id)
+	SELECT users.id, sites.id FROM users, sites WHERE sites.name = 'Default';
+
+-- Owner of each soil pit and sensor. A site cannot be deleted while it still has data, so its survey and sensor data
+-- is never lost with it
+ALTER TABLE soil_data ADD COLUMN site_id integer REFERENCES sites (id) ON DELETE RESTRICT;
+UPDATE soil_data SET site_id = (SELECT id FROM sites WHERE name = 'Default');
+ALTER TABLE soil_data ALTER COLUMN site_id SET NOT NULL;
+COMMENT ON COLUMN soil_data.site_id IS '{integer} The site the soil pit is at';
+CREATE INDEX soil_data_site_id_index ON soil_data USING btree (site_id);
+
+ALTER TABLE sensors ADD COLUMN site_id integer REFERENCES sites (id) ON DELETE RESTRICT;
+UPDATE sensors SET site_id = (SELECT id FROM sites WHERE name = 'Default');
+ALTER TABLE sensors ALTER COLUMN site_id SET NOT NULL;
+COMMENT ON COLUMN sensors.site_id IS '{integer} The site the sensor is at';
+CREATE INDEX sensors_site_id_index ON sensors USING btree (site_id);
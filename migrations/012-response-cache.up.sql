@@ -0,0 +1,26 @@
+-- Response cache shared between server instances, used when config.cache_backend is 'postgres'
+
+CREATE TABLE public.response_cache
+(
+  key character varying NOT NULL,
+  url character varying NOT NULL,
+  value jsonb NOT NULL,
+  expires_at timestamp with time zone NOT NULL,
+  CONSTRAINT response_cache_pkey PRIMARY KEY (key)
+);
+
+COMMENT ON TABLE response_cache IS 'Cached responses, shared between server instances';
+COMMENT ON COLUMN response_cache.key IS '{character varying} [Primary Key] Cache key, the scope of the response and its URL';
+COMMENT ON COLUMN response_cache.url IS '{character varying} URL of the response, by whose path entries are invalidated';
+COMMENT ON COLUMN response_cache.value IS '{jsonb} The cached response';
+COMMENT ON COLUMN response_cache.expires_at IS '{timestamp with time zone} Time after which the entry is no longer used';
+
+CREATE INDEX response_cache_url_index
+  ON response_cache
+  USING btree
+  (url);
+
+CREATE INDEX response_cache_expires_at_index
+  ON response_cache
+  USING btree
+  (expires_at);
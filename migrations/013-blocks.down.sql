@@ -0,0 +1,3 @@
+-- Deleting the permissions also removes them from the roles
+DELETE FROM permissions WHERE name IN ('blocks:read', 'blocks:edit');
+DROP TABLE blocks;
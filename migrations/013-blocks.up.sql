@@ -0,0 +1,41 @@
+-- Vineyard blocks, the planted areas of each site
+
+CREATE TABLE public.blocks
+(
+  id serial NOT NULL,
+  site_id integer NOT NULL REFERENCES sites (id) ON DELETE RESTRICT,
+  name character varying NOT NULL,
+  variety character varying,
+  clone character varying,
+  rootstock character varying,
+  planting_year integer,
+  row_spacing numeric,
+  area numeric NOT NULL,
+  wkb_geometry geometry(MultiPolygon,4326) NOT NULL,
+  CONSTRAINT blocks_pkey PRIMARY KEY (id)
+);
+
+COMMENT ON TABLE blocks IS 'Vineyard blocks; a site cannot be deleted while it has blocks';
+COMMENT ON COLUMN blocks.id IS '{integer} [Primary Key] Unique ID for row';
+COMMENT ON COLUMN blocks.site_id IS '{integer} The site the block is at';
+COMMENT ON COLUMN blocks.name IS '{character varying} Name or number of the block';
+COMMENT ON COLUMN blocks.variety IS '{character varying} Grape variety planted in the block';
+COMMENT ON COLUMN blocks.clone IS '{character varying} Clone of the variety';
+COMMENT ON COLUMN blocks.rootstock IS '{character varying} Rootstock the vines are grafted to';
+COMMENT ON COLUMN blocks.planting_year IS '{integer} Year the block was planted';
+COMMENT ON COLUMN blocks.row_spacing IS '{numeric} Distance between rows, in metres';
+COMMENT ON COLUMN blocks.area IS '{numeric} Area of the block in hectares, calculated from its geometry by the server';
+COMMENT ON COLUMN blocks.wkb_geometry IS '{geometry} Boundary of the block';
+
+CREATE INDEX blocks_site_id_index ON blocks USING btree (site_id);
+CREATE INDEX blocks_wkb_geometry_index ON blocks USING gist (wkb_geometry);
+
+-- Permissions for the blocks routes, granted to the roles with the matching soil permissions
+INSERT INTO permissions (name, description) VALUES
+	('blocks:read', 'View vineyard blocks'),
+	('blocks:edit', 'Create, update and delete vineyard blocks');
+
+INSERT INTO role_permissions (role_id, permission)
+	SELECT role_id, replace(permission, 'soil:', 'blocks:')
+	FROM role_permissions
+	WHERE permission IN ('soil:read', 'soil:edit');
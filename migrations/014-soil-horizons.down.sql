@@ -0,0 +1,2 @@
+-- soil_data keeps its primary key, which it may have had before the horizons were added
+DROP TABLE soil_horizons;
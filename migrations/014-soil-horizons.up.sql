@@ -0,0 +1,49 @@
+-- Soil profile horizons, the layers of each soil pit from the surface down
+-- Existing pits are migrated to a single horizon each
+
+-- soil_data was created without a primary key, which the horizons need to reference
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conrelid = 'soil_data'::regclass AND contype = 'p') THEN
+    ALTER TABLE soil_data ADD CONSTRAINT soil_data_pkey PRIMARY KEY (ogc_fid);
+  END IF;
+END
+$$;
+
+CREATE TABLE public.soil_horizons
+(
+  id serial NOT NULL,
+  ogc_fid integer NOT NULL REFERENCES soil_data (ogc_fid) ON DELETE CASCADE,
+  top_depth integer NOT NULL,
+  bottom_depth integer,
+  texture character varying,
+  pedality character varying,
+  colour character varying,
+  ph numeric,
+  ec numeric,
+  notes character varying,
+  CONSTRAINT soil_horizons_pkey PRIMARY KEY (id),
+  CONSTRAINT soil_horizons_top_depth_check CHECK (top_depth >= 0),
+  CONSTRAINT soil_horizons_bottom_depth_check CHECK (bottom_depth IS NULL OR bottom_depth > top_depth)
+);
+
+COMMENT ON TABLE soil_horizons IS 'Horizons of each soil pit; soil_data depth, texture and pedality remain as a summary of the pit';
+COMMENT ON COLUMN soil_horizons.id IS '{integer} [Primary Key] Unique ID for row';
+COMMENT ON COLUMN soil_horizons.ogc_fid IS '{integer} The soil pit the horizon is in';
+COMMENT ON COLUMN soil_horizons.top_depth IS '{integer} Depth of the top of the horizon, in cm';
+COMMENT ON COLUMN soil_horizons.bottom_depth IS '{integer} Depth of the bottom of the horizon, in cm, or null if the pit did not reach it';
+COMMENT ON COLUMN soil_horizons.texture IS '{character varying} Texture of the horizon';
+COMMENT ON COLUMN soil_horizons.pedality IS '{character varying} Pedality of the horizon';
+COMMENT ON COLUMN soil_horizons.colour IS '{character varying} Colour of the horizon, e.g. a Munsell notation';
+COMMENT ON COLUMN soil_horizons.ph IS '{numeric} pH of the horizon';
+COMMENT ON COLUMN soil_horizons.ec IS '{numeric} Electrical conductivity of the horizon, in dS/m';
+COMMENT ON COLUMN soil_horizons.notes IS '{character varying} Free text notes on the horizon';
+
+CREATE INDEX soil_horizons_ogc_fid_index ON soil_horizons USING btree (ogc_fid);
+
+-- Each existing pit becomes a single horizon from the surface to its depth, as the server does for pits created without horizons
+INSERT INTO soil_horizons (ogc_fid, top_depth, bottom_depth, texture, pedality)
+	SELECT ogc_fid, 0, CASE WHEN depth > 0 THEN depth END, texture, pedality
+	FROM soil_data
+	WHERE (depth IS NOT NULL OR texture IS NOT NULL OR pedality IS NOT NULL)
+	AND NOT EXISTS (SELECT 1 FROM soil_horizons WHERE soil_horizons.ogc_fid = soil_data.ogc_fid);
@@ -0,0 +1,56 @@
+'use strict';
+
+// sensor-key.js - issue an API key for a sensor logger
+
+/**
+ * @file Generate a new API key for a sensor logger, replacing any existing key.
+ * The key is printed once; only a hash of it is stored in the database.
+ * @license Released under GNU GPLv3 License (see LICENSE.txt).
+ * @example
+ * Usage:
+ *     node sensor-key.js config.js SENSOR_PKEY
+ */
+
+// Node dependencies
+var path = require('path');
+// Node.js crypto module, used to generate the key
+var crypto = require('crypto');
+
+// Modules
+//Postgres 'pg' module, used for database interaction
+var pg = require('pg');
+// Winston logger module, used for logging
+var logger = require('winston');
+// Database module, abstraction layer over queries to database
+var Database = require('./Database.js');
+// VineyardServer module, stores the key
+var VineyardServer = require('./VineyardServer.js');
+
+if ( process.argv.length < 4 ) {
+	console.log( "Usage: node sensor-key.js config.js SENSOR_PKEY" );
+	process.exit(1);
+}
+
+// Read in config file from argument
+var config = require( __dirname + path.sep + process.argv[2] );
+var sensorId = Number( process.argv[3] );
+
+var database = new Database(config, logger, pg);
+var server = new VineyardServer(config, logger, database);
+
+var apiKey = crypto.randomBytes(24).toString('hex');
+
+server.setSensorApiKey({ sensor_id: sensorId, api_key: apiKey }, function(err, data){
+	// Close the connection pool so the process can exit
+	pg.end();
+
+	if (err) {
+		logger.error( "Could not set API key: " + err.message );
+		process.exitCode = 1;
+	} else if (!data.length) {
+		logger.error( "Sensor " + sensorId + " does not exist" );
+		process.exitCode = 1;
+	} else {
+		console.log( apiKey );
+	}
+});
@@ -15,14 +15,14 @@
 var path = require('path');
 // Node.js fs filesystem module
 var fs = require('fs');
+// Node.js crypto module, used to generate password reset tokens
+var crypto = require('crypto');
 
 // Modules
 // Express framework module, used to handle http server interface
 var express = require('express');
 //Postgres 'pg' module, used for database interaction
 var pg = require('pg');
-// memory-cache module, used to cache responses
-var cache = require('memory-cache');
 // body-parser module, used to handle form submissions
 var bodyParser = require('body-parser');
 // cookie-parser module, used for authentication cookies
@@ -37,12 +37,34 @@ var topojson = require('topojson');
 var morgan = require('morgan');
 // Winston logger module, used for logging
 var logger = require('winston');
+// MemoryCache module, caches responses in this process
+var MemoryCache = require('./MemoryCache.js');
+// PostgresCache module, caches responses in the database, shared between server instances
+var PostgresCache = require('./PostgresCache.js');
+// ResponseCache module, caches the responses of the data routes and answers conditional requests for them
+var ResponseCache = require('./ResponseCache.js');
+// ErrorHandler module, writes the responses for errors and unknown routes
+var ErrorHandler = require('./ErrorHandler.js');
+// Interpolation module, interpolates soil pit values into surfaces
+var Interpolation = require('./Interpolation.js');
 // VineyardServer module, application logic and database interaction is handled here
 var VineyardServer = require('./VineyardServer.js');
 // Cap conversion module, transform GeoJson to Cap
 var Cap = require('./Cap.js');
 // Database module, abstraction layer over queries to database
 var Database = require('./Database.js');
+// Validation module, parameter validation functions
+var Validation = require('./Validation.js');
+// SoilImport module, parses uploaded soil survey data
+var SoilImport = require('./SoilImport.js');
+// Export module, transforms GeoJSON to CSV, KML and GPX
+var Export = require('./Export.js');
+// Mailer module, sends email through the configured transport
+var Mailer = require('./Mailer.js');
+// Audit module, records logins and changes in the audit log
+var Audit = require('./Audit.js');
+// Migrations module, checks the database schema is up to date
+var Migrations = require('./Migrations.js');
 // moment module, JS date/time manipulation library
 var moment = require('moment-timezone');
 // Passport authentication middleware
@@ -65,6 +87,9 @@ var config = require( __dirname + path.sep + configFile );
 // Express application instance
 var app = express();
 
+// Read the client IP address from X-Forwarded-For when behind a proxy
+app.set('trust proxy', config.trustProxy);
+
 /////////////
 // Logging //
 /////////////
@@ -140,6 +165,19 @@ pg.connect(config.pg.conString, function(err, client, done){
 // Instance of our configured database object
 var database = new Database(config, logger, pg);
 
+// Database schema migrations, which must all be applied before the server accepts requests
+var migrations = new Migrations(config, logger, database);
+
+// Response cache, shared between server instances if config.cache_backend is 'postgres'
+var cache = config.cache_backend === 'postgres' ? new PostgresCache(config, logger, database) : new MemoryCache(config, logger);
+cache.start();
+var responseCache = new ResponseCache(config, logger, cache);
+// Express middleware which writes the cached response for the request, if there is one
+var serveFromCache = responseCache.middleware();
+
+// Writes the responses for errors, as JSON unless config.legacyErrors is true
+var errorHandler = new ErrorHandler(config, logger);
+
 //////////////
 // Passport //
 //////////////
@@ -165,30 +203,61 @@ function getUserByUsername( username, callback ) {
 }
 
 // Configure passport to use local authentication strategy
-passport.use(new Strategy(
-	function(username, password, cb) {
-		getUserByUsername( username, function(err, user){
+// Failed logins are recorded for the username and client IP address, and logins are refused while either is locked out
+passport.use(new Strategy({ passReqToCallback: true },
+	function(req, username, password, cb) {
+		// Record the failure, then report it to passport with the reason for the login page
+		var loginFailed = function() {
+			server.recordLoginFailure({ username: username, ip: req.ip }, function(err){
+				if (err) {
+					logger.error( "recordLoginFailure: " + err );
+					return cb(err);
+				}
+				return cb(null, false, { message: 'invalid' });
+			});
+		};
+
+		server.getLoginLockouts({ username: username, ip: req.ip }, function(err, lockouts){
 			if (err) {
-				logger.error( "getUserByUsername: " + err );
-			} else {
-				if (user) {
-					hasher.checkPassword(password, user.password, function(err, authenticated) {
-						if (err) {
-							logger.error( "Error checking password: " + err );
-							return cb(err);
-						} else if (authenticated) {
-							logger.info( "User " + username + " successfully authenticated" );
-							return cb(null, user);
-						} else {
-							logger.warn( "User " + username + " failed to authenticate" );
-							return cb(null, false);
-						}
-					});
+				logger.error( "getLoginLockouts: " + err );
+				return cb(err);
+			} else if (lockouts.length) {
+				// Don't check the password while locked out, so guesses are not tested
+				logger.warn( "User " + username + " from " + req.ip + " is locked out until " + lockouts[0].locked_until );
+				return cb(null, false, { message: 'locked' });
+			}
+
+			getUserByUsername( username, function(err, user){
+				if (err) {
+					logger.error( "getUserByUsername: " + err );
+					return cb(err);
 				} else {
-					logger.warn( "getUserByUsername: user '" + username + "' does not exist" );
-					return cb(null, false);
+					if (user && user.disabled) {
+						logger.warn( "User " + username + " is disabled and cannot log in" );
+						return loginFailed();
+					} else if (user) {
+						hasher.checkPassword(password, user.password, function(err, authenticated) {
+							if (err) {
+								logger.error( "Error checking password: " + err );
+								return cb(err);
+							} else if (authenticated) {
+								logger.info( "User " + username + " successfully authenticated" );
+								// A successful login restarts the count of failures for the username
+								server.clearLoginFailures({ attempt_type: 'username', attempt_value: username }, function(err){
+									if (err) logger.error( "clearLoginFailures: " + err );
+									return cb(null, user);
+								});
+							} else {
+								logger.warn( "User " + username + " from " + req.ip + " failed to authenticate" );
+								return loginFailed();
+							}
+						});
+					} else {
+						logger.warn( "getUserByUsername: user '" + username + "' does not exist" );
+						return loginFailed();
+					}
 				}
-			}
+			});
 		});
 	}
 ));
@@ -201,7 +270,11 @@ passport.serializeUser(function(user, cb) {
 // Passport function, reconstruct user object out of session
 passport.deserializeUser(function(username, cb) {
 	getUserByUsername(username, function(err, user) {
-		if ( user ) {
+		if ( user && user.disabled ) {
+			// End the session of a user whose account has been disabled since they logged in
+			logger.warn( "User " + username + " is disabled, ending session" );
+			cb(null, false);
+		} else if ( user ) {
 			cb(null,user);
 		} else {
 			return cb("Could not deserialize user " + username);
@@ -213,11 +286,26 @@ passport.deserializeUser(function(username, cb) {
 // Server //
 ////////////
 
+// Audit log, shared by the routes and VineyardServer
+var audit = new Audit(config, logger, database);
+
 // Create instance of VineyardServer
-var server = new VineyardServer(config, logger, database); // Variable needs to be lowercase or jsdoc output is not correctly linked
+var server = new VineyardServer(config, logger, database, audit); // Variable needs to be lowercase or jsdoc output is not correctly linked
 
 // CAP format converted
-var cap = new Cap(logger);
+var cap = new Cap(config, logger);
+
+// Soil survey upload parser
+var soilImport = new SoilImport(logger);
+
+// CSV, KML and GPX format converter
+var exporter = new Export(logger);
+
+// Soil surface interpolator
+var interpolation = new Interpolation(config, logger);
+
+// Email sender for password reset links
+var mailer = new Mailer(config, logger);
 
 // Winston stream function we can plug in to express so we can capture its logs along with our own
 var winstonStream = {
@@ -243,6 +331,8 @@ app.use( morgan('combined', { stream : winstonStream } ) );
 
 // Initialize Passport and restore authentication state, if any, from the session.
 app.use(bodyParser.urlencoded({ extended: true }));
+// Parse JSON request bodies, used for GeoJSON data submissions
+app.use(bodyParser.json({ type: ['application/json', 'application/geo+json'], limit: config.max_upload_size }));
 app.use(cookieParser());
 
 app.use(expressSession({
@@ -266,6 +356,9 @@ var unprotectedRouter = express.Router();
 var protectedRouter = express.Router();
 
 
+// Authenticate data route requests which carry a personal API token instead of a session
+protectedRouter.use('/data/api', authenticateApiToken);
+
 // Add authentication middleware to all routes and ensure logged in user for any access
 protectedRouter.all('*', connectEnsureLogin.ensureLoggedIn('/login'), function(req, res, next) {
 	next();
@@ -283,177 +376,1591 @@ unprotectedRouter.use('/robots.txt', express.static(config.robots));
 // Enable CORS for data streams
 app.all('/'+config.url_prefix+'/data/*', function(req, res, next){
 	res.header("Access-Control-Allow-Origin", "*");
-	res.header("Access-Control-Allow-Headers", "X-Requested-With");
+	res.header("Access-Control-Allow-Headers", "X-Requested-With, Authorization");
 	next();
 });
 
 
 // Data route for soil data
-protectedRouter.get('/data/api/soil', function(req, res, next){
+protectedRouter.get('/data/api/soil', ensurePermission('soil:read'), loadSites, serveFromCache, function(req, res, next){
+	var options = parseSoilFilterOptions(req.query);
+	if (options instanceof Error) {
+		next(options);
+		return;
+	}
+	options.site_ids = req.sites;
 
-	server.getSoilData(function(err, data){
+	server.getSoilData(options, function(err, data){
 		if (err) {
 			next(err);
 		} else {
 			// Prepare the response data, cache it, and write out the response
-			var responseData = prepareResponse(req, data[0]);
-			cacheTemporarily(req.originalUrl, responseData);
-			writeResponse(res, responseData);
+			var responseData = prepareResponse(req, data[0], 'pit_location');
+			responseCache.put(req, responseData);
+			responseCache.write(req, res, responseData);
 		}
 	});
 });
 
+// Data route for a surface interpolated from the soil pits across a block or bounding box
+// A block's surface reveals its boundary, so it needs permission to read the block too. This is checked before the
+// cache, which is shared by the users of the same sites whatever their permissions.
+protectedRouter.get('/data/api/soil/surface', ensurePermission('soil:read'), ensureParameterPermission('block', 'blocks:read'), loadSites, serveFromCache, function(req, res, next){
+	var options = parseSurfaceOptions(req.query);
+	if (options instanceof Error) {
+		next(options);
+		return;
+	}
+	options.site_ids = req.sites;
 
+	server.getSoilSurfacePoints(options, function(err, data){
+		if (err) {
+			next(err);
+			return;
+		}
+		if (!data.length) {
+			next( createErrorWithStatus("Block " + options.block_id + " does not exist", 404) );
+			return;
+		}
 
-// Fetch user information
-protectedRouter.all('/currentUser', function(req, res, next) {
-	var responseData = {};
-	responseData.code = 200;
-	responseData.headers = {"Content-type":"application/json"};
-	responseData.body = JSON.stringify({username: req.user.username, editor:req.user.editor, admin:req.user.admin}, "utf8");
-	writeResponse(res, responseData);
+		var area = data[0].geometry ? { geometry: data[0].geometry } : { bbox: options.bbox };
+		var surface = interpolation.interpolate(data[0].points, area, options);
+		if (surface instanceof Error) {
+			next( createErrorWithStatus(surface.message, 400) );
+			return;
+		}
+
+		// Prepare the response data, cache it, and write out the response
+		var responseData = prepareResponse(req, surface);
+		responseCache.put(req, responseData);
+		responseCache.write(req, res, responseData);
+	});
 });
 
-// Login page, served direct from file system
-unprotectedRouter.get('/login', function(req, res) {
-    res.sendFile(path.join(__dirname+'/views/login.html'));
+// Data route for vineyard blocks
+protectedRouter.get('/data/api/blocks', ensurePermission('blocks:read'), loadSites, serveFromCache, function(req, res, next){
+	var options = parseBlockFilterOptions(req.query);
+	if (options instanceof Error) {
+		next(options);
+		return;
+	}
+	options.site_ids = req.sites;
+
+	server.getBlocks(options, function(err, data){
+		if (err) {
+			next(err);
+		} else {
+			// Prepare the response data, cache it, and write out the response
+			var responseData = prepareResponse(req, data[0], 'name');
+			responseCache.put(req, responseData);
+			responseCache.write(req, res, responseData);
+		}
+	});
 });
 
-// Login submission, authenticate using passport-local
-unprotectedRouter.post( '/login', passport.authenticate('local', {failureRedirect: '/login', successReturnToOrRedirect: '/' }), function(req, res) {
+// Data route for vineyard blocks with a summary of the soil pits in each block
+protectedRouter.get('/data/api/blocks/soil', ensurePermission('blocks:read'), ensurePermission('soil:read'), loadSites, serveFromCache, function(req, res, next){
+	var options = parseBlockFilterOptions(req.query);
+	if (options instanceof Error) {
+		next(options);
+		return;
+	}
+	options.site_ids = req.sites;
+
+	server.getBlockSoilSummary(options, function(err, data){
+		if (err) {
+			next(err);
+		} else {
+			// Prepare the response data, cache it, and write out the response
+			var responseData = prepareResponse(req, data[0], 'name');
+			responseCache.put(req, responseData);
+			responseCache.write(req, res, responseData);
+		}
+	});
 });
 
-// Logout and redirect to homepage
-protectedRouter.get('/logout', function(req, res){
-	req.logout();
-	res.redirect('/');
+
+// Sensor logger telemetry ingestion, authenticated by the logger's API key rather than a login session
+unprotectedRouter.post('/data/api/sensors/readings', authenticateSensor, function(req, res, next){
+	// Accept a single reading or an array of readings
+	var submitted = Array.isArray(req.body) ? req.body : [req.body];
+	if (submitted.length > config.sensors.max_readings) {
+		next( createErrorWithStatus("A maximum of " + config.sensors.max_readings + " readings can be submitted in one request", 413) );
+		return;
+	}
+
+	// Convert each reading's ISO8601 'recorded_at' time to unix time and validate it
+	var readings = [];
+	for (var i=0; i<submitted.length; i++) {
+		var reading = submitted[i] || {};
+		var recordedAt = moment(reading.recorded_at, moment.ISO_8601, true);
+		if ( !Validation.validateStringParameter(reading.recorded_at) || !recordedAt.isValid() ) {
+			next( createErrorWithStatus("Reading " + i + " is not valid: 'recorded_at' must be an ISO8601 time", 400) );
+			return;
+		}
+
+		readings.push({
+			measurement: reading.measurement,
+			value: reading.value,
+			recorded_at: recordedAt.valueOf() / 1000
+		});
+		var validationErr = server.validateSensorReading(readings[i]);
+		if (validationErr) {
+			next( createErrorWithStatus("Reading " + i + " is not valid: " + validationErr.message, 400) );
+			return;
+		}
+	}
+
+	server.addSensorReadings({ sensor_id: req.sensor.pkey, readings: readings }, function(err, data){
+		if (err) {
+			next(err);
+		} else {
+			logger.debug( "Sensor " + req.sensor.pkey + " submitted " + data.length + " readings" );
+			writeResponse(res, { code: 201, headers: {"Content-type":"application/json"}, body: JSON.stringify({ inserted: data.length }, "utf8") });
+		}
+	});
 });
 
-// Add unauthenticated and authenticated routers
-app.use( '/', unprotectedRouter);
-app.use( '/', protectedRouter );
+// Data route for sensor locations and their current state
+protectedRouter.get('/data/api/sensors', ensurePermission('sensors:read'), loadSites, serveFromCache, function(req, res, next){
+	// Only tables from the configured whitelist can be queried
+	var layer = req.query.layer !== undefined ? req.query.layer : config.pg.default_sensor_layer;
+	if ( !config.pg.sensor_layers.hasOwnProperty(layer) ) {
+		next( createErrorWithStatus("'layer' parameter is not valid, it must be one of: " + Object.keys(config.pg.sensor_layers).join(', '), 400) );
+		return;
+	}
 
-/////////////
-// Helpers //
-/////////////
+	var options = {
+		polygon_layer: config.pg.sensor_layers[layer],
+		minimum_state_filter: req.query.minimum_state_filter !== undefined ? Number(req.query.minimum_state_filter) : 0,
+		site_ids: req.sites
+	};
+	if ( req.query.minimum_state_filter === '' || !Validation.validateIntegerParameter(options.minimum_state_filter) ) {
+		next( createErrorWithStatus("'minimum_state_filter' parameter is not valid, it must be an integer", 400) );
+		return;
+	}
 
-/**
- * Store the response the memory cache with timeout
- * @see {@link config} property cache_timeout
- * @param {string} cacheKey Key for the cache entry
- * @param {object} data Data to store in the cache
- */
-function cacheTemporarily(cacheKey, data){
-	cache.put(cacheKey, data, config.cache_timeout);
-}
+	server.getSensors(options, function(err, data){
+		if (err) {
+			next(err);
+		} else {
+			// Prepare the response data, cache it, and write out the response
+			var responseData = prepareResponse(req, data[0], 'level_name');
+			responseCache.put(req, responseData);
+			responseCache.write(req, res, responseData);
+		}
+	});
+});
 
-// 404 handling
-app.use(function(req, res, next){
-  res.status(404).send('Error 404 - Page not found');
+// Public CAP alert feed for sensor areas in an alert state, for consumption by warning networks
+unprotectedRouter.get('/data/api/alerts/cap/:key', loadAlertsSite, serveFromCache, function(req, res, next){
+	var options = {
+		polygon_layer: config.pg.sensor_layers[config.alerts.layer],
+		minimum_state_filter: 1,
+		site_ids: req.sites
+	};
+
+	server.getSensors(options, function(err, data){
+		if (err) {
+			next(err);
+		} else {
+			// Prepare the response data, cache it, and write out the response
+			var responseData = {
+				code: 200,
+				headers: {"Content-type":"application/atom+xml"},
+				body: cap.geoJsonToAtomCap( data[0].features || [], config.alerts.id_base_url + '/site/' + req.sites[0] )
+			};
+			responseCache.put(req, responseData);
+			responseCache.write(req, res, responseData);
+		}
+	});
 });
 
-/**
- * Create a JavaScript Error object with the supplied status
- * @param {string} message Error message
- * @param {number} status HTTP error status code
- * @returns {Error} New Error object
- */
-function createErrorWithStatus(message, status) {
-	var err = new Error(message);
-	err.status = status;
-	return err;
-}
+// Data route for the readings from one sensor over a time range
+protectedRouter.get('/data/api/sensors/:id/readings', ensurePermission('sensors:read'), loadSites, function(req, res, next){
+	var options = {
+		sensor_id: Number(req.params.id),
+		// Default to the last 24 hours
+		start: req.query.start !== undefined ? moment(req.query.start, moment.ISO_8601, true).unix() : moment().subtract(1, 'day').unix(),
+		end: req.query.end !== undefined ? moment(req.query.end, moment.ISO_8601, true).unix() : moment().unix(),
+		interval: req.query.interval !== undefined ? req.query.interval : 'hourly',
+		site_ids: req.sites
+	};
+	if (req.query.measurement !== undefined) options.measurement = req.query.measurement;
 
-// Error handler function
-app.use(function(err, req, res, next){
-	// TODO Uncomment this code when the client can cope with error status codes
-	logger.error( "Express error: " + err.status + ", " + err.message + ", " + err.stack );
-//	res.status( err.status || 500 );
-//	res.send( err.message );
+	// Validate parameters
+	if ( !Validation.validateIntegerParameter(options.sensor_id) ) {
+		next( createErrorWithStatus("'id' parameter is not valid, it must be an integer", 400) );
+		return;
+	}
+	if ( !Validation.validateNumberParameter(options.start) ) {
+		next( createErrorWithStatus("'start' parameter is not valid, it must be an ISO8601 string", 400) );
+		return;
+	}
+	if ( !Validation.validateNumberParameter(options.end) ) {
+		next( createErrorWithStatus("'end' parameter is not valid, it must be an ISO8601 string", 400) );
+		return;
+	}
+	if ( options.start >= options.end ) {
+		next( createErrorWithStatus("'start' parameter must be before 'end'", 400) );
+		return;
+	}
+	if ( ['raw', 'hourly', 'daily'].indexOf(options.interval) === -1 ) {
+		next( createErrorWithStatus("'interval' parameter is not valid, it must be raw, hourly or daily", 400) );
+		return;
+	}
+	if ( options.measurement !== undefined && !Validation.validateStringParameter(options.measurement) ) {
+		next( createErrorWithStatus("'measurement' parameter is not valid", 400) );
+		return;
+	}
 
-	// TODO Delete this code when the client can cope with error status codes
-	writeResponse( res, { code: 204, headers: {}, body: null } );
+	server.getSensorReadings(options, function(err, data){
+		if (err) {
+			next(err);
+		} else {
+			var responseData;
+			if (req.query.format === 'csv') {
+				responseData = prepareDownloadResponse('sensor-' + options.sensor_id + '-readings.csv', 'csv', exporter.rowsToCsv(data, ['measurement', 'time', 'min', 'mean', 'max', 'count']));
+			} else {
+				responseData = prepareResponse(req, {
+					sensor_id: options.sensor_id,
+					interval: options.interval,
+					start: moment.unix(options.start).toISOString(),
+					end: moment.unix(options.end).toISOString(),
+					readings: data
+				});
+			}
+			writeResponse(res, responseData);
+		}
+	});
 });
 
-/**
- * @typedef {object} HttpResponse
- * @property {number} code HTTP Response code
- * @property {object} headers Object containing HTTP headers as name/value pairs
- * @property {string} headers.(name) HTTP header name
- * @property {string} headers.(value) HTTP header value
- * @property {string} body Response body
- */
+// Create a soil pit from a GeoJSON Point feature
+protectedRouter.post('/data/api/soil', ensurePermission('soil:edit'), loadSites, function(req, res, next){
+	var validationErr = server.validateSoilFeature(req.body);
+	if (validationErr) {
+		next( createErrorWithStatus(validationErr.message, 400) );
+		return;
+	}
+	var siteId = getTargetSite(req);
+	if (siteId instanceof Error) {
+		next(siteId);
+		return;
+	}
 
-/**
- * Prepare the response data for sending to the client.
- * Will optionally format the data as topojson if this is requested via the 'format' parameter.
- * Returns a response object containing everything needed to send a response which can be sent or cached.
- *
- * @param {object} req The express 'req' request object
- * @param {object} data The data we're going to return to the client
- * @returns {HttpResponse} HTTP response object
- */
-function prepareResponse(req, data){
-	var format = req.query.format;
+	server.createSoilPit({ feature: req.body, site_id: siteId, audit: auditContext(req) }, function(err, data){
+		if (err) {
+			next(err);
+		} else {
+			logger.info( "User " + req.user.username + " created soil pit " + data[0].ogc_fid + " at site " + siteId );
+			responseCache.invalidateSoil();
+			writeResponse(res, { code: 201, headers: {"Content-type":"application/json"}, body: JSON.stringify(data[0], "utf8") });
+		}
+	});
+});
 
-	var responseData = {};
+// Bulk import soil pits from an uploaded CSV file or GeoJSON FeatureCollection
+protectedRouter.post('/data/api/soil/import', ensurePermission('soil:edit'), loadSites, bodyParser.text({ type: 'text/csv', limit: config.max_upload_size }), function(req, res, next){
+	var rows;
+	try {
+		if ( req.is('text/csv') ) {
+			rows = soilImport.csvToRows(req.body);
+		} else if ( req.is(['application/json', 'application/geo+json']) ) {
+			rows = soilImport.geoJsonToRows(req.body);
+		} else {
+			next( createErrorWithStatus("Upload must have a Content-Type of text/csv, application/json or application/geo+json", 415) );
+			return;
+		}
+	} catch (e) {
+		next( createErrorWithStatus(e.message, 400) );
+		return;
+	}
+	if (!rows.length) {
+		next( createErrorWithStatus("Upload does not contain any soil pits", 400) );
+		return;
+	}
+	var siteId = getTargetSite(req);
+	if (siteId instanceof Error) {
+		next(siteId);
+		return;
+	}
 
-	if (format === 'topojson' && data.features) {
-		// Convert to topojson and construct the response object
-		var topology = topojson.topology({collection:data},{"property-transform":function(object){return object.properties;}});
+	server.importSoilPits({ rows: rows, site_id: siteId, audit: auditContext(req) }, function(err, report){
+		if (err) {
+			next(err);
+		} else {
+			logger.info( "User " + req.user.username + " imported " + report.imported + " soil pits to site " + siteId + ", " + report.errors.length + " rows rejected" );
+			if (report.imported) responseCache.invalidateSoil();
+			// The report is written directly so invalid rows are returned to the client to be corrected
+			writeResponse(res, { code: report.errors.length ? 400 : 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(report, "utf8") });
+		}
+	});
+});
 
-		addTimestampToResponse(topology);
+// Replace a soil pit with a GeoJSON Point feature
+protectedRouter.put('/data/api/soil/:id', ensurePermission('soil:edit'), loadSites, function(req, res, next){
+	var id = Number(req.params.id);
+	if ( !Validation.validateIntegerParameter(id) ) {
+		next( createErrorWithStatus("'id' parameter is not valid, it must be an integer", 400) );
+		return;
+	}
+	var validationErr = server.validateSoilFeature(req.body);
+	if (validationErr) {
+		next( createErrorWithStatus(validationErr.message, 400) );
+		return;
+	}
 
-		responseData.code = 200;
-		responseData.headers = {"Content-type":"application/json"};
-		responseData.body = JSON.stringify(topology, "utf8");
-	} else {
-		// Construct the response object in JSON format or an empty (but successful) response
-		if (data) {
-			addTimestampToResponse(data);
+	server.updateSoilPit({ id: id, feature: req.body, site_ids: req.sites, audit: auditContext(req) }, function(err, data){
+		if (err) {
+			next(err);
+		} else if (!data.length) {
+			next( createErrorWithStatus("Soil pit " + id + " does not exist", 404) );
+		} else {
+			logger.info( "User " + req.user.username + " updated soil pit " + id );
+			responseCache.invalidateSoil();
+			writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data[0], "utf8") });
+		}
+	});
+});
 
-			responseData.code = 200;
-			responseData.headers = {"Content-type":"application/json"};
-			responseData.body = JSON.stringify(data, "utf8");
+// Delete a soil pit
+protectedRouter.delete('/data/api/soil/:id', ensurePermission('soil:edit'), loadSites, function(req, res, next){
+	var id = Number(req.params.id);
+	if ( !Validation.validateIntegerParameter(id) ) {
+		next( createErrorWithStatus("'id' parameter is not valid, it must be an integer", 400) );
+		return;
+	}
+
+	server.deleteSoilPit({ id: id, site_ids: req.sites, audit: auditContext(req) }, function(err, data){
+		if (err) {
+			next(err);
+		} else if (!data.length) {
+			next( createErrorWithStatus("Soil pit " + id + " does not exist", 404) );
 		} else {
-			responseData.code = 204;
-			responseData.headers = {};
-			responseData.body = null;
+			logger.info( "User " + req.user.username + " deleted soil pit " + id );
+			responseCache.invalidateSoil();
+			writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data[0], "utf8") });
+		}
+	});
+});
+
+// Create a block from a GeoJSON Polygon or MultiPolygon feature
+protectedRouter.post('/data/api/blocks', ensurePermission('blocks:edit'), loadSites, function(req, res, next){
+	var validationErr = server.validateBlockFeature(req.body);
+	if (validationErr) {
+		next( createErrorWithStatus(validationErr.message, 400) );
+		return;
+	}
+	var siteId = getTargetSite(req);
+	if (siteId instanceof Error) {
+		next(siteId);
+		return;
+	}
+
+	server.createBlock({ feature: req.body, site_id: siteId, audit: auditContext(req) }, function(err, data){
+		if (err) {
+			next(err);
+		} else {
+			logger.info( "User " + req.user.username + " created block " + data[0].id + " at site " + siteId );
+			responseCache.invalidateBlocks();
+			writeResponse(res, { code: 201, headers: {"Content-type":"application/json"}, body: JSON.stringify(data[0], "utf8") });
 		}
+	});
+});
+
+// Replace a block with a GeoJSON Polygon or MultiPolygon feature
+protectedRouter.put('/data/api/blocks/:id', ensurePermission('blocks:edit'), loadSites, function(req, res, next){
+	var id = Number(req.params.id);
+	if ( !Validation.validateIntegerParameter(id) ) {
+		next( createErrorWithStatus("'id' parameter is not valid, it must be an integer", 400) );
+		return;
+	}
+	var validationErr = server.validateBlockFeature(req.body);
+	if (validationErr) {
+		next( createErrorWithStatus(validationErr.message, 400) );
+		return;
 	}
 
-	return responseData;
-}
+	server.updateBlock({ id: id, feature: req.body, site_ids: req.sites, audit: auditContext(req) }, function(err, data){
+		if (err) {
+			next(err);
+		} else if (!data.length) {
+			next( createErrorWithStatus("Block " + id + " does not exist", 404) );
+		} else {
+			logger.info( "User " + req.user.username + " updated block " + id );
+			responseCache.invalidateBlocks();
+			writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data[0], "utf8") });
+		}
+	});
+});
 
-/**
- * Add a timestamp property to our response object.
- * The property is at the top level and is called 'QueryTime' and its value is an ISO8601
- * format string, showing local time for the ICT timezone.
- * @param object The object to add the timestamp to.
- */
-function addTimestampToResponse(object) {
-	object.QueryTime = moment().tz('Asia/Jakarta').format('YYYY-MM-DDTHH:mm:ss');
-}
+// Delete a block
+protectedRouter.delete('/data/api/blocks/:id', ensurePermission('blocks:edit'), loadSites, function(req, res, next){
+	var id = Number(req.params.id);
+	if ( !Validation.validateIntegerParameter(id) ) {
+		next( createErrorWithStatus("'id' parameter is not valid, it must be an integer", 400) );
+		return;
+	}
 
-/**
- * Write a response object to the client using express.
- * Will write the response code, response headers and response body, and then end the response stream.
- *
- * @param {object} res Express 'res' response object
- * @param {HttpResponse} responseData HTTP response object
- */
-function writeResponse(res, responseData) {
-	res.writeHead( responseData.code, responseData.headers );
-	res.end( responseData.body );
-}
+	server.deleteBlock({ id: id, site_ids: req.sites, audit: auditContext(req) }, function(err, data){
+		if (err) {
+			next(err);
+		} else if (!data.length) {
+			next( createErrorWithStatus("Block " + id + " does not exist", 404) );
+		} else {
+			logger.info( "User " + req.user.username + " deleted block " + id );
+			responseCache.invalidateBlocks();
+			writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data[0], "utf8") });
+		}
+	});
+});
 
-/////////////////
-// Application //
-/////////////////
+// Fetch user information
+protectedRouter.all('/currentUser', function(req, res, next) {
+	var responseData = {};
+	responseData.code = 200;
+	responseData.headers = {"Content-type":"application/json"};
+	loadPermissions(req, function(err, userPermissions){
+		if (err) {
+			next(err);
+			return;
+		}
+		responseData.body = JSON.stringify({username: req.user.username, editor:req.user.editor, admin:req.user.admin, roles:userPermissions.roles, permissions:userPermissions.permissions}, "utf8");
+		writeResponse(res, responseData);
+	});
+});
+
+// List the logged in user's sites with their bounds, or every site for users who manage users
+protectedRouter.get('/data/api/sites', function(req, res, next){
+	loadPermissions(req, function(err, userPermissions){
+		if (err) {
+			next(err);
+			return;
+		}
+		var all = req.query.all === 'true';
+		if ( all && userPermissions.permissions.indexOf('users:manage') === -1 ) {
+			next( createErrorWithStatus("'users:manage' permission is required to list all sites", 403) );
+			return;
+		}
+
+		server.getSites(all ? {} : { user_id: Number(req.user.id) }, function(err, data){
+			if (err) {
+				next(err);
+			} else {
+				writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data, "utf8") });
+			}
+		});
+	});
+});
+
+// List user accounts
+protectedRouter.get('/data/api/users', ensurePermission('users:manage'), function(req, res, next){
+	server.getUsers(function(err, data){
+		if (err) {
+			next(err);
+		} else {
+			writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data, "utf8") });
+		}
+	});
+});
+
+// Create a user account, hashing the supplied password
+protectedRouter.post('/data/api/users', ensurePermission('users:manage'), function(req, res, next){
+	var body = req.body || {};
+	var options = {
+		username: typeof body.username === 'string' ? body.username.trim() : body.username,
+		email: body.email ? body.email : null,
+		editor: body.editor !== undefined ? body.editor : false,
+		admin: body.admin !== undefined ? body.admin : false
+	};
+	var err;
+	if ( !Validation.validateStringParameter(options.username) ) err = createErrorWithStatus("'username' must be supplied", 400);
+	else if ( !validateNewPassword(body.password) ) err = createErrorWithStatus("'password' must be at least " + config.auth.minPasswordLength + " characters", 400);
+	else if ( options.email !== null && !Validation.validateStringParameter(options.email) ) err = createErrorWithStatus("'email' must be a string", 400);
+	else if ( !Validation.validateBooleanParameter(options.editor) || !Validation.validateBooleanParameter(options.admin) ) err = createErrorWithStatus("'editor' and 'admin' must be booleans", 400);
+	if (err) {
+		next(err);
+		return;
+	}
+
+	hasher.encryptPassword(body.password, function(err, encryptedPassword){
+		if (err) {
+			next(err);
+			return;
+		}
+		options.password = encryptedPassword;
+		options.audit = auditContext(req);
+
+		server.createUser(options, function(err, data){
+			if (err) {
+				next(err);
+			} else if (!data.length) {
+				next( createErrorWithStatus("User " + options.username + " already exists", 409) );
+			} else {
+				logger.info( "User " + req.user.username + " created user " + options.username );
+				writeResponse(res, { code: 201, headers: {"Content-type":"application/json"}, body: JSON.stringify(data[0], "utf8") });
+			}
+		});
+	});
+});
+
+// Change the email address or the editor, admin or disabled flags of a user account
+protectedRouter.patch('/data/api/users/:id', ensurePermission('users:manage'), function(req, res, next){
+	var body = req.body || {};
+	var options = { id: Number(req.params.id) };
+	var err;
+	server.userFlags.forEach( function(flag) {
+		if (body[flag] === undefined) return;
+		options[flag] = body[flag];
+		if ( !Validation.validateBooleanParameter(options[flag]) ) err = createErrorWithStatus("'" + flag + "' must be a boolean", 400);
+	});
+	if (body.email !== undefined) {
+		options.email = body.email ? body.email : null;
+		if ( options.email !== null && !Validation.validateStringParameter(options.email) ) err = createErrorWithStatus("'email' must be a string", 400);
+	}
+	if ( !Validation.validateIntegerParameter(options.id) ) err = createErrorWithStatus("'id' parameter is not valid, it must be an integer", 400);
+	else if ( Object.keys(options).length === 1 ) err = createErrorWithStatus("One of 'email', '" + server.userFlags.join("', '") + "' must be supplied", 400);
+	// Stop admins locking themselves out, so there is always an admin who can manage accounts
+	else if ( options.id === Number(req.user.id) && (options.admin === false || options.disabled === true) ) err = createErrorWithStatus("You cannot remove your own admin permission or disable your own account", 400);
+	if (err) {
+		next(err);
+		return;
+	}
+
+	options.audit = auditContext(req);
+	server.updateUser(options, function(err, data){
+		if (err) {
+			next(err);
+		} else if (!data.length) {
+			next( createErrorWithStatus("User " + options.id + " does not exist", 404) );
+		} else {
+			logger.info( "User " + req.user.username + " updated user " + data[0].username + ": " + JSON.stringify(body) );
+			writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data[0], "utf8") });
+		}
+	});
+});
+
+// Delete a user account
+protectedRouter.delete('/data/api/users/:id', ensurePermission('users:manage'), function(req, res, next){
+	var id = Number(req.params.id);
+	if ( !Validation.validateIntegerParameter(id) ) {
+		next( createErrorWithStatus("'id' parameter is not valid, it must be an integer", 400) );
+		return;
+	}
+	if ( id === Number(req.user.id) ) {
+		next( createErrorWithStatus("You cannot delete your own account", 400) );
+		return;
+	}
+
+	server.deleteUser({ id: id, audit: auditContext(req) }, function(err, data){
+		if (err) {
+			next(err);
+		} else if (!data.length) {
+			next( createErrorWithStatus("User " + id + " does not exist", 404) );
+		} else {
+			logger.info( "User " + req.user.username + " deleted user " + id );
+			writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data[0], "utf8") });
+		}
+	});
+});
+
+// List roles and the permissions they grant
+protectedRouter.get('/data/api/roles', ensurePermission('users:manage'), function(req, res, next){
+	server.getRoles(function(err, data){
+		if (err) {
+			next(err);
+		} else {
+			writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data, "utf8") });
+		}
+	});
+});
+
+// Replace the roles of a user account
+protectedRouter.put('/data/api/users/:id/roles', ensurePermission('users:manage'), function(req, res, next){
+	var body = req.body || {};
+	var options = { id: Number(req.params.id), roles: body.roles };
+	if ( !Validation.validateIntegerParameter(options.id) ) {
+		next( createErrorWithStatus("'id' parameter is not valid, it must be an integer", 400) );
+		return;
+	}
+	if ( !Array.isArray(options.roles) ) {
+		next( createErrorWithStatus("'roles' must be an array of role names", 400) );
+		return;
+	}
+
+	server.getRoles(function(err, roles){
+		if (err) {
+			next(err);
+			return;
+		}
+		var roleNames = roles.map( function(role) { return role.name; } );
+		var unknownRoles = options.roles.filter( function(role) { return roleNames.indexOf(role) === -1; } );
+		if (unknownRoles.length) {
+			next( createErrorWithStatus("Unknown roles: " + unknownRoles.join(', '), 400) );
+			return;
+		}
+
+		options.audit = auditContext(req);
+		server.setUserRoles(options, function(err, data){
+			if (err) {
+				next(err);
+			} else if (!data.length) {
+				next( createErrorWithStatus("User " + options.id + " does not exist", 404) );
+			} else {
+				logger.info( "User " + req.user.username + " set the roles of user " + options.id + " to " + options.roles.join(', ') );
+				writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify({ id: options.id, roles: options.roles }, "utf8") });
+			}
+		});
+	});
+});
+
+// Replace the sites a user account belongs to
+protectedRouter.put('/data/api/users/:id/sites', ensurePermission('users:manage'), function(req, res, next){
+	var body = req.body || {};
+	var options = { id: Number(req.params.id), site_ids: body.sites };
+	if ( !Validation.validateIntegerParameter(options.id) ) {
+		next( createErrorWithStatus("'id' parameter is not valid, it must be an integer", 400) );
+		return;
+	}
+	if ( !Array.isArray(options.site_ids) || !server.validateSiteIds(options.site_ids) ) {
+		next( createErrorWithStatus("'sites' must be an array of site ids", 400) );
+		return;
+	}
+
+	server.getSites({}, function(err, sites){
+		if (err) {
+			next(err);
+			return;
+		}
+		var siteIds = sites.map( function(site) { return site.id; } );
+		var unknownSites = options.site_ids.filter( function(site) { return siteIds.indexOf(site) === -1; } );
+		if (unknownSites.length) {
+			next( createErrorWithStatus("Unknown sites: " + unknownSites.join(', '), 400) );
+			return;
+		}
+
+		options.audit = auditContext(req);
+		server.setUserSites(options, function(err, data){
+			if (err) {
+				next(err);
+			} else if (!data.length) {
+				next( createErrorWithStatus("User " + options.id + " does not exist", 404) );
+			} else {
+				logger.info( "User " + req.user.username + " set the sites of user " + options.id + " to " + options.site_ids.join(', ') );
+				writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify({ id: options.id, sites: options.site_ids }, "utf8") });
+			}
+		});
+	});
+});
+
+// Query the audit log, newest entries first
+protectedRouter.get('/data/api/audit', ensurePermission('users:manage'), function(req, res, next){
+	var options = {};
+	if (req.query.username !== undefined) options.username = req.query.username;
+	if (req.query.start !== undefined) options.start = moment(req.query.start, moment.ISO_8601, true).unix();
+	if (req.query.end !== undefined) options.end = moment(req.query.end, moment.ISO_8601, true).unix();
+
+	// Validate parameters
+	if ( options.username !== undefined && !Validation.validateStringParameter(options.username) ) {
+		next( createErrorWithStatus("'username' parameter is not valid", 400) );
+		return;
+	}
+	if ( options.start !== undefined && !Validation.validateNumberParameter(options.start) ) {
+		next( createErrorWithStatus("'start' parameter is not valid, it must be an ISO8601 string", 400) );
+		return;
+	}
+	if ( options.end !== undefined && !Validation.validateNumberParameter(options.end) ) {
+		next( createErrorWithStatus("'end' parameter is not valid, it must be an ISO8601 string", 400) );
+		return;
+	}
+	if ( options.start !== undefined && options.end !== undefined && options.start >= options.end ) {
+		next( createErrorWithStatus("'start' parameter must be before 'end'", 400) );
+		return;
+	}
+
+	audit.getEntries(options, function(err, data){
+		if (err) {
+			next(err);
+		} else {
+			writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data, "utf8") });
+		}
+	});
+});
+
+// List the usernames and IP addresses currently locked out of logging in
+protectedRouter.get('/data/api/lockouts', ensurePermission('users:manage'), function(req, res, next){
+	server.getLoginLockouts({}, function(err, data){
+		if (err) {
+			next(err);
+		} else {
+			writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data, "utf8") });
+		}
+	});
+});
+
+// Clear the failed logins of a username or IP address, ending its lockout
+protectedRouter.delete('/data/api/lockouts/:type/:value', ensurePermission('users:manage'), function(req, res, next){
+	var options = { attempt_type: req.params.type, attempt_value: req.params.value };
+	if ( server.loginFailureTypes.indexOf(options.attempt_type) === -1 ) {
+		next( createErrorWithStatus("Lockout type must be one of: " + server.loginFailureTypes.join(', '), 400) );
+		return;
+	}
+
+	server.clearLoginFailures(options, function(err, data){
+		if (err) {
+			next(err);
+		} else if (!data.length) {
+			next( createErrorWithStatus("No failed logins are recorded for " + options.attempt_type + " " + options.attempt_value, 404) );
+		} else {
+			logger.info( "User " + req.user.username + " cleared failed logins for " + options.attempt_type + " " + options.attempt_value );
+			audit.record( auditEntry(req, 'lockout.clear', data[0], null) );
+			writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data[0], "utf8") });
+		}
+	});
+});
+
+// List the logged in user's personal API tokens
+protectedRouter.get('/data/api/tokens', ensureSession, function(req, res, next){
+	server.getApiTokens({ user_id: Number(req.user.id) }, function(err, data){
+		if (err) {
+			next(err);
+		} else {
+			writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data, "utf8") });
+		}
+	});
+});
+
+// Create a personal API token; the token is only returned in this response
+protectedRouter.post('/data/api/tokens', ensureSession, function(req, res, next){
+	var body = req.body || {};
+	var options = {
+		user_id: Number(req.user.id),
+		name: typeof body.name === 'string' ? body.name.trim() : body.name,
+		scope: body.scope !== undefined ? body.scope : 'read',
+		token: crypto.randomBytes(32).toString('hex')
+	};
+	var err;
+	if ( !Validation.validateStringParameter(options.name) ) err = createErrorWithStatus("'name' must be supplied", 400);
+	else if ( server.apiTokenScopes.indexOf(options.scope) === -1 ) err = createErrorWithStatus("'scope' must be one of: " + server.apiTokenScopes.join(', '), 400);
+	if (err) {
+		next(err);
+		return;
+	}
+
+	loadPermissions(req, function(err, userPermissions){
+		if (err) {
+			next(err);
+			return;
+		}
+		// Editor scope is only useful to users who have permission to edit something
+		if ( options.scope === 'editor' && tokenPermissions(userPermissions.permissions, 'editor').length === tokenPermissions(userPermissions.permissions, 'read').length ) {
+			next( createErrorWithStatus("Only users with permission to edit data can create tokens with editor scope", 403) );
+			return;
+		}
+
+		server.createApiToken(options, function(err, data){
+			if (err) {
+				next(err);
+			} else {
+				logger.info( "User " + req.user.username + " created " + options.scope + " API token " + data[0].id );
+				audit.record( auditEntry(req, 'token.create', null, { id: data[0].id, name: options.name, scope: options.scope }) );
+				data[0].token = options.token;
+				writeResponse(res, { code: 201, headers: {"Content-type":"application/json"}, body: JSON.stringify(data[0], "utf8") });
+			}
+		});
+	});
+});
+
+// Revoke one of the logged in user's personal API tokens
+protectedRouter.delete('/data/api/tokens/:id', ensureSession, function(req, res, next){
+	var id = Number(req.params.id);
+	if ( !Validation.validateIntegerParameter(id) ) {
+		next( createErrorWithStatus("'id' parameter is not valid, it must be an integer", 400) );
+		return;
+	}
+
+	server.deleteApiToken({ id: id, user_id: Number(req.user.id) }, function(err, data){
+		if (err) {
+			next(err);
+		} else if (!data.length) {
+			next( createErrorWithStatus("API token " + id + " does not exist", 404) );
+		} else {
+			logger.info( "User " + req.user.username + " revoked API token " + id );
+			audit.record( auditEntry(req, 'token.revoke', { id: id }, null) );
+			writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify(data[0], "utf8") });
+		}
+	});
+});
+
+// API token management page, served direct from file system
+protectedRouter.get('/tokens', function(req, res) {
+	res.sendFile(path.join(__dirname+'/views/tokens.html'));
+});
+
+// User management page for admins, served direct from file system
+protectedRouter.get('/admin', ensurePermission('users:manage'), function(req, res) {
+	res.sendFile(path.join(__dirname+'/views/admin.html'));
+});
+
+// Change password page, served direct from file system
+protectedRouter.get('/password', function(req, res) {
+	res.sendFile(path.join(__dirname+'/views/password.html'));
+});
+
+// Change the logged in user's password, after checking their current password
+protectedRouter.post('/password', function(req, res, next){
+	var body = req.body || {};
+	if ( !Validation.validateStringParameter(body.current_password) ) {
+		next( createErrorWithStatus("'current_password' must be supplied", 400) );
+		return;
+	}
+	if ( !validateNewPassword(body.new_password) ) {
+		next( createErrorWithStatus("'new_password' must be at least " + config.auth.minPasswordLength + " characters", 400) );
+		return;
+	}
+
+	hasher.checkPassword(body.current_password, req.user.password, function(err, authenticated) {
+		if (err) {
+			next(err);
+		} else if (!authenticated) {
+			logger.warn( "User " + req.user.username + " failed to change password, current password is incorrect" );
+			next( createErrorWithStatus("Current password is incorrect", 403) );
+		} else {
+			hasher.encryptPassword(body.new_password, function(err, encryptedPassword){
+				if (err) {
+					next(err);
+					return;
+				}
+				server.setUserPassword({ id: Number(req.user.id), password: encryptedPassword }, function(err){
+					if (err) {
+						next(err);
+					} else {
+						logger.info( "User " + req.user.username + " changed their password" );
+						audit.record( auditEntry(req, 'password.change', null, { id: Number(req.user.id) }) );
+						writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify({ message: "Password changed" }, "utf8") });
+					}
+				});
+			});
+		}
+	});
+});
+
+// Password reset page, for requesting a reset link and for choosing a new password with one
+unprotectedRouter.get('/password/reset', function(req, res) {
+	res.sendFile(path.join(__dirname+'/views/reset-password.html'));
+});
+
+// Request a password reset link, which is emailed to the user
+unprotectedRouter.post('/password/forgot', function(req, res, next){
+	var body = req.body || {};
+	if ( !Validation.validateStringParameter(body.username) ) {
+		next( createErrorWithStatus("'username' must be supplied", 400) );
+		return;
+	}
+
+	// The response is the same whether or not the account exists, so it cannot be used to discover usernames
+	var responseData = { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify({ message: "If the account exists and has an email address, a reset link has been sent to it" }, "utf8") };
+
+	var token = crypto.randomBytes(32).toString('hex');
+	var options = {
+		username: body.username.trim(),
+		token: token,
+		expires: moment().add(config.auth.resetTokenLifetime, 'seconds').unix()
+	};
+	server.createPasswordReset(options, function(err, data){
+		if (err) {
+			next(err);
+		} else if (!data.length) {
+			logger.warn( "Password reset requested for unknown, disabled or emailless user '" + options.username + "' from " + req.ip );
+			writeResponse(res, responseData);
+		} else {
+			var message = {
+				to: data[0].email,
+				subject: "Vineyard sensor map password reset",
+				text: "A password reset was requested for your vineyard sensor map account '" + data[0].username + "'.\n\n" +
+					"To choose a new password, visit:\n" +
+					config.auth.resetUrl + "?token=" + token + "\n\n" +
+					"This link can be used once and expires in " + Math.round(config.auth.resetTokenLifetime / 60) + " minutes. " +
+					"If you did not request a reset, you can ignore this email."
+			};
+			// A mail error is only logged, as an error response would show that the account exists
+			mailer.sendMail(message, function(err){
+				if (err) {
+					logger.error( "Password reset link could not be sent to user " + data[0].username + ": " + err.message );
+				} else {
+					logger.info( "Password reset link sent to user " + data[0].username );
+				}
+				writeResponse(res, responseData);
+			});
+		}
+	});
+});
+
+// Set a new password using a reset token
+unprotectedRouter.post('/password/reset', function(req, res, next){
+	var body = req.body || {};
+	if ( !Validation.validateStringParameter(body.token) ) {
+		next( createErrorWithStatus("'token' must be supplied", 400) );
+		return;
+	}
+	if ( !validateNewPassword(body.password) ) {
+		next( createErrorWithStatus("'password' must be at least " + config.auth.minPasswordLength + " characters", 400) );
+		return;
+	}
+
+	hasher.encryptPassword(body.password, function(err, encryptedPassword){
+		if (err) {
+			next(err);
+			return;
+		}
+		server.resetPassword({ token: body.token, password: encryptedPassword }, function(err, data){
+			if (err) {
+				next(err);
+			} else if (!data.length) {
+				next( createErrorWithStatus("Reset link is not valid, it may have expired or already been used", 400) );
+			} else {
+				logger.info( "User " + data[0].username + " reset their password" );
+				audit.record( auditEntry(req, 'password.reset', null, { id: data[0].id }, data[0].username) );
+				writeResponse(res, { code: 200, headers: {"Content-type":"application/json"}, body: JSON.stringify({ message: "Password changed" }, "utf8") });
+			}
+		});
+	});
+});
+
+// Login page, served direct from file system
+unprotectedRouter.get('/login', function(req, res) {
+    res.sendFile(path.join(__dirname+'/views/login.html'));
+});
+
+// Login submission, authenticate using passport-local
+// On failure the reason is passed back to the login page so it can show an error
+unprotectedRouter.post( '/login', function(req, res, next) {
+	passport.authenticate('local', function(err, user, info) {
+		if (err) {
+			next(err);
+		} else if (!user) {
+			var reason = info && info.message === 'locked' ? 'locked' : 'invalid';
+			audit.record( auditEntry(req, 'login.failed', null, { reason: reason }, req.body && typeof req.body.username === 'string' ? req.body.username : null) );
+			res.redirect( '/login?error=' + reason );
+		} else {
+			req.logIn(user, function(err) {
+				if (err) {
+					next(err);
+					return;
+				}
+				audit.record( auditEntry(req, 'login', null, null) );
+				// Return to the page which required the login, as connect-ensure-login stored it in the session
+				var returnTo = req.session.returnTo || '/';
+				delete req.session.returnTo;
+				res.redirect(returnTo);
+			});
+		}
+	})(req, res, next);
+});
+
+// Logout and redirect to homepage
+protectedRouter.get('/logout', function(req, res){
+	audit.record( auditEntry(req, 'logout', null, null) );
+	req.logout();
+	res.redirect('/');
+});
+
+// Add unauthenticated and authenticated routers
+app.use( '/', unprotectedRouter);
+app.use( '/', protectedRouter );
+
+/////////////
+// Helpers //
+/////////////
+
+/**
+ * Create express middleware which only allows the request to continue if the logged in user has a permission.
+ * Must be used on a protected route, after the user has been authenticated.
+ * @param {string} permission Name of the permission, e.g. 'soil:edit'
+ * @returns {function} Express middleware function
+ */
+function ensurePermission(permission) {
+	return function(req, res, next) {
+		loadPermissions(req, function(err, userPermissions){
+			if (err) {
+				next(err);
+			} else if (userPermissions.permissions.indexOf(permission) !== -1) {
+				next();
+			} else {
+				logger.warn( "User " + req.user.username + " does not have '" + permission + "' permission and cannot " + req.method + " " + req.originalUrl );
+				next( createErrorWithStatus("'" + permission + "' permission is required", 403) );
+			}
+		});
+	};
+}
+
+/**
+ * Create express middleware which only allows the request to continue if the logged in user has a permission, when a
+ * query parameter is supplied. Requests without the parameter continue whatever the user's permissions.
+ * Must be used on a protected route, after the user has been authenticated.
+ * @param {string} parameter Name of the query parameter, e.g. 'block'
+ * @param {string} permission Name of the permission the parameter needs, e.g. 'blocks:read'
+ * @returns {function} Express middleware function
+ */
+function ensureParameterPermission(parameter, permission) {
+	var checkPermission = ensurePermission(permission);
+	return function(req, res, next) {
+		if (req.query[parameter] === undefined) {
+			next();
+		} else {
+			checkPermission(req, res, next);
+		}
+	};
+}
+
+/**
+ * Load the roles and effective permissions of the logged in user, caching them on the request as 'req.permissions'.
+ * Requests authenticated by an API token only have the permissions allowed by the token's scope.
+ * @param {object} req Express 'req' request object
+ * @param {function} callback Callback with arguments (err, {UserPermissions})
+ */
+function loadPermissions(req, callback) {
+	if (req.permissions) {
+		callback(null, req.permissions);
+		return;
+	}
+
+	server.getUserPermissions({ user: req.user }, function(err, userPermissions){
+		if (err) {
+			callback(err);
+			return;
+		}
+		if (req.authInfo && req.authInfo.token_id) {
+			userPermissions.permissions = tokenPermissions(userPermissions.permissions, req.authInfo.scope);
+		}
+		req.permissions = userPermissions;
+		callback(null, userPermissions);
+	});
+}
+
+/**
+ * Limit a user's permissions to those allowed by an API token scope.
+ * 'read' tokens only have permissions to read data sets; no token can manage users.
+ * @param {string[]} permissions The user's permissions
+ * @param {string} scope The token's scope
+ * @returns {string[]} The token's permissions
+ */
+function tokenPermissions(permissions, scope) {
+	return permissions.filter( function(permission) {
+		if (permission === 'users:manage') return false;
+		return scope === 'editor' || /:read$/.test(permission);
+	});
+}
+
+/**
+ * Express middleware which loads the ids of the sites the logged in user belongs to as 'req.sites', so data routes only
+ * read and write the data of those sites. An optional 'site' query parameter narrows the request to one of the user's sites.
+ * Must be used on a protected route, after the user has been authenticated.
+ * @param {object} req Express 'req' request object
+ * @param {object} res Express 'res' response object
+ * @param {function} next Express 'next' callback
+ */
+function loadSites(req, res, next) {
+	server.getSites({ user_id: Number(req.user.id) }, function(err, sites){
+		if (err) {
+			next(err);
+			return;
+		}
+
+		req.sites = sites.map( function(site) { return site.id; } );
+		if (req.query.site !== undefined) {
+			var site = Number(req.query.site);
+			if ( req.sites.indexOf(site) === -1 ) {
+				next( createErrorWithStatus("'site' parameter is not valid, it must be the id of one of your sites", 403) );
+				return;
+			}
+			req.sites = [site];
+		}
+		next();
+	});
+}
+
+/**
+ * Express middleware for the public alert feed, which loads the site whose feed key is in the 'key' route parameter
+ * as 'req.sites', so the feed only publishes the alerts of that site.
+ * Responds with '404 Not Found' if the key is not the feed key of any site.
+ * @param {object} req Express 'req' request object
+ * @param {object} res Express 'res' response object
+ * @param {function} next Express 'next' callback
+ */
+function loadAlertsSite(req, res, next) {
+	server.getSiteByAlertsKey({ alerts_key: req.params.key }, function(err, sites){
+		if (err) {
+			next(err);
+			return;
+		}
+		if (!sites.length) {
+			next( createErrorWithStatus("No alert feed has this key", 404) );
+			return;
+		}
+
+		req.sites = [sites[0].id];
+		next();
+	});
+}
+
+/**
+ * Choose the site new data is written to: the site in the 'site' query parameter, or the user's only site.
+ * Must be used after loadSites.
+ * @param {object} req Express 'req' request object
+ * @returns {(number|Error)} Site id, or an Error with a status if no single site can be chosen
+ */
+function getTargetSite(req) {
+	if (!req.sites.length) return createErrorWithStatus("You do not belong to any sites", 403);
+	if (req.sites.length > 1) return createErrorWithStatus("'site' parameter must be supplied to choose one of your sites", 400);
+	return req.sites[0];
+}
+
+/**
+ * Describe who made a request, for the audit log.
+ * @param {object} req Express 'req' request object
+ * @param {string=} username Username to record instead of the logged in user's, e.g. for failed logins
+ * @returns {AuditContext} Audit context
+ */
+function auditContext(req, username) {
+	return {
+		username: username !== undefined ? username : (req.user ? req.user.username : null),
+		ip: req.ip,
+		route: req.method + " " + req.originalUrl
+	};
+}
+
+/**
+ * Build an audit log entry for an event in a request.
+ * @param {object} req Express 'req' request object
+ * @param {string} action What happened, e.g. 'login'
+ * @param {?object} before The changed record before the event
+ * @param {?object} after The changed record after the event
+ * @param {string=} username Username to record instead of the logged in user's, e.g. for failed logins
+ * @returns {AuditEntry} Audit entry
+ */
+function auditEntry(req, action, before, after, username) {
+	var entry = auditContext(req, username);
+	entry.action = action;
+	entry.before = before;
+	entry.after = after;
+	return entry;
+}
+
+/**
+ * Express middleware which only allows the request to continue if the user logged in with a session, rather than an API token.
+ * Must be used on a protected route, after the user has been authenticated.
+ * @param {object} req Express 'req' request object
+ * @param {object} res Express 'res' response object
+ * @param {function} next Express 'next' callback
+ */
+function ensureSession(req, res, next) {
+	if (req.authInfo && req.authInfo.token_id) {
+		next( createErrorWithStatus("API tokens cannot be used for this route, please log in", 403) );
+	} else {
+		next();
+	}
+}
+
+/**
+ * Express middleware which authenticates a user by the personal API token in an 'Authorization: Bearer' header.
+ * Requests without the header continue unchanged, to be authenticated by their session.
+ * On success the token's user is stored as 'req.user' with their permissions limited to the token's scope, and the token's
+ * 'token_id' and 'scope' are stored as 'req.authInfo'.
+ * @param {object} req Express 'req' request object
+ * @param {object} res Express 'res' response object
+ * @param {function} next Express 'next' callback
+ */
+function authenticateApiToken(req, res, next) {
+	var authorization = req.get('Authorization');
+	if (!authorization) {
+		next();
+		return;
+	}
+	var match = /^Bearer\s+(\S+)$/i.exec(authorization);
+	if (!match) {
+		next( createErrorWithStatus("'Authorization' header must be 'Bearer' followed by an API token", 401) );
+		return;
+	}
+
+	server.getUserByApiToken({ token: match[1] }, function(err, data){
+		if (err) {
+			next(err);
+		} else if (!data.length) {
+			logger.warn( "API token from " + req.ip + " was not recognised" );
+			next( createErrorWithStatus("API token is not valid", 401) );
+		} else {
+			var user = data[0];
+			// Tokens only carry editor permission with editor scope, and never admin permission
+			user.editor = Boolean(user.editor) && user.scope === 'editor';
+			user.admin = false;
+			req.user = user;
+			req.authInfo = { token_id: user.token_id, scope: user.scope };
+			next();
+		}
+	});
+}
+
+/**
+ * Express middleware which authenticates a sensor logger by the API key in its 'X-Api-Key' header.
+ * On success the sensor's database row is stored as 'req.sensor'.
+ * @param {object} req Express 'req' request object
+ * @param {object} res Express 'res' response object
+ * @param {function} next Express 'next' callback
+ */
+function authenticateSensor(req, res, next) {
+	var apiKey = req.get('X-Api-Key');
+	if (!apiKey) {
+		next( createErrorWithStatus("'X-Api-Key' header must be supplied", 401) );
+		return;
+	}
+
+	server.getSensorByApiKey({ api_key: apiKey }, function(err, data){
+		if (err) {
+			next(err);
+		} else if (!data.length) {
+			logger.warn( "Sensor API key from " + req.ip + " was not recognised" );
+			next( createErrorWithStatus("API key is not valid", 401) );
+		} else {
+			req.sensor = data[0];
+			next();
+		}
+	});
+}
+
+/**
+ * Check that a new password is a string of at least the configured minimum length.
+ * @param {*} password Password supplied by the user
+ * @returns {boolean} True if the password can be used
+ */
+function validateNewPassword(password) {
+	return Validation.validateStringParameter(password) && password.length >= config.auth.minPasswordLength;
+}
+
+/**
+ * Split a list query parameter into an array of values.
+ * Lists may be given comma-delimited (texture=SL,SC) or as repeated parameters (texture=SL&texture=SC).
+ * @param {(string|string[])} param Query parameter value
+ * @returns {string[]} Array of the individual values
+ */
+function parseListParameter(param) {
+	var values = [].concat(param).join(',').split(',');
+	return values.filter( function(value) { return value !== ''; } );
+}
+
+/**
+ * Read the soil data filter parameters from the query string into an options object
+ * for VineyardServer.getSoilData, validating each parameter which has been supplied.
+ * @param {object} query The express 'req.query' object
+ * @returns {(object|Error)} Options object, or an Error with status 400 if a parameter is invalid
+ */
+function parseSoilFilterOptions(query) {
+	var options = {};
+
+	if (query.texture !== undefined) {
+		options.texture = parseListParameter(query.texture);
+		if ( !Validation.validateArrayParameter(options.texture, Validation.validateStringParameter) ) return createErrorWithStatus("'texture' parameter is not valid, it must be a comma-delimited list of texture codes", 400);
+	}
+	if (query.pedality !== undefined) {
+		options.pedality = parseListParameter(query.pedality);
+		if ( !Validation.validateArrayParameter(options.pedality, Validation.validateStringParameter) ) return createErrorWithStatus("'pedality' parameter is not valid, it must be a comma-delimited list of pedality codes", 400);
+	}
+	if (query.min_depth !== undefined) {
+		options.min_depth = Number(query.min_depth);
+		if ( query.min_depth === '' || !Validation.validateNumberParameter(options.min_depth) ) return createErrorWithStatus("'min_depth' parameter is not valid, it must be a number", 400);
+	}
+	if (query.max_depth !== undefined) {
+		options.max_depth = Number(query.max_depth);
+		if ( query.max_depth === '' || !Validation.validateNumberParameter(options.max_depth) ) return createErrorWithStatus("'max_depth' parameter is not valid, it must be a number", 400);
+	}
+	if (options.min_depth !== undefined && options.max_depth !== undefined && options.min_depth > options.max_depth) {
+		return createErrorWithStatus("'min_depth' parameter must not be greater than 'max_depth'", 400);
+	}
+	if (query.pit_location !== undefined) {
+		options.pit_location = parseListParameter(query.pit_location).map(Number);
+		if ( !Validation.validateArrayParameter(options.pit_location, Validation.validateIntegerParameter) ) return createErrorWithStatus("'pit_location' parameter is not valid, it must be a comma-delimited list of integers", 400);
+	}
+	if (query.bbox !== undefined) {
+		options.bbox = parseListParameter(query.bbox).map(Number);
+		if ( !Validation.validateBoundingBoxParameter(options.bbox) ) return createErrorWithStatus("'bbox' parameter is not valid, it must be minLon,minLat,maxLon,maxLat in WGS84 degrees", 400);
+	}
+	if (query.near !== undefined || query.radius !== undefined) {
+		if (query.near === undefined || query.radius === undefined) return createErrorWithStatus("'near' and 'radius' parameters must be supplied together", 400);
+		options.near = parseListParameter(query.near).map(Number);
+		if ( !Validation.validatePointParameter(options.near) ) return createErrorWithStatus("'near' parameter is not valid, it must be lon,lat in WGS84 degrees", 400);
+		options.radius = Number(query.radius);
+		if ( query.radius === '' || !Validation.validateNumberParameter(options.radius) || options.radius <= 0 ) return createErrorWithStatus("'radius' parameter is not valid, it must be a positive number of metres", 400);
+	}
+
+	return options;
+}
+
+/**
+ * Read the block filter parameters from the query string into an options object
+ * for VineyardServer.getBlocks, validating each parameter which has been supplied.
+ * @param {object} query The express 'req.query' object
+ * @returns {(object|Error)} Options object, or an Error with status 400 if a parameter is invalid
+ */
+function parseBlockFilterOptions(query) {
+	var options = {};
+
+	if (query.variety !== undefined) {
+		options.variety = parseListParameter(query.variety);
+		if ( !Validation.validateArrayParameter(options.variety, Validation.validateStringParameter) ) return createErrorWithStatus("'variety' parameter is not valid, it must be a comma-delimited list of varieties", 400);
+	}
+	if (query.bbox !== undefined) {
+		options.bbox = parseListParameter(query.bbox).map(Number);
+		if ( !Validation.validateBoundingBoxParameter(options.bbox) ) return createErrorWithStatus("'bbox' parameter is not valid, it must be minLon,minLat,maxLon,maxLat in WGS84 degrees", 400);
+	}
+
+	return options;
+}
+
+/**
+ * Read the soil surface parameters from the query string into an options object
+ * for VineyardServer.getSoilSurfacePoints and Interpolation.interpolate, validating each parameter.
+ * The method defaults to 'idw' for numeric properties and 'nearest' for categorical properties,
+ * and the cell size defaults to config.surface.cell_size.
+ * @param {object} query The express 'req.query' object
+ * @returns {(object|Error)} Options object, or an Error with status 400 if a parameter is invalid
+ */
+function parseSurfaceOptions(query) {
+	var options = {};
+
+	if ( typeof query.property !== 'string' || !server.soilSurfaceProperties.hasOwnProperty(query.property) ) {
+		return createErrorWithStatus("'property' parameter is not valid, it must be one of: " + Object.keys(server.soilSurfaceProperties).join(', '), 400);
+	}
+	options.property = query.property;
+	var propertyType = server.soilSurfaceProperties[query.property];
+
+	if (query.method === undefined) {
+		options.method = propertyType === 'numeric' ? 'idw' : 'nearest';
+	} else if (query.method === 'nearest' || (query.method === 'idw' && propertyType === 'numeric')) {
+		options.method = query.method;
+	} else {
+		return createErrorWithStatus("'method' parameter is not valid, it must be 'nearest'" + (propertyType === 'numeric' ? " or 'idw'" : " for a categorical property"), 400);
+	}
+
+	if ( (query.block === undefined) === (query.bbox === undefined) ) {
+		return createErrorWithStatus("Either the 'block' or the 'bbox' parameter must be supplied", 400);
+	}
+	if (query.block !== undefined) {
+		options.block_id = Number(query.block);
+		if ( query.block === '' || !Validation.validateIntegerParameter(options.block_id) ) return createErrorWithStatus("'block' parameter is not valid, it must be an integer", 400);
+	}
+	if (query.bbox !== undefined) {
+		options.bbox = parseListParameter(query.bbox).map(Number);
+		if ( !Validation.validateBoundingBoxParameter(options.bbox) ) return createErrorWithStatus("'bbox' parameter is not valid, it must be minLon,minLat,maxLon,maxLat in WGS84 degrees", 400);
+	}
+
+	options.cell_size = query.cell_size === undefined ? config.surface.cell_size : Number(query.cell_size);
+	if ( query.cell_size === '' || !Validation.validateNumberParameter(options.cell_size) || options.cell_size <= 0 ) {
+		return createErrorWithStatus("'cell_size' parameter is not valid, it must be a positive number of metres", 400);
+	}
+
+	return options;
+}
+
+// 404 handling
+app.use( errorHandler.notFound() );
+
+/**
+ * Create a JavaScript Error object with the supplied status
+ * @param {string} message Error message
+ * @param {number} status HTTP error status code
+ * @returns {Error} New Error object
+ */
+function createErrorWithStatus(message, status) {
+	var err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+// Error handler function
+app.use( errorHandler.middleware() );
+
+/**
+ * @typedef {object} HttpResponse
+ * @property {number} code HTTP Response code
+ * @property {object} headers Object containing HTTP headers as name/value pairs
+ * @property {string} headers.(name) HTTP header name
+ * @property {string} headers.(value) HTTP header value
+ * @property {string} body Response body
+ */
+
+/**
+ * Content types of the download formats which can be requested via the 'format' parameter
+ * @type {object}
+ */
+var exportContentTypes = {
+	csv: 'text/csv; charset=utf-8',
+	kml: 'application/vnd.google-earth.kml+xml',
+	gpx: 'application/gpx+xml'
+};
+
+/**
+ * Prepare the response data for sending to the client.
+ * Will optionally format the data as topojson, csv, kml or gpx if this is requested via the 'format' parameter.
+ * csv, kml and gpx responses are sent as a file download named after the last part of the route, e.g. 'soil.csv'.
+ * Returns a response object containing everything needed to send a response which can be sent or cached.
+ *
+ * @param {object} req The express 'req' request object
+ * @param {object} data The data we're going to return to the client
+ * @param {string=} nameProperty Feature property used to name each feature in kml and gpx responses
+ * @returns {HttpResponse} HTTP response object
+ */
+function prepareResponse(req, data, nameProperty){
+	var format = req.query.format;
+
+	var responseData = {};
+
+	if (exportContentTypes.hasOwnProperty(format) && data && data.type === 'FeatureCollection') {
+		var name = path.basename(req.path);
+
+		var body;
+		if (format === 'csv') {
+			body = exporter.geoJsonToCsv(data);
+		} else if (format === 'kml') {
+			body = exporter.geoJsonToKml(data, name, nameProperty);
+		} else {
+			body = exporter.geoJsonToGpx(data, name, nameProperty);
+		}
+		responseData = prepareDownloadResponse(name + '.' + format, format, body);
+	} else if (format === 'topojson' && data.features) {
+		// Convert to topojson and construct the response object
+		var topology = topojson.topology({collection:data},{"property-transform":function(object){return object.properties;}});
+
+		addTimestampToResponse(topology);
+
+		responseData.code = 200;
+		responseData.headers = {"Content-type":"application/json"};
+		responseData.body = JSON.stringify(topology, "utf8");
+	} else {
+		// Construct the response object in JSON format or an empty (but successful) response
+		if (data) {
+			addTimestampToResponse(data);
+
+			responseData.code = 200;
+			responseData.headers = {"Content-type":"application/json"};
+			responseData.body = JSON.stringify(data, "utf8");
+		} else {
+			responseData.code = 204;
+			responseData.headers = {};
+			responseData.body = null;
+		}
+	}
+
+	return responseData;
+}
+
+/**
+ * Prepare a response which the client will save as a file.
+ * @param {string} filename Name the client should save the file as
+ * @param {string} format The download format, one of the keys of exportContentTypes
+ * @param {string} body The file contents
+ * @returns {HttpResponse} HTTP response object
+ */
+function prepareDownloadResponse(filename, format, body) {
+	return {
+		code: 200,
+		headers: {
+			"Content-type": exportContentTypes[format],
+			"Content-Disposition": 'attachment; filename="' + filename + '"'
+		},
+		body: body
+	};
+}
+
+/**
+ * Add a timestamp property to our response object.
+ * The property is at the top level and is called 'QueryTime' and its value is an ISO8601
+ * format string, showing local time for the ICT timezone.
+ * @param object The object to add the timestamp to.
+ */
+function addTimestampToResponse(object) {
+	object.QueryTime = moment().tz('Asia/Jakarta').format('YYYY-MM-DDTHH:mm:ss');
+}
+
+/**
+ * Write a response object to the client using express.
+ * Will write the response code, response headers and response body, and then end the response stream.
+ *
+ * @param {object} res Express 'res' response object
+ * @param {HttpResponse} responseData HTTP response object
+ */
+function writeResponse(res, responseData) {
+	res.writeHead( responseData.code, responseData.headers );
+	res.end( responseData.body );
+}
+
+/////////////////
+// Application //
+/////////////////
+
+/**
+ * Start listening for requests, once the database schema is up to date.
+ * Pending migrations are applied first if config.pg.migrate_on_start is true; otherwise the application refuses to
+ * start until they have been applied with migrate.js.
+ */
+function startWhenMigrated() {
+	migrations.pending( function(err, pending) {
+		if (err) {
+			logger.error( "Could not check database migrations: " + err.message );
+			logger.error( "Fatal error: Application shutting down" );
+			exitWithStatus(1);
+			return;
+		}
+
+		if (pending.length && !config.pg.migrate_on_start) {
+			logger.error( pending.length + " database migrations are pending, apply them with 'node migrate.js " + configFile + " up' or set config.pg.migrate_on_start" );
+			logger.error( "Fatal error: Application shutting down" );
+			exitWithStatus(1);
+			return;
+		}
+
+		if (!pending.length) {
+			listen();
+			return;
+		}
+
+		migrations.up( function(err) {
+			if (err) {
+				logger.error( "Could not apply database migrations: " + err.message );
+				logger.error( "Fatal error: Application shutting down" );
+				exitWithStatus(1);
+				return;
+			}
+			listen();
+		});
+	});
+
+	function listen() {
+		// The sensor layers are checked once the migrations have added site_id to the sensors table
+		server.checkSensorLayers( function(err, missing) {
+			if (err) {
+				logger.error( "Could not check sensor layers: " + err.message );
+				logger.error( "Fatal error: Application shutting down" );
+				exitWithStatus(1);
+				return;
+			}
+
+			if (missing.length) {
+				missing.forEach( function(column) {
+					logger.error( "Sensor layer table '" + column.table_name + "' in config.pg.sensor_layers has no '" + column.column_name + "' column" );
+				});
+				logger.error( "Fatal error: Application shutting down" );
+				exitWithStatus(1);
+				return;
+			}
+
+			// Use the PORT environment variable (e.g. from AWS Elastic Beanstalk) or use 8081 as the default port
+			logger.info( "Application starting, listening on port " + config.port );
+			app.listen(config.port);
+		});
+	}
+}
 
-// Use the PORT environment variable (e.g. from AWS Elastic Beanstalk) or use 8081 as the default port
-logger.info( "Application starting, listening on port " + config.port );
-app.listen(config.port);
+startWhenMigrated();
 
 // FIXME This is a workaround for https://github.com/flatiron/winston/issues/228
 // If we exit immediately winston does not get a chance to write the last log message.
@@ -0,0 +1,137 @@
+'use strict';
+
+/* jshint -W079 */ // Ignore this error for this import only, as we get a redefinition problem
+var test = require('unit.js');
+/* jshint +W079 */
+var Audit = require('../Audit.js');
+
+// Mocked logger which records error messages, as failures to write entries are only logged
+var loggedErrors = [];
+var logger = {
+	error:function(message){ loggedErrors.push(message); },
+	warn:function(){},
+	info:function(){},
+	verbose:function(){},
+	debug:function(){}
+};
+
+// Mocked database which records the last query
+var lastQueryObject;
+var queryErr;
+var database = {
+	dataQuery: function(queryObject, callback){
+		lastQueryObject = queryObject;
+		callback(queryErr, []);
+	}
+};
+
+describe( "record", function() {
+	var audit;
+	var callbackCalled;
+	var callbackErr;
+
+	function callback(err) {
+		callbackCalled = true;
+		callbackErr = err;
+	}
+
+	beforeEach( function() {
+		audit = new Audit({}, logger, database);
+		loggedErrors = [];
+		lastQueryObject = null;
+		queryErr = null;
+		callbackCalled = false;
+		callbackErr = undefined;
+	});
+
+	it( 'Writes the entry with the records serialized as JSON', function() {
+		audit.record( {action:'soil.update', username:'grower', ip:'10.0.0.1', route:'PUT /data/api/soil/7', before:{depth:80}, after:{depth:90}}, callback );
+		test.array( lastQueryObject.values ).is( ['soil.update', 'grower', '10.0.0.1', 'PUT /data/api/soil/7', '{"depth":80}', '{"depth":90}'] );
+		test.bool( callbackCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+	});
+
+	it( 'Writes missing fields as null', function() {
+		audit.record( {action:'logout'}, callback );
+		test.array( lastQueryObject.values ).is( ['logout', null, null, null, null, null] );
+	});
+
+	it( 'Serializes an array record as JSON rather than a postgres array', function() {
+		audit.record( {action:'soil.import', after:[1, 2]}, callback );
+		test.value( lastQueryObject.values[5] ).is( '[1,2]' );
+	});
+
+	it( 'Does not write an entry without an action', function() {
+		audit.record( {username:'grower'}, callback );
+		test.value( lastQueryObject ).isNull();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( 'Logs failures to write an entry', function() {
+		queryErr = new Error('Database query error');
+		audit.record( {action:'login', username:'grower'}, callback );
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.array( loggedErrors ).hasLength( 1 );
+	});
+
+	it( 'Callback is optional', function() {
+		audit.record( {action:'login'} );
+		test.value( lastQueryObject.values[0] ).is( 'login' );
+	});
+});
+
+describe( "getEntries", function() {
+	var audit;
+	var callbackErr;
+
+	function callback(err) {
+		callbackErr = err;
+	}
+
+	beforeEach( function() {
+		audit = new Audit({}, logger, database);
+		lastQueryObject = null;
+		queryErr = null;
+		callbackErr = undefined;
+	});
+
+	it( 'Returns the newest entries without filters', function() {
+		audit.getEntries( {}, callback );
+		test.string( lastQueryObject.text ).notContains( 'WHERE' );
+		test.string( lastQueryObject.text ).contains( 'ORDER BY created_at DESC' );
+		test.array( lastQueryObject.values ).is( [1000] );
+	});
+
+	it( 'Filters by username and time range', function() {
+		audit.getEntries( {username:'grower', start:1, end:2}, callback );
+		test.string( lastQueryObject.text ).contains( 'username = $1 AND created_at >= to_timestamp($2) AND created_at < to_timestamp($3)' );
+		test.array( lastQueryObject.values ).is( ['grower', 1, 2, 1000] );
+	});
+
+	it( 'Does not query with the start after the end', function() {
+		audit.getEntries( {start:2, end:1}, callback );
+		test.value( lastQueryObject ).isNull();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( 'Does not query with an invalid username', function() {
+		audit.getEntries( {username:''}, callback );
+		test.value( lastQueryObject ).isNull();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+});
+
+// Test template
+//	describe( "suite", function() {
+//		before( function() {
+//		});
+//
+//		beforeEach( function() {
+//		});
+//
+//		it( 'case', function() {
+//		});
+//
+//		after( function(){
+//		});
+//	});
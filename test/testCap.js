@@ -14,7 +14,26 @@ var logger = {
 	debug:function(){}
 };
 
-var cap = new Cap(logger);
+// Alert feed configuration
+var config = {
+	alerts: {
+		feed_title: 'Test Alerts',
+		id_base_url: 'https://example.com/data/api/alerts/cap',
+		sender: 'alerts@example.com',
+		sender_name: 'Test Sender',
+		web: 'https://example.com/',
+		category: 'Met',
+		event: 'Frost',
+		timezone: 'Australia/Sydney',
+		point_radius: 0.5,
+		severities: {
+			1: { severity: 'Minor', description: 'light frost' },
+			2: { severity: 'Severe', description: 'hard frost' }
+		}
+	}
+};
+
+var cap = new Cap(config, logger);
 
 // Generate a basic feature used for testing method
 function generateTestObject() {
@@ -60,6 +79,20 @@ describe( "geoJsonToAtomCap", function() {
 		test.number( (atomCap.match(/<entry/g) || []).length ).is( 2 );
 	});
 
+	it( 'Feed and entry IDs use the configured base URL', function() {
+		var testObjects = [generateTestObject()];
+		var atomCap = cap.geoJsonToAtomCap( testObjects );
+		test.string( atomCap ).contains('<id>https://example.com/data/api/alerts/cap</id>');
+		test.string( atomCap ).contains('<id>https://example.com/data/api/alerts/cap?parent_name=bar&amp;level_name=foo%20foo&amp;time=');
+	});
+
+	it( 'Uses the supplied feed ID for the feed and its entries', function() {
+		var testObjects = [generateTestObject()];
+		var atomCap = cap.geoJsonToAtomCap( testObjects, 'https://example.com/data/api/alerts/cap/site/2' );
+		test.string( atomCap ).contains('<id>https://example.com/data/api/alerts/cap/site/2</id>');
+		test.string( atomCap ).contains('<id>https://example.com/data/api/alerts/cap/site/2?parent_name=bar');
+	});
+
 	it( 'Error in Alert means no Entry produced', function() {
 		var testObjects = [generateTestObject()];
 		testObjects[0].geometry.type = "Unknown";
@@ -79,6 +112,16 @@ describe( "createAlert", function() {
 		test.string( alert.identifier ).notContains('<');
 	});
 	
+	it( 'Sender is configured', function() {
+		var alert = cap.createAlert( generateTestObject() );
+		test.value( alert.sender ).is( 'alerts@example.com' );
+	});
+
+	it( 'Sent time is in the configured time zone', function() {
+		var alert = cap.createAlert( generateTestObject() );
+		test.value( alert.sent ).is( '2016-02-16T10:36:50+11:00' );
+	});
+
 	it( 'Error in Info generation returns no Alert', function() {
 		var testObject = generateTestObject();
 		var alert = cap.createAlert( testObject );
@@ -109,6 +152,32 @@ describe( "createInfo", function() {
 		test.value( info ).isObject();
 	});
 	
+	it( 'State without a configured severity causes an error', function() {
+		var testObject = generateTestObject();
+		testObject.properties.state = 3;
+		var info = cap.createInfo( testObject );
+		
+		test.value( info ).isUndefined();
+	});
+
+	it( 'Severity and description are resolved from the configured state mapping', function() {
+		var testObject = generateTestObject();
+		testObject.properties.state = 2;
+		var info = cap.createInfo( testObject );
+		
+		test.value( info.severity ).is( 'Severe' );
+		test.string( info.description ).contains( 'TEST SENDER OBSERVED HARD FROST IN bar, foo foo' );
+	});
+
+	it( 'Event, sender name and web are configured', function() {
+		var info = cap.createInfo( generateTestObject() );
+		
+		test.value( info.event ).is( 'Frost' );
+		test.value( info.headline ).is( 'FROST WARNING' );
+		test.value( info.senderName ).is( 'Test Sender' );
+		test.value( info.web ).is( 'https://example.com/' );
+	});
+	
 	it( 'Error in Area generation returns no Info', function() {
 		var testObject = generateTestObject();
 		var info = cap.createInfo( testObject );
@@ -163,25 +232,94 @@ describe( "createArea", function() {
 		test.value( area ).isUndefined();
 	});
 	
-	it( 'Polygon with interior rings fails conversion', function() {
+	it( 'Polygon with interior rings uses the exterior ring', function() {
 		var testObject = generateTestObject();
 		testObject.geometry.coordinates = [
 		    [
-		        [
-		            [1, 2],
-		            [3, 4]
-		        ]
+		        [1, 2],
+		        [3, 4]
 		    ],
 		    [
-		        [
-		         	[5, 6],
-		         	[7, 8]
-		        ]
+		        [5, 6],
+		        [7, 8]
 		    ]
 		];
 		var area = cap.createArea( testObject );
 		
-		test.value( area ).isUndefined();
+		test.value( area.polygon[0] ).startsWith( "2,1 4,3" );
+		test.string( area.polygon[0] ).notContains( "6,5" );
+		test.array( area.polygon ).hasLength( 1 );
+	});
+	
+	it( 'MultiPolygon with interior rings uses the exterior rings', function() {
+		var testObject = generateTestObject();
+		testObject.geometry.type = "MultiPolygon";
+		testObject.geometry.coordinates = [
+		    [
+			    [
+			        [1, 2],
+			        [3, 4]
+			    ],
+			    [
+			        [5, 6],
+			        [7, 8]
+			    ]
+			],
+		    [
+			    [
+			        [9, 10],
+			        [11, 12]
+			    ]
+			]
+		];
+		var area = cap.createArea( testObject );
+		
+		test.value( area.polygon[0] ).startsWith( "2,1 4,3" );
+		test.value( area.polygon[1] ).startsWith( "10,9 12,11" );
+		test.array( area.polygon ).hasLength( 2 );
+	});
+	
+	it( 'Point is converted to a circle with the configured radius', function() {
+		var testObject = generateTestObject();
+		testObject.geometry = {
+			type: "Point",
+			coordinates: [149.95, -32.805]
+		};
+		var area = cap.createArea( testObject );
+		
+		test.value( area.circle[0] ).is( "-32.805,149.95 0.5" );
+		test.array( area.circle ).hasLength( 1 );
+		test.value( area.polygon ).isUndefined();
+	});
+	
+	it( 'MultiPoint is converted to a circle for each point', function() {
+		var testObject = generateTestObject();
+		testObject.geometry = {
+			type: "MultiPoint",
+			coordinates: [ [1, 2], [3, 4] ]
+		};
+		var area = cap.createArea( testObject );
+		
+		test.value( area.circle[0] ).is( "2,1 0.5" );
+		test.value( area.circle[1] ).is( "4,3 0.5" );
+		test.array( area.circle ).hasLength( 2 );
+	});
+	
+	it( 'Polygon has no circles', function() {
+		var area = cap.createArea( generateTestObject() );
+		
+		test.value( area.circle ).isUndefined();
+	});
+	
+	it( 'Point feature produces a circle in the Atom feed', function() {
+		var testObject = generateTestObject();
+		testObject.geometry = {
+			type: "Point",
+			coordinates: [149.95, -32.805]
+		};
+		var atomCap = cap.geoJsonToAtomCap( [testObject] );
+		
+		test.string( atomCap ).contains( "<circle>-32.805,149.95 0.5</circle>" );
 	});
 	
 });
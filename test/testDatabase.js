@@ -87,6 +87,154 @@ describe( "dataQuery", function() {
 	});
 });
 
+describe( "transactionQuery", function() {
+	var connectionWillErr = false;
+	var failingQueryText = null;
+	var queriesRun = [];
+
+	var lastErr = null;
+	var lastData = null;
+	var callback = function(err,data) {
+		lastErr = err;
+		lastData = data;
+	};
+	var doneCalled = false;
+	var doneFunction = function() {
+		doneCalled = true;
+	};
+
+	before( function() {
+		database.config.pg = {};
+		var pgClientObject = {
+			query: function(queryObject, queryHandler) {
+				var text = typeof queryObject === 'string' ? queryObject : queryObject.text;
+				queriesRun.push( text );
+				if (text === failingQueryText) queryHandler(new Error(), null);
+				else queryHandler(null, {rows:[text]});
+			}
+		};
+		database.pg = {
+			connect: function(conString, pgConnectFunction) {
+				if (connectionWillErr) pgConnectFunction(new Error(), pgClientObject, doneFunction);
+				else pgConnectFunction(null, pgClientObject, doneFunction);
+			}
+		};
+	});
+
+	beforeEach( function() {
+		connectionWillErr = false;
+		failingQueryText = null;
+		queriesRun = [];
+		lastErr = null;
+		lastData = null;
+		doneCalled = false;
+	});
+
+	it( 'Successful queries are committed and their rows returned in order', function() {
+		database.transactionQuery([{text:'a'},{text:'b'}],callback);
+		test.value( lastErr ).is( null );
+		test.array( queriesRun ).is( ['BEGIN', 'a', 'b', 'COMMIT'] );
+		test.array( lastData ).is( [['a'],['b']] );
+		test.bool( doneCalled ).isTrue();
+	});
+
+	it( 'Query failure rolls back and calls callback with error and no data', function() {
+		failingQueryText = 'a';
+		database.transactionQuery([{text:'a'},{text:'b'}],callback);
+		test.value( lastErr instanceof Error ).is( true );
+		test.value( lastData ).is( undefined );
+		test.array( queriesRun ).is( ['BEGIN', 'a', 'ROLLBACK'] );
+		test.bool( doneCalled ).isTrue();
+	});
+
+	it( 'Connection failure calls callback with error and no data', function() {
+		connectionWillErr = true;
+		database.transactionQuery([{text:'a'}],callback);
+		test.value( lastErr instanceof Error ).is( true );
+		test.value( lastData ).is( undefined );
+		test.array( queriesRun ).hasLength( 0 );
+	});
+
+	after( function(){
+		database.config = {};
+		database.pg = null;
+	});
+});
+
+describe( "listen", function() {
+	var connectionWillErr = false;
+	var queryWillErr = false;
+	var queriesRun = [];
+	var clientHandlers = {};
+
+	var doneErr;
+	var doneFunction = function(err) {
+		doneErr = err;
+	};
+
+	before( function() {
+		database.config.pg = { reconnectionDelay: 60000 };
+		var pgClientObject = {
+			query: function(queryText, queryHandler) {
+				queriesRun.push( queryText );
+				if (queryWillErr) queryHandler(new Error());
+				else queryHandler(null, {rows:[]});
+			},
+			on: function(event, handler) {
+				clientHandlers[event] = handler;
+			}
+		};
+		database.pg = {
+			connect: function(conString, pgConnectFunction) {
+				if (connectionWillErr) pgConnectFunction(new Error(), pgClientObject, doneFunction);
+				else pgConnectFunction(null, pgClientObject, doneFunction);
+			}
+		};
+	});
+
+	beforeEach( function() {
+		connectionWillErr = false;
+		queryWillErr = false;
+		queriesRun = [];
+		clientHandlers = {};
+		doneErr = undefined;
+	});
+
+	it( 'Listens on the channel and passes on its notifications', function() {
+		var payloads = [];
+		var listening = false;
+		database.listen( 'response_cache', function(payload){ payloads.push(payload); }, function(){ listening = true; } );
+		test.array( queriesRun ).is( ['LISTEN response_cache'] );
+		test.bool( listening ).isTrue();
+		clientHandlers.notification( {channel:'response_cache', payload:'/data/api/soil'} );
+		clientHandlers.notification( {channel:'other', payload:'/data/api/sensors'} );
+		test.array( payloads ).is( ['/data/api/soil'] );
+	});
+
+	it( 'Releases the client once when the connection is lost', function() {
+		var listening = false;
+		queryWillErr = true;
+		database.listen( 'response_cache', function(){}, function(){ listening = true; } );
+		test.bool( listening ).isFalse();
+		test.object( doneErr ).isInstanceOf( Error );
+		doneErr = undefined;
+		clientHandlers.error( new Error() );
+		test.value( doneErr ).isUndefined();
+	});
+
+	it( 'Does not listen on an invalid channel', function() {
+		test.exception( function() {
+			database.listen( 'response_cache; DROP TABLE users', function(){} );
+		});
+		test.array( queriesRun ).hasLength( 0 );
+	});
+
+	after( function(){
+		database.config = {};
+		database.pg = null;
+	});
+});
+
 // Test template
 //	describe( "suite", function() {
 //		before( function() {
@@ -0,0 +1,189 @@
+'use strict';
+
+/* jshint -W079 */ // Ignore this error for this import only, as we get a redefinition problem
+var test = require('unit.js');
+/* jshint +W079 */
+var http = require('http');
+var express = require('express');
+var bodyParser = require('body-parser');
+var ErrorHandler = require('../ErrorHandler.js');
+
+// Mocked logger which records the levels of the messages logged
+var logged;
+var logger = {
+	error:function(){ logged.push('error'); },
+	warn:function(){ logged.push('warn'); },
+	info:function(){},
+	verbose:function(){},
+	debug:function(){}
+};
+
+describe( "ErrorHandler", function() {
+	var config;
+	var server;
+	var port;
+
+	// Make a request to the test server, calling back with the response and its body
+	function request(method, path, body, callback) {
+		var req = http.request({ port: port, method: method, path: path, headers: {"Content-type":"application/json"} }, function(res) {
+			var responseBody = '';
+			res.setEncoding('utf8');
+			res.on('data', function(chunk) {
+				responseBody += chunk;
+			});
+			res.on('end', function() {
+				callback(res, responseBody);
+			});
+		});
+		req.end(body);
+	}
+
+	// Create an Error with a status, as server.js does
+	function createErrorWithStatus(message, status) {
+		var err = new Error(message);
+		err.status = status;
+		return err;
+	}
+
+	before( function(done) {
+		config = {};
+		var errorHandler = new ErrorHandler(config, logger);
+		var app = express();
+		app.use( bodyParser.json() );
+		app.get( '/data/api/invalid', function(req, res, next) {
+			next( createErrorWithStatus("'block' parameter is not valid, it must be an integer", 400) );
+		});
+		app.get( '/data/api/forbidden', function(req, res, next) {
+			next( createErrorWithStatus("'soil:edit' permission is required", 403) );
+		});
+		app.get( '/data/api/missing', function(req, res, next) {
+			next( createErrorWithStatus("Soil pit 7 does not exist", 404) );
+		});
+		app.get( '/data/api/broken', function(req, res, next) {
+			next( new Error("Database query error: relation \"soil_data\" does not exist") );
+		});
+		app.get( '/data/api/redirect', function(req, res, next) {
+			next( createErrorWithStatus("Not an error status", 302) );
+		});
+		app.post( '/data/api/soil', function(req, res) {
+			res.end();
+		});
+		app.use( errorHandler.notFound() );
+		app.use( errorHandler.middleware() );
+		server = app.listen( 0, function() {
+			port = server.address().port;
+			done();
+		});
+	});
+
+	beforeEach( function() {
+		config.legacyErrors = false;
+		logged = [];
+	});
+
+	it( 'Returns a 400 error with its message as JSON', function(done) {
+		request( 'GET', '/data/api/invalid', null, function(res, body) {
+			test.number( res.statusCode ).is( 400 );
+			test.string( res.headers['content-type'] ).is( 'application/json' );
+			test.object( JSON.parse(body) ).is( { status: 400, code: 'bad_request', message: "'block' parameter is not valid, it must be an integer" } );
+			test.array( logged ).is( ['warn'] );
+			done();
+		});
+	});
+
+	it( 'Returns a 403 error with its message as JSON', function(done) {
+		request( 'GET', '/data/api/forbidden', null, function(res, body) {
+			test.number( res.statusCode ).is( 403 );
+			test.object( JSON.parse(body) ).is( { status: 403, code: 'forbidden', message: "'soil:edit' permission is required" } );
+			done();
+		});
+	});
+
+	it( 'Returns a 404 error with its message as JSON', function(done) {
+		request( 'GET', '/data/api/missing', null, function(res, body) {
+			test.number( res.statusCode ).is( 404 );
+			test.object( JSON.parse(body) ).is( { status: 404, code: 'not_found', message: "Soil pit 7 does not exist" } );
+			done();
+		});
+	});
+
+	it( 'Returns a 500 error without the details of an error with no status', function(done) {
+		request( 'GET', '/data/api/broken', null, function(res, body) {
+			test.number( res.statusCode ).is( 500 );
+			test.object( JSON.parse(body) ).is( { status: 500, code: 'internal_server_error', message: "Internal server error" } );
+			test.array( logged ).is( ['error'] );
+			done();
+		});
+	});
+
+	it( 'Returns a 500 error for an error with a status which is not an error status', function(done) {
+		request( 'GET', '/data/api/redirect', null, function(res, body) {
+			test.number( res.statusCode ).is( 500 );
+			test.string( JSON.parse(body).message ).is( "Internal server error" );
+			done();
+		});
+	});
+
+	it( 'Returns the status of a body-parser error', function(done) {
+		request( 'POST', '/data/api/soil', '{"type":', function(res, body) {
+			test.number( res.statusCode ).is( 400 );
+			test.string( JSON.parse(body).code ).is( 'bad_request' );
+			done();
+		});
+	});
+
+	it( 'Returns a 404 error as JSON for a data route which does not exist', function(done) {
+		request( 'GET', '/data/api/nothing', null, function(res, body) {
+			test.number( res.statusCode ).is( 404 );
+			test.object( JSON.parse(body) ).is( { status: 404, code: 'not_found', message: "No route for GET /data/api/nothing" } );
+			done();
+		});
+	});
+
+	it( 'Returns a 404 page for a page which does not exist', function(done) {
+		request( 'GET', '/nothing.html', null, function(res, body) {
+			test.number( res.statusCode ).is( 404 );
+			test.string( body ).is( 'Error 404 - Page not found' );
+			done();
+		});
+	});
+
+	it( 'Returns 204 with an empty body for every error in legacy mode', function(done) {
+		config.legacyErrors = true;
+		request( 'GET', '/data/api/forbidden', null, function(res, body) {
+			test.number( res.statusCode ).is( 204 );
+			test.string( body ).is( '' );
+			request( 'GET', '/data/api/broken', null, function(res, body) {
+				test.number( res.statusCode ).is( 204 );
+				test.string( body ).is( '' );
+				test.array( logged ).is( ['warn', 'error'] );
+				done();
+			});
+		});
+	});
+
+	it( 'Uses the name of an unknown status for the code', function() {
+		var responseData = new ErrorHandler(config, logger).prepareResponse(499, "Unknown");
+		test.number( responseData.code ).is( 499 );
+		test.object( JSON.parse(responseData.body) ).is( { status: 499, code: 'error', message: "Unknown" } );
+	});
+
+	after( function(done) {
+		server.close(done);
+	});
+});
+
+// Test template
+//	describe( "suite", function() {
+//		before( function() {
+//		});
+//
+//		beforeEach( function() {
+//		});
+//
+//		it( 'case', function() {
+//		});
+//
+//		after( function(){
+//		});
+//	});
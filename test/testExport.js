@@ -0,0 +1,137 @@
+'use strict';
+
+/* jshint -W079 */ // Ignore this error for this import only, as we get a redefinition problem
+var test = require('unit.js');
+/* jshint +W079 */
+var Export = require('../Export.js');
+
+// Mocked logger we can use to let code run without error when trying to call logger messages
+var logger = {
+	error:function(){},
+	warn:function(){},
+	info:function(){},
+	verbose:function(){},
+	debug:function(){}
+};
+
+var exporter = new Export(logger);
+
+// Generate a basic feature collection used for testing methods
+function generateTestCollection() {
+	return {
+		type: "FeatureCollection",
+		features: [
+			{
+				type: "Feature",
+				geometry: { type: "Point", coordinates: [149.95, -32.805] },
+				properties: { ogc_fid: 1, pit_location: 3, depth: 80, texture: "SCL", pedality: "F/P" }
+			},
+			{
+				type: "Feature",
+				geometry: { type: "Point", coordinates: [149.96, -32.806] },
+				properties: { ogc_fid: 2, pit_location: 4, depth: null, texture: "Clay, \"heavy\"", pedality: "D/I" }
+			}
+		]
+	};
+}
+
+describe( "geoJsonToCsv", function() {
+
+	it( 'Writes a header and one line per feature', function() {
+		var csv = exporter.geoJsonToCsv( generateTestCollection() );
+		var lines = csv.split('\r\n');
+		test.string( lines[0] ).is( 'longitude,latitude,ogc_fid,pit_location,depth,texture,pedality' );
+		test.string( lines[1] ).is( '149.95,-32.805,1,3,80,SCL,F/P' );
+		test.array( lines ).hasLength( 4 );
+	});
+
+	it( 'Quotes fields containing delimiters and quotes, and writes null as empty', function() {
+		var csv = exporter.geoJsonToCsv( generateTestCollection() );
+		test.string( csv.split('\r\n')[2] ).is( '149.96,-32.806,2,4,,"Clay, ""heavy""",D/I' );
+	});
+
+	it( 'Adds a geometry column for non-point features', function() {
+		var collection = generateTestCollection();
+		collection.features[1].geometry = { type: "Polygon", coordinates: [[[1,2],[3,4],[5,6],[1,2]]] };
+		var lines = exporter.geoJsonToCsv( collection ).split('\r\n');
+		test.string( lines[0] ).startsWith( 'longitude,latitude,geometry,' );
+		test.string( lines[2] ).startsWith( ',,"{""type"":""Polygon""' );
+	});
+
+	it( 'Writes only a header for no features', function() {
+		var csv = exporter.geoJsonToCsv( { type: "FeatureCollection", features: null } );
+		test.string( csv ).is( 'longitude,latitude\r\n' );
+	});
+
+});
+
+describe( "rowsToCsv", function() {
+
+	it( 'Writes the requested columns in order', function() {
+		var csv = exporter.rowsToCsv( [{mean: 1.5, measurement: 'temperature', ignored: true}], ['measurement', 'mean'] );
+		test.string( csv ).is( 'measurement,mean\r\ntemperature,1.5\r\n' );
+	});
+
+	it( 'Writes dates as ISO8601', function() {
+		var csv = exporter.rowsToCsv( [{time: new Date(Date.UTC(2016, 9, 18, 6, 30))}], ['time'] );
+		test.string( csv ).is( 'time\r\n2016-10-18T06:30:00.000Z\r\n' );
+	});
+
+});
+
+describe( "geoJsonToKml", function() {
+
+	it( 'Writes one named Placemark per feature', function() {
+		var kml = exporter.geoJsonToKml( generateTestCollection(), 'soil', 'pit_location' );
+		test.string( kml ).contains( '<kml xmlns="http://www.opengis.net/kml/2.2">' );
+		test.number( (kml.match(/<Placemark>/g) || []).length ).is( 2 );
+		test.string( kml ).contains( '<name>3</name>' );
+		test.string( kml ).contains( '<Point><coordinates>149.95,-32.805</coordinates></Point>' );
+		test.string( kml ).contains( '<Data name="texture"><value>SCL</value></Data>' );
+	});
+
+	it( 'Writes polygons with inner boundaries', function() {
+		var geometry = exporter.createKmlGeometry( { type: "Polygon", coordinates: [[[1,2],[3,4],[5,6],[1,2]], [[2,3],[3,3],[3,4],[2,3]]] } );
+		test.string( geometry.Polygon.outerBoundaryIs.LinearRing.coordinates ).is( '1,2 3,4 5,6 1,2' );
+		test.array( geometry.Polygon.innerBoundaryIs ).hasLength( 1 );
+	});
+
+	it( 'Unsupported geometry is left out', function() {
+		test.value( exporter.createKmlGeometry( { type: "Unknown" } ) ).isNull();
+	});
+
+});
+
+describe( "geoJsonToGpx", function() {
+
+	it( 'Writes one waypoint per point feature', function() {
+		var gpx = exporter.geoJsonToGpx( generateTestCollection(), 'soil', 'pit_location' );
+		test.number( (gpx.match(/<wpt /g) || []).length ).is( 2 );
+		test.string( gpx ).contains( '<wpt lat="-32.805" lon="149.95"><name>3</name>' );
+		test.string( gpx ).contains( '<desc>ogc_fid: 1, pit_location: 3, depth: 80, texture: SCL, pedality: F/P</desc>' );
+	});
+
+	it( 'Leaves out non-point features', function() {
+		var collection = generateTestCollection();
+		collection.features[0].geometry = { type: "Polygon", coordinates: [[[1,2],[3,4],[5,6],[1,2]]] };
+		var gpx = exporter.geoJsonToGpx( collection, 'soil' );
+		test.number( (gpx.match(/<wpt /g) || []).length ).is( 1 );
+		test.string( gpx ).contains( '<name>2</name>' );
+	});
+
+});
+
+// Test template
+//	describe( "suite", function() {
+//		before( function() {
+//		});
+//
+//		beforeEach( function() {
+//		});
+//
+//		it( 'case', function() {
+//		});
+//
+//		after( function(){
+//		});
+//	});
@@ -0,0 +1,94 @@
+'use strict';
+
+/* jshint -W079 */ // Ignore this error for this import only, as we get a redefinition problem
+var test = require('unit.js');
+/* jshint +W079 */
+var Interpolation = require('../Interpolation.js');
+
+// Mocked logger we can use to let code run without error when trying to call logger messages
+var logger = {
+	error:function(){},
+	warn:function(){},
+	info:function(){},
+	verbose:function(){},
+	debug:function(){}
+};
+
+var interpolation = new Interpolation( { surface: { max_cells: 100, idw_power: 2 } }, logger );
+
+// Two pits about 100m apart along the equator
+var points = [
+	{ coordinates: [0, 0], value: 40 },
+	{ coordinates: [0.0009, 0], value: 160 }
+];
+
+describe( "interpolate", function() {
+	it( 'Covers a bounding box with square cells', function() {
+		var surface = interpolation.interpolate( points, { bbox: [0, 0, 0.0009, 0.0009] }, { method: 'nearest', cell_size: 25 } );
+		test.value( surface.type ).is( 'FeatureCollection' );
+		test.array( surface.features ).hasLength( 25 );
+		test.value( surface.features[0].geometry.type ).is( 'Polygon' );
+		test.array( surface.features[0].geometry.coordinates[0] ).hasLength( 5 );
+	});
+
+	it( 'Gives each cell the value of the nearest point', function() {
+		var surface = interpolation.interpolate( points, { bbox: [0, 0, 0.0009, 0.0002] }, { method: 'nearest', cell_size: 25 } );
+		var values = surface.features.map( function(feature) { return feature.properties.value; } ).slice(0, 5);
+		test.array( values ).is( [40, 40, 160, 160, 160] );
+	});
+
+	it( 'Weights values by inverse distance', function() {
+		var surface = interpolation.interpolate( points, { bbox: [0, 0, 0.0009, 0.0002] }, { method: 'idw', cell_size: 25 } );
+		var values = surface.features.map( function(feature) { return feature.properties.value; } ).slice(0, 5);
+		// Values rise from the west pit's value towards the east pit's value
+		for (var i=1; i<values.length; i++) {
+			test.number( values[i] ).isGreaterThan( values[i-1] );
+		}
+		test.number( values[0] ).isBetween( 40, 100 );
+		test.number( values[4] ).isBetween( 100, 160 );
+	});
+
+	it( 'Leaves out cells outside the geometry', function() {
+		var triangle = { type: 'Polygon', coordinates: [[[0, 0], [0.0009, 0], [0, 0.0009], [0, 0]]] };
+		var surface = interpolation.interpolate( points, { geometry: triangle }, { method: 'nearest', cell_size: 25 } );
+		test.array( surface.features ).hasLength( 10 );
+	});
+
+	it( 'Has no cells without points', function() {
+		var surface = interpolation.interpolate( [], { bbox: [0, 0, 0.0009, 0.0009] }, { method: 'idw', cell_size: 25 } );
+		test.array( surface.features ).hasLength( 0 );
+	});
+
+	it( 'Returns an error for too many cells', function() {
+		var surface = interpolation.interpolate( points, { bbox: [0, 0, 0.0009, 0.0009] }, { method: 'idw', cell_size: 5 } );
+		test.object( surface ).isInstanceOf( Error );
+	});
+});
+
+describe( "nearestNeighbour", function() {
+	it( 'Works with categorical values', function() {
+		var categorical = [ { coordinates: [0, 0], value: 'F/P' }, { coordinates: [1, 0], value: 'D/I' } ];
+		test.value( interpolation.nearestNeighbour( categorical, [0.9, 0] ) ).is( 'D/I' );
+	});
+});
+
+describe( "inverseDistanceWeighted", function() {
+	it( 'Gives the value of a point at its location', function() {
+		test.value( interpolation.inverseDistanceWeighted( points, [0, 0] ) ).is( 40 );
+	});
+});
+
+// Test template
+//	describe( "suite", function() {
+//		before( function() {
+//		});
+//
+//		beforeEach( function() {
+//		});
+//
+//		it( 'case', function() {
+//		});
+//
+//		after( function(){
+//		});
+//	});
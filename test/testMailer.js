@@ -0,0 +1,107 @@
+'use strict';
+
+/* jshint -W079 */ // Ignore this error for this import only, as we get a redefinition problem
+var test = require('unit.js');
+/* jshint +W079 */
+var Mailer = require('../Mailer.js');
+
+// Mocked logger which records info messages, as the log transport writes mail there
+var loggedMessages = [];
+var logger = {
+	error:function(){},
+	warn:function(){},
+	info:function(message){ loggedMessages.push(message); },
+	verbose:function(){},
+	debug:function(){}
+};
+
+var config = {
+	mail: {
+		transport: 'log',
+		options: {},
+		from: 'noreply@example.com'
+	}
+};
+
+// Generate a basic message used for testing methods
+function generateTestMessage() {
+	return {
+		to: 'grower@example.com',
+		subject: 'Password reset',
+		text: 'Visit the link'
+	};
+}
+
+describe( "sendMail", function() {
+	var mailer;
+	var callbackErr;
+
+	function callback(err) {
+		callbackErr = err;
+	}
+
+	beforeEach( function() {
+		mailer = new Mailer(config, logger);
+		loggedMessages = [];
+		callbackErr = undefined;
+	});
+
+	it( 'Log transport writes the message to the log', function() {
+		mailer.sendMail( generateTestMessage(), callback );
+		test.value( callbackErr ).isNull();
+		test.array( loggedMessages ).hasLength( 1 );
+		test.string( loggedMessages[0] ).contains( 'to grower@example.com' );
+		test.string( loggedMessages[0] ).contains( 'Visit the link' );
+	});
+
+	it( 'Sender defaults to the configured address', function() {
+		mailer.sendMail( generateTestMessage(), callback );
+		test.string( loggedMessages[0] ).contains( 'from noreply@example.com' );
+	});
+
+	it( 'Message is passed to the configured transport', function() {
+		var sentMessage;
+		mailer.transport = {
+			send: function(message, callback) {
+				sentMessage = message;
+				callback(null);
+			}
+		};
+		mailer.sendMail( generateTestMessage(), callback );
+		test.value( callbackErr ).isNull();
+		test.value( sentMessage.to ).is( 'grower@example.com' );
+		test.value( sentMessage.from ).is( 'noreply@example.com' );
+	});
+
+	it( 'Message without a recipient is not sent', function() {
+		var message = generateTestMessage();
+		delete message.to;
+		mailer.sendMail( message, callback );
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.array( loggedMessages ).hasLength( 0 );
+	});
+
+	it( 'Message without text is not sent', function() {
+		var message = generateTestMessage();
+		message.text = '';
+		mailer.sendMail( message, callback );
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.array( loggedMessages ).hasLength( 0 );
+	});
+
+});
+
+// Test template
+//	describe( "suite", function() {
+//		before( function() {
+//		});
+//
+//		beforeEach( function() {
+//		});
+//
+//		it( 'case', function() {
+//		});
+//
+//		after( function(){
+//		});
+//	});
@@ -0,0 +1,62 @@
+'use strict';
+
+/* jshint -W079 */ // Ignore this error for this import only, as we get a redefinition problem
+var test = require('unit.js');
+/* jshint +W079 */
+var MemoryCache = require('../MemoryCache.js');
+
+describe( "MemoryCache", function() {
+	var cache;
+	var lastValue;
+
+	function callback(err, value) {
+		lastValue = value;
+	}
+
+	beforeEach( function() {
+		cache = new MemoryCache({}, {});
+		lastValue = undefined;
+	});
+
+	it( 'Returns a stored value', function() {
+		cache.put( '*|/data/api/alerts/cap', {code:200}, 60000 );
+		cache.get( '*|/data/api/alerts/cap', callback );
+		test.object( lastValue ).is( {code:200} );
+	});
+
+	it( 'Returns null for a missing key', function() {
+		cache.get( '*|/data/api/alerts/cap', callback );
+		test.value( lastValue ).isNull();
+	});
+
+	it( 'Invalidates every query string and scope of a route', function() {
+		cache.put( '1|/data/api/soil', {code:200}, 60000 );
+		cache.put( '1,2|/data/api/soil?format=csv', {code:200}, 60000 );
+		cache.put( '1|/data/api/soil/7', {code:200}, 60000 );
+		cache.put( '1|/data/api/soilx', {code:200}, 60000 );
+		cache.put( '1|/data/api/sensors', {code:200}, 60000 );
+		cache.invalidate( '/data/api/soil' );
+		test.array( cache.cache.keys() ).is( ['1|/data/api/soilx', '1|/data/api/sensors'] );
+	});
+
+	it( 'Caches are separate', function() {
+		cache.put( '*|/data/api/alerts/cap', {code:200}, 60000 );
+		new MemoryCache({}, {}).get( '*|/data/api/alerts/cap', callback );
+		test.value( lastValue ).isNull();
+	});
+});
+
+// Test template
+//	describe( "suite", function() {
+//		before( function() {
+//		});
+//
+//		beforeEach( function() {
+//		});
+//
+//		it( 'case', function() {
+//		});
+//
+//		after( function(){
+//		});
+//	});
@@ -0,0 +1,244 @@
+'use strict';
+
+/* jshint -W079 */ // Ignore this error for this import only, as we get a redefinition problem
+var test = require('unit.js');
+/* jshint +W079 */
+var path = require('path');
+var fs = require('fs');
+var os = require('os');
+var Migrations = require('../Migrations.js');
+
+// Mocked logger we can use to let code run without error when trying to call logger messages
+var logger = {
+	error:function(){},
+	warn:function(){},
+	info:function(){},
+	verbose:function(){},
+	debug:function(){}
+};
+
+// Mocked database which records the queries, and answers the status queries from the applied versions
+var queries;
+var transactions;
+var tracked;
+var appliedRows;
+var transactionErr;
+var database = {
+	dataQuery: function(queryObject, callback){
+		queries.push(queryObject);
+		if ( queryObject.text.indexOf('to_regclass') !== -1 ) callback(null, [{tracked: tracked}]);
+		else if ( queryObject.text.indexOf('FROM schema_migrations') !== -1 ) callback(null, appliedRows);
+		else callback(null, []);
+	},
+	transactionQuery: function(queryObjects, callback){
+		transactions.push(queryObjects);
+		callback(transactionErr, []);
+	}
+};
+
+describe( "Migrations", function() {
+	var migrations;
+	var directory;
+	var lastErr;
+	var lastMigrations;
+
+	function callback(err, list) {
+		lastErr = err;
+		lastMigrations = list;
+	}
+
+	// Write migration files to the temporary directory, replacing any already there
+	function writeFiles(files) {
+		fs.readdirSync(directory).forEach( function(file) {
+			fs.unlinkSync( path.join(directory, file) );
+		});
+		files.forEach( function(file) {
+			fs.writeFileSync( path.join(directory, file), "SELECT '" + file + "';" );
+		});
+	}
+
+	function versions(list) {
+		return list.map( function(migration) { return migration.version; } );
+	}
+
+	before( function() {
+		directory = path.join( os.tmpdir(), 'vineyard-migrations-' + process.pid );
+		fs.mkdirSync(directory);
+	});
+
+	beforeEach( function() {
+		migrations = new Migrations({}, logger, database);
+		migrations.directory = directory;
+		writeFiles(['001-first.up.sql', '001-first.down.sql', '002-second.up.sql', '002-second.down.sql', '010-tenth.up.sql', 'README.md']);
+		queries = [];
+		transactions = [];
+		tracked = true;
+		appliedRows = [];
+		transactionErr = null;
+		lastErr = undefined;
+		lastMigrations = undefined;
+	});
+
+	it( 'Reads the migrations in order of their numeric version', function(done) {
+		migrations.readMigrations( function(err, list) {
+			test.value( err ).isNull();
+			test.array( versions(list) ).is( [1, 2, 10] );
+			test.string( list[0].name ).is( 'first' );
+			test.string( list[0].down ).is( path.join(directory, '001-first.down.sql') );
+			test.value( list[2].down ).isNull();
+			done();
+		});
+	});
+
+	it( 'Rejects a version used by two migrations', function(done) {
+		writeFiles(['001-first.up.sql', '001-other.up.sql']);
+		migrations.readMigrations( function(err) {
+			test.object( err ).isInstanceOf( Error );
+			done();
+		});
+	});
+
+	it( 'Rejects a migration without an up file', function(done) {
+		writeFiles(['001-first.down.sql']);
+		migrations.readMigrations( function(err) {
+			test.object( err ).isInstanceOf( Error );
+			done();
+		});
+	});
+
+	it( 'Has an up and a down file for every migration in the repository', function(done) {
+		migrations.directory = path.join(__dirname, '..', 'migrations');
+		migrations.readMigrations( function(err, list) {
+			test.value( err ).isNull();
+			test.array( list ).isNotEmpty();
+			list.forEach( function(migration) {
+				test.string( migration.down ).isNotEmpty();
+			});
+			done();
+		});
+	});
+
+	it( 'Reports every migration as pending before the tracking table exists, without creating it', function(done) {
+		tracked = false;
+		migrations.pending( function(err, list) {
+			test.value( err ).isNull();
+			test.array( versions(list) ).is( [1, 2, 10] );
+			test.array( queries ).hasLength( 1 );
+			done();
+		});
+	});
+
+	it( 'Reports the migrations which have not been applied as pending', function(done) {
+		appliedRows = [{version: 1, name: 'first', applied_at: new Date()}, {version: 10, name: 'tenth', applied_at: new Date()}];
+		migrations.pending( function(err, list) {
+			test.value( err ).isNull();
+			test.array( versions(list) ).is( [2] );
+			done();
+		});
+	});
+
+	it( 'Includes applied migrations whose files no longer exist in the status', function(done) {
+		appliedRows = [{version: 5, name: 'removed', applied_at: new Date()}];
+		migrations.status( function(err, list) {
+			test.value( err ).isNull();
+			test.array( versions(list) ).is( [1, 2, 5, 10] );
+			test.value( list[2].up ).isNull();
+			done();
+		});
+	});
+
+	it( 'Applies each pending migration in its own transaction, recording it first', function(done) {
+		appliedRows = [{version: 1, name: 'first', applied_at: new Date()}];
+		migrations.up( function(err, list) {
+			test.value( err ).isNull();
+			test.array( versions(list) ).is( [2, 10] );
+			test.string( queries[0].text ).contains( 'CREATE TABLE IF NOT EXISTS schema_migrations' );
+			test.array( transactions ).hasLength( 2 );
+			test.array( transactions[0][0].values ).is( [2, 'second'] );
+			test.string( transactions[0][1].text ).is( "SELECT '002-second.up.sql';" );
+			test.undefined( transactions[0][1].values );
+			done();
+		});
+	});
+
+	it( 'Stops at the first migration which fails', function(done) {
+		transactionErr = new Error('Database query error');
+		migrations.up( function(err, list) {
+			test.object( err ).isInstanceOf( Error );
+			test.string( err.message ).contains( '1-first' );
+			test.array( list ).hasLength( 0 );
+			test.array( transactions ).hasLength( 1 );
+			done();
+		});
+	});
+
+	it( 'Reverts the most recently applied migration', function(done) {
+		appliedRows = [{version: 1, name: 'first', applied_at: new Date()}, {version: 2, name: 'second', applied_at: new Date()}];
+		migrations.down( function(err, list) {
+			test.value( err ).isNull();
+			test.array( versions(list) ).is( [2] );
+			test.string( transactions[0][0].text ).contains( 'DELETE FROM schema_migrations' );
+			test.array( transactions[0][0].values ).is( [2] );
+			test.string( transactions[0][1].text ).is( "SELECT '002-second.down.sql';" );
+			done();
+		});
+	});
+
+	it( 'Does nothing reverting when no migrations have been applied', function(done) {
+		migrations.down( function(err, list) {
+			test.value( err ).isNull();
+			test.array( list ).hasLength( 0 );
+			test.array( transactions ).hasLength( 0 );
+			done();
+		});
+	});
+
+	it( 'Refuses to revert a migration without a down file', function(done) {
+		appliedRows = [{version: 10, name: 'tenth', applied_at: new Date()}];
+		migrations.down( function(err) {
+			test.object( err ).isInstanceOf( Error );
+			test.array( transactions ).hasLength( 0 );
+			done();
+		});
+	});
+
+	it( 'Records the pending migrations up to a version as applied without running them', function(done) {
+		appliedRows = [{version: 1, name: 'first', applied_at: new Date()}];
+		migrations.baseline( 2, function(err, list) {
+			test.value( err ).isNull();
+			test.array( versions(list) ).is( [2] );
+			test.array( transactions ).hasLength( 0 );
+			test.string( queries[queries.length-1].text ).contains( 'INSERT INTO schema_migrations' );
+			test.array( queries[queries.length-1].values ).is( [[2], ['second']] );
+			done();
+		});
+	});
+
+	it( 'Rejects an invalid baseline version', function() {
+		migrations.baseline( NaN, callback );
+		test.object( lastErr ).isInstanceOf( Error );
+		test.array( queries ).hasLength( 0 );
+	});
+
+	after( function() {
+		fs.readdirSync(directory).forEach( function(file) {
+			fs.unlinkSync( path.join(directory, file) );
+		});
+		fs.rmdirSync(directory);
+	});
+});
+
+//Test template
+//describe( "suite", function() {
+//	before( function() {
+//	});
+//
+//	beforeEach( function() {
+//	});
+//
+//	it( 'case', function() {
+//	});
+//
+//	after( function(){
+//	});
+//});
@@ -0,0 +1,134 @@
+'use strict';
+
+/* jshint -W079 */ // Ignore this error for this import only, as we get a redefinition problem
+var test = require('unit.js');
+/* jshint +W079 */
+var PostgresCache = require('../PostgresCache.js');
+
+// Mocked logger we can use to let code run without error when trying to call logger messages
+var logger = {
+	error:function(){},
+	warn:function(){},
+	info:function(){},
+	verbose:function(){},
+	debug:function(){}
+};
+
+// Mocked database which records the queries, and the listener for notifications
+var queries;
+var rows;
+var queryErr;
+var notify;
+var onListen;
+var database = {
+	dataQuery: function(queryObject, callback){
+		queries.push(queryObject);
+		callback(queryErr, rows);
+	},
+	transactionQuery: function(queryObjects, callback){
+		queries = queries.concat(queryObjects);
+		callback(queryErr, []);
+	},
+	listen: function(channel, onNotification, listenCallback){
+		notify = onNotification;
+		onListen = listenCallback;
+	}
+};
+
+describe( "PostgresCache", function() {
+	var cache;
+	var lastErr;
+	var lastValue;
+
+	function callback(err, value) {
+		lastErr = err;
+		lastValue = value;
+	}
+
+	beforeEach( function() {
+		cache = new PostgresCache({}, logger, database);
+		cache.start();
+		queries = [];
+		rows = [];
+		queryErr = null;
+		lastErr = undefined;
+		lastValue = undefined;
+	});
+
+	it( 'Stores the value in the table with its url and ttl', function() {
+		cache.put( '1|/data/api/soil?format=csv', {code:200}, 60000 );
+		test.array( queries ).hasLength( 1 );
+		test.string( queries[0].text ).contains( 'ON CONFLICT (key) DO UPDATE' );
+		test.array( queries[0].values ).is( ['1|/data/api/soil?format=csv', '/data/api/soil?format=csv', '{"code":200}', 60000] );
+	});
+
+	it( 'Returns a value it has stored without querying', function() {
+		cache.put( '*|/data/api/alerts/cap', {code:200}, 60000 );
+		queries = [];
+		cache.get( '*|/data/api/alerts/cap', callback );
+		test.object( lastValue ).is( {code:200} );
+		test.array( queries ).hasLength( 0 );
+	});
+
+	it( 'Reads a value stored by another instance from the table, once', function() {
+		rows = [{value:{code:200}, ttl:'30000'}];
+		cache.get( '*|/data/api/alerts/cap', callback );
+		test.object( lastValue ).is( {code:200} );
+		rows = [];
+		cache.get( '*|/data/api/alerts/cap', callback );
+		test.object( lastValue ).is( {code:200} );
+		test.array( queries ).hasLength( 1 );
+		test.array( queries[0].values ).is( ['*|/data/api/alerts/cap'] );
+	});
+
+	it( 'Returns null for a missing key', function() {
+		cache.get( '*|/data/api/alerts/cap', callback );
+		test.value( lastErr ).isNull();
+		test.value( lastValue ).isNull();
+	});
+
+	it( 'Returns an error when the table cannot be read', function() {
+		queryErr = new Error('Database query error');
+		cache.get( '*|/data/api/alerts/cap', callback );
+		test.object( lastErr ).isInstanceOf( Error );
+	});
+
+	it( 'Invalidates the table and notifies the other instances', function() {
+		cache.put( '1|/data/api/soil', {code:200}, 60000 );
+		queries = [];
+		cache.invalidate( '/data/api/soil' );
+		test.array( queries ).hasLength( 2 );
+		test.string( queries[0].text ).startsWith( 'DELETE FROM response_cache' );
+		test.array( queries[0].values ).is( ['/data/api/soil'] );
+		test.array( queries[1].values ).is( ['response_cache', '/data/api/soil'] );
+		test.array( cache.local.cache.keys() ).hasLength( 0 );
+	});
+
+	it( 'Drops entries invalidated by another instance', function() {
+		cache.put( '1|/data/api/soil', {code:200}, 60000 );
+		cache.put( '1|/data/api/sensors', {code:200}, 60000 );
+		notify( '/data/api/soil' );
+		test.array( cache.local.cache.keys() ).is( ['1|/data/api/sensors'] );
+	});
+
+	it( 'Drops all entries when listening starts again', function() {
+		cache.put( '1|/data/api/sensors', {code:200}, 60000 );
+		onListen();
+		test.array( cache.local.cache.keys() ).hasLength( 0 );
+	});
+});
+
+// Test template
+//	describe( "suite", function() {
+//		before( function() {
+//		});
+//
+//		beforeEach( function() {
+//		});
+//
+//		it( 'case', function() {
+//		});
+//
+//		after( function(){
+//		});
+//	});
@@ -0,0 +1,234 @@
+'use strict';
+
+/* jshint -W079 */ // Ignore this error for this import only, as we get a redefinition problem
+var test = require('unit.js');
+/* jshint +W079 */
+var http = require('http');
+var express = require('express');
+var ResponseCache = require('../ResponseCache.js');
+var MemoryCache = require('../MemoryCache.js');
+
+// Mocked logger we can use to let code run without error when trying to call logger messages
+var logger = {
+	error:function(){},
+	warn:function(){},
+	info:function(){},
+	verbose:function(){},
+	debug:function(){}
+};
+
+describe( "ResponseCache", function() {
+	var cache;
+	var responseCache;
+	var server;
+	var port;
+	// Number of requests which were not served from the cache
+	var queries;
+
+	// Make a request to the test server, calling back with the response and its body
+	function request(path, headers, callback) {
+		http.get({ port: port, path: path, headers: headers }, function(res) {
+			var body = '';
+			res.setEncoding('utf8');
+			res.on('data', function(chunk) {
+				body += chunk;
+			});
+			res.on('end', function() {
+				callback(res, body);
+			});
+		});
+	}
+
+	function keys() {
+		return cache.cache.keys().sort();
+	}
+
+	before( function(done) {
+		var app = express();
+		// Stand in for loadSites, taking the user's sites from a header
+		app.use( function(req, res, next) {
+			if (req.headers['x-sites']) req.sites = req.headers['x-sites'].split(',');
+			next();
+		});
+		// The response cache is replaced for each test, so its middleware is created for each request
+		app.get( '/data/api/soil', function(req, res, next) {
+			responseCache.middleware()(req, res, next);
+		}, function(req, res) {
+			queries++;
+			var responseData = {
+				code: 200,
+				headers: {"Content-type":"application/json"},
+				body: JSON.stringify({ sites: req.sites || null, query: req.query, queries: queries })
+			};
+			responseCache.put(req, responseData);
+			responseCache.write(req, res, responseData);
+		});
+		server = app.listen( 0, function() {
+			port = server.address().port;
+			done();
+		});
+	});
+
+	beforeEach( function() {
+		cache = new MemoryCache({}, logger);
+		responseCache = new ResponseCache({cache_timeout: 60000}, logger, cache);
+		queries = 0;
+	});
+
+	it( 'Keys a response by its sites and URL, including the query string', function() {
+		test.string( responseCache.key({ sites: [1, 2], originalUrl: '/data/api/soil?format=csv' }) ).is( '1,2|/data/api/soil?format=csv' );
+		test.string( responseCache.key({ originalUrl: '/data/api/alerts/cap/abc' }) ).is( '*|/data/api/alerts/cap/abc' );
+	});
+
+	it( 'Adds validators to a successful response without changing its original headers', function() {
+		var headers = {"Content-type":"application/json"};
+		var responseData = { code: 200, headers: headers, body: '{}' };
+		responseCache.put( { sites: [1], originalUrl: '/data/api/soil' }, responseData );
+		test.string( responseData.headers.ETag ).match( /^"[0-9a-f]{40}"$/ );
+		test.string( responseData.headers['Last-Modified'] ).isNotEmpty();
+		test.object( headers ).is( {"Content-type":"application/json"} );
+		test.object( cache.cache.get('1|/data/api/soil') ).is( responseData );
+	});
+
+	it( 'Caches an error response without validators', function() {
+		var responseData = { code: 400, headers: {}, body: '{}' };
+		responseCache.put( { originalUrl: '/data/api/soil?block=x' }, responseData );
+		test.object( responseData.headers ).is( {} );
+		test.object( cache.cache.get('*|/data/api/soil?block=x') ).is( responseData );
+	});
+
+	it( 'Serves a repeated request from the cache', function(done) {
+		request( '/data/api/soil', {}, function(res, body) {
+			test.number( res.statusCode ).is( 200 );
+			request( '/data/api/soil', {}, function(res, cachedBody) {
+				test.number( res.statusCode ).is( 200 );
+				test.string( res.headers.etag ).isNotEmpty();
+				test.string( cachedBody ).is( body );
+				test.number( queries ).is( 1 );
+				done();
+			});
+		});
+	});
+
+	it( 'Caches each query string separately', function(done) {
+		request( '/data/api/soil', {}, function() {
+			request( '/data/api/soil?format=csv', {}, function(res, body) {
+				test.object( JSON.parse(body).query ).is( {format: 'csv'} );
+				test.number( queries ).is( 2 );
+				test.array( keys() ).is( ['*|/data/api/soil', '*|/data/api/soil?format=csv'] );
+				done();
+			});
+		});
+	});
+
+	it( 'Caches each set of sites separately', function(done) {
+		request( '/data/api/soil', {'x-sites': '1'}, function() {
+			request( '/data/api/soil', {'x-sites': '2'}, function(res, body) {
+				test.array( JSON.parse(body).sites ).is( ['2'] );
+				test.number( queries ).is( 2 );
+				test.array( keys() ).is( ['1|/data/api/soil', '2|/data/api/soil'] );
+				done();
+			});
+		});
+	});
+
+	it( 'Queries again after the route is invalidated', function(done) {
+		request( '/data/api/soil?format=csv', {}, function() {
+			responseCache.invalidateSoil();
+			test.array( keys() ).hasLength( 0 );
+			request( '/data/api/soil?format=csv', {}, function(res, body) {
+				test.number( JSON.parse(body).queries ).is( 2 );
+				done();
+			});
+		});
+	});
+
+	it( 'Treats a cache which cannot be read as empty', function(done) {
+		cache.get = function(key, callback) {
+			callback( new Error('Database query error') );
+		};
+		request( '/data/api/soil', {}, function(res) {
+			test.number( res.statusCode ).is( 200 );
+			test.number( queries ).is( 1 );
+			done();
+		});
+	});
+
+	it( 'Returns 304 for a request whose If-None-Match header matches the ETag', function(done) {
+		request( '/data/api/soil', {}, function(res) {
+			var etag = res.headers.etag;
+			request( '/data/api/soil', {'if-none-match': etag}, function(res, body) {
+				test.number( res.statusCode ).is( 304 );
+				test.string( res.headers.etag ).is( etag );
+				test.string( body ).is( '' );
+				test.number( queries ).is( 1 );
+				done();
+			});
+		});
+	});
+
+	it( 'Returns the response for a request whose If-None-Match header does not match the ETag', function(done) {
+		request( '/data/api/soil', {}, function(res, body) {
+			request( '/data/api/soil', {'if-none-match': '"0"'}, function(res, cachedBody) {
+				test.number( res.statusCode ).is( 200 );
+				test.string( cachedBody ).is( body );
+				done();
+			});
+		});
+	});
+
+	it( 'Returns 304 for a request which is not modified since the Last-Modified time', function(done) {
+		request( '/data/api/soil', {}, function(res) {
+			var lastModified = res.headers['last-modified'];
+			request( '/data/api/soil', {'if-modified-since': lastModified}, function(res, body) {
+				test.number( res.statusCode ).is( 304 );
+				test.string( body ).is( '' );
+				done();
+			});
+		});
+	});
+
+	it( 'Returns the response for a request modified since the If-Modified-Since time', function(done) {
+		request( '/data/api/soil', {}, function() {
+			request( '/data/api/soil', {'if-modified-since': new Date(0).toUTCString()}, function(res) {
+				test.number( res.statusCode ).is( 200 );
+				done();
+			});
+		});
+	});
+
+	it( 'Removes the responses including soil pits after a soil pit changes', function() {
+		['/data/api/soil?format=csv', '/data/api/soil/surface?block=1', '/data/api/blocks/soil', '/data/api/blocks', '/data/api/sensors'].forEach( function(url) {
+			responseCache.put( { sites: [1], originalUrl: url }, { code: 200, headers: {}, body: '{}' } );
+		});
+		responseCache.invalidateSoil();
+		test.array( keys() ).is( ['1|/data/api/blocks', '1|/data/api/sensors'] );
+	});
+
+	it( 'Removes the responses including blocks after a block changes', function() {
+		['/data/api/soil?format=csv', '/data/api/soil/surface?block=1', '/data/api/blocks/soil', '/data/api/blocks', '/data/api/sensors'].forEach( function(url) {
+			responseCache.put( { sites: [1], originalUrl: url }, { code: 200, headers: {}, body: '{}' } );
+		});
+		responseCache.invalidateBlocks();
+		test.array( keys() ).is( ['1|/data/api/sensors', '1|/data/api/soil?format=csv'] );
+	});
+
+	after( function(done) {
+		server.close(done);
+	});
+});
+
+// Test template
+//	describe( "suite", function() {
+//		before( function() {
+//		});
+//
+//		beforeEach( function() {
+//		});
+//
+//		it( 'case', function() {
+//		});
+//
+//		after( function(){
+//		});
+//	});
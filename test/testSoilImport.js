@@ -0,0 +1,101 @@
+'use strict';
+
+/* jshint -W079 */ // Ignore this error for this import only, as we get a redefinition problem
+var test = require('unit.js');
+/* jshint +W079 */
+var SoilImport = require('../SoilImport.js');
+
+// Mocked logger we can use to let code run without error when trying to call logger messages
+var logger = {
+	error:function(){},
+	warn:function(){},
+	info:function(){},
+	verbose:function(){},
+	debug:function(){}
+};
+
+var soilImport = new SoilImport(logger);
+
+describe( "parseCsv", function() {
+
+	it( 'Splits lines and fields', function() {
+		var records = soilImport.parseCsv( "a,b\r\n1,2\n3,4" );
+		test.array( records ).is( [['a','b'],['1','2'],['3','4']] );
+	});
+
+	it( 'Handles quoted fields with delimiters, quotes and line breaks', function() {
+		var records = soilImport.parseCsv( 'a,b\n"1,5","say ""hi""\nthere"\n' );
+		test.array( records ).is( [['a','b'],['1,5','say "hi"\nthere']] );
+	});
+
+	it( 'Strips a byte order mark', function() {
+		var records = soilImport.parseCsv( "\uFEFFlat,lon\n" );
+		test.string( records[0][0] ).is( 'lat' );
+	});
+
+});
+
+describe( "csvToRows", function() {
+
+	it( 'Converts rows to features', function() {
+		var rows = soilImport.csvToRows( "Latitude,Longitude,pit_location,depth,texture,pedality\n-32.805,149.95,3,80,SCL,F/P\n" );
+		test.array( rows ).hasLength( 1 );
+		test.number( rows[0].row ).is( 2 );
+		test.array( rows[0].feature.geometry.coordinates ).is( [149.95, -32.805] );
+		test.object( rows[0].feature.properties ).is( {pit_location: 3, depth: 80, texture: 'SCL', pedality: 'F/P'} );
+	});
+
+	it( 'Converts empty and missing fields to null', function() {
+		var rows = soilImport.csvToRows( "lat,lon,depth\n-32.805,149.95,\n" );
+		test.object( rows[0].feature.properties ).is( {pit_location: null, depth: null, texture: null, pedality: null} );
+	});
+
+	it( 'Skips blank lines but keeps source line numbers', function() {
+		var rows = soilImport.csvToRows( "lat,lon\n\n-32.805,149.95\n" );
+		test.array( rows ).hasLength( 1 );
+		test.number( rows[0].row ).is( 3 );
+	});
+
+	it( 'Non-numeric values become NaN so they fail validation', function() {
+		var rows = soilImport.csvToRows( "lat,lon\nnorth,149.95\n" );
+		test.bool( isNaN(rows[0].feature.geometry.coordinates[1]) ).isTrue();
+	});
+
+	it( 'Missing coordinate columns throw an error', function() {
+		test.exception( function() {
+			soilImport.csvToRows( "x,y\n1,2\n" );
+		});
+	});
+
+});
+
+describe( "geoJsonToRows", function() {
+
+	it( 'Numbers each feature', function() {
+		var rows = soilImport.geoJsonToRows( {type: 'FeatureCollection', features: [{type: 'Feature'}, {type: 'Feature'}]} );
+		test.array( rows ).hasLength( 2 );
+		test.number( rows[1].row ).is( 2 );
+	});
+
+	it( 'Data which is not a FeatureCollection throws an error', function() {
+		test.exception( function() {
+			soilImport.geoJsonToRows( {type: 'Feature'} );
+		});
+	});
+
+});
+
+// Test template
+//	describe( "suite", function() {
+//		before( function() {
+//		});
+//
+//		beforeEach( function() {
+//		});
+//
+//		it( 'case', function() {
+//		});
+//
+//		after( function(){
+//		});
+//	});
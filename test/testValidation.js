@@ -96,6 +96,77 @@ describe( "validateStringParameter", function() {
 	});
 });
 
+describe( "validateArrayParameter", function() {
+	it( 'passes with an array of valid elements', function() {
+		test.bool( Validation.validateArrayParameter( ['a', 'b'], Validation.validateStringParameter ) ).isTrue();
+	});
+	it( 'fails with an empty array', function() {
+		test.bool( Validation.validateArrayParameter( [], Validation.validateStringParameter ) ).isFalse();
+	});
+	it( 'fails if type is not array', function() {
+		test.bool( Validation.validateArrayParameter( 'a', Validation.validateStringParameter ) ).isFalse();
+	});
+	it( 'fails if any element is invalid', function() {
+		test.bool( Validation.validateArrayParameter( [1, 'b', 3], Validation.validateIntegerParameter ) ).isFalse();
+	});
+});
+
+describe( "validatePointParameter", function() {
+	it( 'passes with a longitude and latitude', function() {
+		test.bool( Validation.validatePointParameter( [149.95, -32.805] ) ).isTrue();
+	});
+	it( 'fails with the wrong number of coordinates', function() {
+		test.bool( Validation.validatePointParameter( [149.95] ) ).isFalse();
+	});
+	it( 'fails if longitude is out of range', function() {
+		test.bool( Validation.validatePointParameter( [190, -32.805] ) ).isFalse();
+	});
+	it( 'fails if latitude is out of range', function() {
+		test.bool( Validation.validatePointParameter( [149.95, -95] ) ).isFalse();
+	});
+	it( 'fails if a coordinate is NaN', function() {
+		test.bool( Validation.validatePointParameter( [NaN, -32.805] ) ).isFalse();
+	});
+});
+
+describe( "validateBoundingBoxParameter", function() {
+	it( 'passes with a valid bounding box', function() {
+		test.bool( Validation.validateBoundingBoxParameter( [149.9, -32.9, 150.0, -32.8] ) ).isTrue();
+	});
+	it( 'fails with the wrong number of coordinates', function() {
+		test.bool( Validation.validateBoundingBoxParameter( [149.9, -32.9, 150.0] ) ).isFalse();
+	});
+	it( 'fails if minimum is greater than maximum', function() {
+		test.bool( Validation.validateBoundingBoxParameter( [150.0, -32.9, 149.9, -32.8] ) ).isFalse();
+	});
+	it( 'fails if a coordinate is out of range', function() {
+		test.bool( Validation.validateBoundingBoxParameter( [149.9, -32.9, 150.0, 95] ) ).isFalse();
+	});
+});
+
+describe( "validatePolygonParameter", function() {
+	var ring = [[149.9, -32.9], [150.0, -32.9], [150.0, -32.8], [149.9, -32.9]];
+
+	it( 'passes with a valid polygon', function() {
+		test.bool( Validation.validatePolygonParameter( [ring] ) ).isTrue();
+	});
+	it( 'passes with a hole', function() {
+		test.bool( Validation.validatePolygonParameter( [ring, ring] ) ).isTrue();
+	});
+	it( 'fails with no rings', function() {
+		test.bool( Validation.validatePolygonParameter( [] ) ).isFalse();
+	});
+	it( 'fails with a ring which is not closed', function() {
+		test.bool( Validation.validatePolygonParameter( [[[149.9, -32.9], [150.0, -32.9], [150.0, -32.8], [149.9, -32.8]]] ) ).isFalse();
+	});
+	it( 'fails with too few points', function() {
+		test.bool( Validation.validatePolygonParameter( [[[149.9, -32.9], [150.0, -32.9], [149.9, -32.9]]] ) ).isFalse();
+	});
+	it( 'fails if a point is out of range', function() {
+		test.bool( Validation.validatePolygonParameter( [[[149.9, -32.9], [150.0, -95], [150.0, -32.8], [149.9, -32.9]]] ) ).isFalse();
+	});
+});
+
 //Test template
 //describe( "suite", function() {
 //	before( function() {	
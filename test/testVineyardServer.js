@@ -3,6 +3,9 @@
 /* jshint -W079 */ // Ignore this error for this import only, as we get a redefinition problem
 var test = require('unit.js');
 /* jshint +W079 */
+var fs = require('fs');
+var path = require('path');
+var pg = require('pg');
 var VineyardServer = require('../VineyardServer.js');
 var Database = require('../Database.js');
 
@@ -320,6 +323,1686 @@ describe( "setState validation", function() {
 	});
 });
 
+describe( "getSoilData validation", function() {
+	var oldDataQuery;
+	var dataQueryCalled;
+	var lastQueryObject;
+	var callbackErr;
+	var callbackData;
+	var callbackDataResponse = 'loam';
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldDataQuery = database.dataQuery;
+		database.dataQuery = function(queryObject, callback){
+			dataQueryCalled = true;
+			lastQueryObject = queryObject;
+			callback(null,callbackDataResponse);
+		};
+	});
+
+	beforeEach( function() {
+		dataQueryCalled = false;
+		lastQueryObject = null;
+		callbackErr = null;
+		callbackData = null;
+	});
+
+	it( "should call the database with no filters", function() {
+		server.getSoilData( {}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.value( callbackData ).is( callbackDataResponse );
+		test.string( lastQueryObject.text ).notContains( 'WHERE lg.' );
+		test.array( lastQueryObject.values ).hasLength( 0 );
+	});
+
+	it( "should return each pit's horizons", function() {
+		server.getSoilData( {}, callback );
+		test.string( lastQueryObject.text ).contains( 'FROM soil_horizons WHERE soil_horizons.ogc_fid = lg.ogc_fid' );
+		test.string( lastQueryObject.text ).contains( 'AS horizons' );
+	});
+
+	it( "should pass all filters as parameterized values", function() {
+		server.getSoilData( {texture:['SL','SC'], pedality:['F/P'], min_depth:10, max_depth:100, pit_location:[1,2]}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.string( lastQueryObject.text ).contains( 'WHERE' );
+		test.array( lastQueryObject.values ).is( [['SL','SC'], ['F/P'], 10, 100, [1,2]] );
+		test.string( lastQueryObject.text ).notContains( 'SL' );
+	});
+
+	it( "should throw an error with an invalid 'texture' parameter", function() {
+		server.getSoilData( {texture:[]}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with an invalid 'pedality' parameter", function() {
+		server.getSoilData( {pedality:'F/P'}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with an invalid 'min_depth' parameter", function() {
+		server.getSoilData( {min_depth:'deep'}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with an invalid 'max_depth' parameter", function() {
+		server.getSoilData( {max_depth:NaN}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error if 'min_depth' is greater than 'max_depth'", function() {
+		server.getSoilData( {min_depth:100, max_depth:10}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with an invalid 'pit_location' parameter", function() {
+		server.getSoilData( {pit_location:[1.5]}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should pass spatial filters as parameterized values", function() {
+		server.getSoilData( {bbox:[149.9, -32.9, 150.0, -32.8], near:[149.95, -32.805], radius:500}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.string( lastQueryObject.text ).contains( 'ST_MakeEnvelope($1, $2, $3, $4, 4326)' );
+		test.string( lastQueryObject.text ).contains( 'ST_DWithin' );
+		test.array( lastQueryObject.values ).is( [149.9, -32.9, 150.0, -32.8, 149.95, -32.805, 500] );
+	});
+
+	it( "should throw an error with an invalid 'bbox' parameter", function() {
+		server.getSoilData( {bbox:[150.0, -32.9, 149.9, -32.8]}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with an invalid 'near' parameter", function() {
+		server.getSoilData( {near:[149.95], radius:500}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error if 'near' is supplied without 'radius'", function() {
+		server.getSoilData( {near:[149.95, -32.805]}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with a non-positive 'radius' parameter", function() {
+		server.getSoilData( {near:[149.95, -32.805], radius:0}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should only return pits at the supplied sites", function() {
+		server.getSoilData( {site_ids:[1, 2]}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( [[1, 2]] );
+	});
+
+	it( "should throw an error with an invalid 'site_ids' parameter", function() {
+		server.getSoilData( {site_ids:['north']}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	after( function(){
+		database.dataQuery = oldDataQuery;
+	});
+});
+
+describe( "soil pit editing validation", function() {
+	var oldDataQuery;
+	var dataQueryCalled;
+	var lastQueryObject;
+	var callbackErr;
+	var callbackData;
+	var callbackDataResponse = [{ogc_fid:7}];
+
+	function createFeature(){
+		return {
+			type: 'Feature',
+			geometry: { type: 'Point', coordinates: [149.95, -32.805] },
+			properties: { pit_location: 3, depth: 80, texture: 'SCL', pedality: 'F/P' }
+		};
+	}
+
+	// A feature with horizons, which takes its depth, texture and pedality from them
+	function createHorizonsFeature(horizons){
+		var feature = createFeature();
+		feature.properties = { pit_location: 3, horizons: horizons };
+		return feature;
+	}
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldDataQuery = database.dataQuery;
+		database.dataQuery = function(queryObject, callback){
+			dataQueryCalled = true;
+			lastQueryObject = queryObject;
+			callback(null,callbackDataResponse);
+		};
+	});
+
+	beforeEach( function() {
+		dataQueryCalled = false;
+		lastQueryObject = null;
+		callbackErr = null;
+		callbackData = null;
+	});
+
+	it( "should accept a valid feature", function() {
+		test.value( server.validateSoilFeature( createFeature() ) ).isNull();
+	});
+
+	it( "should accept a feature with null properties", function() {
+		var feature = createFeature();
+		feature.properties = { texture: null };
+		test.value( server.validateSoilFeature( feature ) ).isNull();
+	});
+
+	it( "should reject a feature with non-point geometry", function() {
+		var feature = createFeature();
+		feature.geometry = { type: 'Polygon', coordinates: [[[1,2],[3,4],[5,6],[1,2]]] };
+		test.object( server.validateSoilFeature( feature ) ).isInstanceOf( Error );
+	});
+
+	it( "should reject a feature with out of range coordinates", function() {
+		var feature = createFeature();
+		feature.geometry.coordinates = [-32.805, 149.95];
+		test.object( server.validateSoilFeature( feature ) ).isInstanceOf( Error );
+	});
+
+	it( "should reject a feature with an invalid property", function() {
+		var feature = createFeature();
+		feature.properties.depth = 'deep';
+		test.object( server.validateSoilFeature( feature ) ).isInstanceOf( Error );
+	});
+
+	it( "should accept a feature with valid horizons", function() {
+		var feature = createHorizonsFeature([
+			{top_depth:0, bottom_depth:25, texture:'SL', pedality:'F/P', colour:'10YR 3/2', ph:6.2, ec:0.4, notes:'Topsoil'},
+			{top_depth:25, bottom_depth:null}
+		]);
+		test.value( server.validateSoilFeature( feature ) ).isNull();
+	});
+
+	it( "should accept a feature whose depth, texture and pedality match its horizons", function() {
+		var feature = createFeature();
+		feature.properties.horizons = [{top_depth:40, bottom_depth:80, texture:'C'}, {top_depth:0, bottom_depth:40, texture:'SCL', pedality:'F/P'}];
+		test.value( server.validateSoilFeature( feature ) ).isNull();
+	});
+
+	it( "should reject a feature whose depth, texture or pedality do not match its horizons", function() {
+		var feature = createFeature();
+		feature.properties.horizons = [{top_depth:0, bottom_depth:30, texture:'SCL', pedality:'F/P'}];
+		test.string( server.validateSoilFeature( feature ).message ).contains( "'depth'" );
+		feature.properties.horizons = [{top_depth:0, bottom_depth:80, texture:'C', pedality:'F/P'}];
+		test.string( server.validateSoilFeature( feature ).message ).contains( "'texture'" );
+		feature.properties.horizons = [];
+		test.object( server.validateSoilFeature( feature ) ).isInstanceOf( Error );
+	});
+
+	it( "should reject a feature whose horizons are not an array", function() {
+		var feature = createFeature();
+		feature.properties.horizons = {top_depth:0};
+		test.object( server.validateSoilFeature( feature ) ).isInstanceOf( Error );
+	});
+
+	it( "should reject invalid horizons", function() {
+		test.object( server.validateSoilHorizon( null ) ).isInstanceOf( Error );
+		test.object( server.validateSoilHorizon( {} ) ).isInstanceOf( Error );
+		test.object( server.validateSoilHorizon( {top_depth:-5} ) ).isInstanceOf( Error );
+		test.object( server.validateSoilHorizon( {top_depth:20, bottom_depth:20} ) ).isInstanceOf( Error );
+		test.object( server.validateSoilHorizon( {top_depth:0, ph:15} ) ).isInstanceOf( Error );
+		test.object( server.validateSoilHorizon( {top_depth:0, ec:-1} ) ).isInstanceOf( Error );
+		test.object( server.validateSoilHorizon( {top_depth:0, colour:5} ) ).isInstanceOf( Error );
+		test.value( server.validateSoilHorizon( {top_depth:0} ) ).isNull();
+	});
+
+	it( "should create a valid soil pit with parameterized values", function() {
+		server.createSoilPit( {feature: createFeature()}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.value( callbackData ).is( callbackDataResponse );
+		test.array( lastQueryObject.values ).is( [149.95, -32.805, 3, 80, 'SCL', 'F/P',
+			'[{"top_depth":0,"bottom_depth":80,"texture":"SCL","pedality":"F/P","colour":null,"ph":null,"ec":null,"notes":null}]'] );
+	});
+
+	it( "should create a soil pit with its horizons", function() {
+		var feature = createHorizonsFeature([{top_depth:0, bottom_depth:30, texture:'SL', ph:6.5}, {top_depth:30, texture:'C'}]);
+		server.createSoilPit( {feature: feature}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.string( lastQueryObject.text ).contains( 'json_to_recordset($7::json)' );
+		test.array( lastQueryObject.values.slice(2, 6) ).is( [3, 30, 'SL', null] );
+		test.array( JSON.parse( lastQueryObject.values[6] ) ).is( [
+			{top_depth:0, bottom_depth:30, texture:'SL', pedality:null, colour:null, ph:6.5, ec:null, notes:null},
+			{top_depth:30, bottom_depth:null, texture:'C', pedality:null, colour:null, ph:null, ec:null, notes:null}
+		] );
+	});
+
+	it( "should not create a soil pit with an invalid horizon", function() {
+		var feature = createFeature();
+		feature.properties.horizons = [{top_depth:30, bottom_depth:10}];
+		server.createSoilPit( {feature: feature}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should not create an invalid soil pit", function() {
+		var feature = createFeature();
+		delete feature.geometry;
+		server.createSoilPit( {feature: feature}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should update a valid soil pit", function() {
+		server.updateSoilPit( {id: 7, feature: createFeature()}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.value( lastQueryObject.values[6] ).is( 7 );
+	});
+
+	it( "should replace the horizons of an updated soil pit", function() {
+		var feature = createHorizonsFeature([{top_depth:0, bottom_depth:20, colour:'10YR 3/2'}]);
+		server.updateSoilPit( {id: 7, feature: feature}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.string( lastQueryObject.text ).contains( 'DELETE FROM soil_horizons' );
+		test.array( lastQueryObject.values.slice(2, 6) ).is( [3, 20, null, null] );
+		test.string( lastQueryObject.text ).contains( 'json_to_recordset($8::json)' );
+		test.array( JSON.parse( lastQueryObject.values[7] ) ).is( [
+			{top_depth:0, bottom_depth:20, texture:null, pedality:null, colour:'10YR 3/2', ph:null, ec:null, notes:null}
+		] );
+	});
+
+	it( "should throw an error updating with an invalid 'id' parameter", function() {
+		server.updateSoilPit( {id: 'seven', feature: createFeature()}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should delete a soil pit", function() {
+		server.deleteSoilPit( {id: 7}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.array( lastQueryObject.values ).is( [7] );
+	});
+
+	it( "should create a soil pit at a site", function() {
+		server.createSoilPit( {feature: createFeature(), site_id: 2}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values.slice(0, 7) ).is( [149.95, -32.805, 3, 80, 'SCL', 'F/P', 2] );
+		test.string( lastQueryObject.text ).contains( 'json_to_recordset($8::json)' );
+	});
+
+	it( "should only update a soil pit at the supplied sites", function() {
+		server.updateSoilPit( {id: 7, feature: createFeature(), site_ids: [2]}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values[7] ).is( [2] );
+	});
+
+	it( "should only delete a soil pit at the supplied sites", function() {
+		server.deleteSoilPit( {id: 7, site_ids: [2, 3]}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( [7, [2, 3]] );
+	});
+
+	it( "should not delete a soil pit with invalid 'site_ids'", function() {
+		server.deleteSoilPit( {id: 7, site_ids: 2}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should throw an error deleting with an invalid 'id' parameter", function() {
+		server.deleteSoilPit( {id: 7.5}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	after( function(){
+		database.dataQuery = oldDataQuery;
+	});
+});
+
+describe( "importSoilPits validation", function() {
+	var oldTransactionQuery;
+	var transactionQueryObjects;
+	var callbackErr;
+	var callbackData;
+
+	function createRow(row, latitude){
+		return {
+			row: row,
+			feature: {
+				type: 'Feature',
+				geometry: { type: 'Point', coordinates: [149.95, latitude] },
+				properties: { pit_location: row, depth: 80, texture: 'SCL', pedality: 'F/P' }
+			}
+		};
+	}
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldTransactionQuery = database.transactionQuery;
+		database.transactionQuery = function(queryObjects, callback){
+			transactionQueryObjects = queryObjects;
+			callback(null, []);
+		};
+	});
+
+	beforeEach( function() {
+		transactionQueryObjects = null;
+		callbackErr = null;
+		callbackData = null;
+	});
+
+	it( "should insert all valid rows in one transaction", function() {
+		server.importSoilPits( {rows: [createRow(2, -32.8), createRow(3, -32.9)]}, callback );
+		test.value( callbackErr ).isNull();
+		test.object( callbackData ).is( {imported: 2, errors: []} );
+		test.array( transactionQueryObjects ).hasLength( 1 );
+		test.array( transactionQueryObjects[0].values ).hasLength( 12 );
+		test.string( transactionQueryObjects[0].text ).contains( '($7, $8), 4326), $9, $10, $11, $12)' );
+	});
+
+	it( "should give each imported pit a horizon from its depth, texture and pedality", function() {
+		server.importSoilPits( {rows: [createRow(2, -32.8)]}, callback );
+		test.string( transactionQueryObjects[0].text ).contains( 'INSERT INTO soil_horizons' );
+		test.string( transactionQueryObjects[0].text ).contains( 'CASE WHEN p.depth > 0 THEN p.depth END' );
+	});
+
+	it( "should report rows with horizons, which cannot be imported", function() {
+		var row = createRow(3, -32.9);
+		row.feature.properties.horizons = [{top_depth:0}];
+		server.importSoilPits( {rows: [createRow(2, -32.8), row]}, callback );
+		test.value( transactionQueryObjects ).isNull();
+		test.array( callbackData.errors ).hasLength( 1 );
+		test.number( callbackData.errors[0].row ).is( 3 );
+	});
+
+	it( "should split large imports into batches", function() {
+		var rows = [];
+		for (var i=0; i<server.importBatchSize+1; i++) rows.push( createRow(i, -32.8) );
+		server.importSoilPits( {rows: rows}, callback );
+		test.array( transactionQueryObjects ).hasLength( 2 );
+		test.number( callbackData.imported ).is( rows.length );
+	});
+
+	it( "should report every invalid row and insert nothing", function() {
+		server.importSoilPits( {rows: [createRow(2, -32.8), createRow(3, 'south'), createRow(4, -95)]}, callback );
+		test.value( transactionQueryObjects ).isNull();
+		test.value( callbackErr ).isNull();
+		test.number( callbackData.imported ).is( 0 );
+		test.array( callbackData.errors ).hasLength( 2 );
+		test.number( callbackData.errors[0].row ).is( 3 );
+		test.number( callbackData.errors[1].row ).is( 4 );
+	});
+
+	it( "should throw an error with no rows", function() {
+		server.importSoilPits( {rows: []}, callback );
+		test.value( transactionQueryObjects ).isNull();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	after( function(){
+		database.transactionQuery = oldTransactionQuery;
+	});
+});
+
+describe( "getSensors validation", function() {
+	var oldDataQuery;
+	var oldConfig;
+	var dataQueryCalled;
+	var lastQueryObject;
+	var callbackErr;
+	var callbackData;
+	var callbackDataResponse = 'probe';
+
+	function createOptions(polygon_layer, minimum_state_filter){
+		return {
+			polygon_layer: polygon_layer,
+			minimum_state_filter: minimum_state_filter
+		};
+	}
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldDataQuery = database.dataQuery;
+		database.dataQuery = function(queryOptions, callback){
+			dataQueryCalled = true;
+			lastQueryObject = queryOptions;
+			callback(null,callbackDataResponse);
+		};
+		oldConfig = server.config;
+		server.config = { pg: { sensor_layers: { sensors: 'sensor_table' } } };
+	});
+
+	beforeEach( function() {
+		dataQueryCalled = false;
+		callbackErr = null;
+		callbackData = null;
+	});
+
+	it( "should call the database if parameters are valid", function() {
+		server.getSensors( createOptions('sensor_table', 0), callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.value( callbackData ).is( callbackDataResponse );
+	});
+
+	it( "should throw an error with a missing 'polygon_layer' parameter", function() {
+		server.getSensors( createOptions(null, 0), callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with a 'polygon_layer' parameter which is not a configured sensor layer", function() {
+		server.getSensors( createOptions('users', 0), callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with an invalid 'minimum_state_filter' parameter", function() {
+		server.getSensors( createOptions('sensor_table', 'abc'), callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should only return sensors at the supplied sites", function() {
+		var options = createOptions('sensor_table', 0);
+		options.site_ids = [4];
+		server.getSensors( options, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( [0, [4]] );
+	});
+
+	it( "should check every configured sensor layer for the columns it needs", function() {
+		server.config = { pg: { sensor_layers: { sensors: 'sensor_table', gauges: 'gauge_table' } } };
+		server.checkSensorLayers( callback );
+		server.config = { pg: { sensor_layers: { sensors: 'sensor_table' } } };
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackData ).is( callbackDataResponse );
+		test.array( lastQueryObject.values ).is( [['sensor_table', 'gauge_table'], ['pkey', 'area_name', 'parent_name', 'the_geom', 'site_id']] );
+	});
+
+	after( function(){
+		database.dataQuery = oldDataQuery;
+		server.config = oldConfig;
+	});
+});
+
+describe( "sensor reading ingestion validation", function() {
+	var oldDataQuery;
+	var oldConfig;
+	var dataQueryCalled;
+	var lastQueryObject;
+	var callbackErr;
+	var callbackData;
+	var callbackDataResponse = [{id:1},{id:2}];
+
+	function createReading(measurement, value, recorded_at){
+		return {
+			measurement: measurement,
+			value: value,
+			recorded_at: recorded_at
+		};
+	}
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldDataQuery = database.dataQuery;
+		database.dataQuery = function(queryObject, callback){
+			dataQueryCalled = true;
+			lastQueryObject = queryObject;
+			callback(null,callbackDataResponse);
+		};
+		oldConfig = server.config;
+		server.config = { sensors: { measurements: ['temperature', 'soil_moisture'] } };
+	});
+
+	beforeEach( function() {
+		dataQueryCalled = false;
+		lastQueryObject = null;
+		callbackErr = null;
+		callbackData = null;
+	});
+
+	it( "should insert a batch of readings with one parameterized query", function() {
+		server.addSensorReadings( {sensor_id: 5, readings: [createReading('temperature', 12.5, 1476000000), createReading('soil_moisture', 31, 1476000060)]}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.value( callbackData ).is( callbackDataResponse );
+		test.array( lastQueryObject.values ).is( [5, 'temperature', 12.5, 1476000000, 5, 'soil_moisture', 31, 1476000060] );
+		test.string( lastQueryObject.text ).contains( '($5, $6, $7, to_timestamp($8))' );
+	});
+
+	it( "should throw an error with an invalid 'sensor_id' parameter", function() {
+		server.addSensorReadings( {sensor_id: 'five', readings: [createReading('temperature', 12.5, 1476000000)]}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with no readings", function() {
+		server.addSensorReadings( {sensor_id: 5, readings: []}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with an unknown measurement", function() {
+		server.addSensorReadings( {sensor_id: 5, readings: [createReading('temperature', 12.5, 1476000000), createReading('rainfall', 2, 1476000000)]}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with an invalid value", function() {
+		server.addSensorReadings( {sensor_id: 5, readings: [createReading('temperature', '12.5', 1476000000)]}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with an invalid time", function() {
+		server.addSensorReadings( {sensor_id: 5, readings: [createReading('temperature', 12.5, NaN)]}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should look up sensors by the hash of their API key", function() {
+		server.getSensorByApiKey( {api_key: 'secret'}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( [server.hashApiKey('secret')] );
+		test.string( lastQueryObject.values[0] ).isNot( 'secret' );
+	});
+
+	it( "should store only the hash of a new API key", function() {
+		server.setSensorApiKey( {sensor_id: 5, api_key: 'secret'}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( [server.hashApiKey('secret'), 5] );
+	});
+
+	after( function(){
+		database.dataQuery = oldDataQuery;
+		server.config = oldConfig;
+	});
+});
+
+describe( "getSensorReadings validation", function() {
+	var oldDataQuery;
+	var oldConfig;
+	var dataQueryCalled;
+	var lastQueryObject;
+	var callbackErr;
+	var callbackData;
+	var callbackDataResponse = 'tellurium';
+
+	function createOptions(sensor_id, start, end, interval){
+		return {
+			sensor_id: sensor_id,
+			start: start,
+			end: end,
+			interval: interval
+		};
+	}
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldDataQuery = database.dataQuery;
+		database.dataQuery = function(queryObject, callback){
+			dataQueryCalled = true;
+			lastQueryObject = queryObject;
+			callback(null,callbackDataResponse);
+		};
+		oldConfig = server.config;
+		server.config = { sensors: { timezone: 'Australia/Sydney' } };
+	});
+
+	beforeEach( function() {
+		dataQueryCalled = false;
+		lastQueryObject = null;
+		callbackErr = null;
+		callbackData = null;
+	});
+
+	it( "should call the database if parameters are valid", function() {
+		server.getSensorReadings( createOptions(5, 1, 2, 'hourly'), callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.value( callbackData ).is( callbackDataResponse );
+		test.array( lastQueryObject.values ).is( [5, 1, 2, 'hour', 'Australia/Sydney'] );
+	});
+
+	it( "should aggregate daily readings", function() {
+		server.getSensorReadings( createOptions(5, 1, 2, 'daily'), callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.string( lastQueryObject.text ).contains( 'GROUP BY' );
+		test.value( lastQueryObject.values[3] ).is( 'day' );
+	});
+
+	it( "should return raw readings without aggregation", function() {
+		server.getSensorReadings( createOptions(5, 1, 2, 'raw'), callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.string( lastQueryObject.text ).notContains( 'GROUP BY' );
+		test.array( lastQueryObject.values ).is( [5, 1, 2] );
+	});
+
+	it( "should filter by measurement", function() {
+		var options = createOptions(5, 1, 2, 'raw');
+		options.measurement = 'temperature';
+		server.getSensorReadings( options, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( [5, 1, 2, 'temperature'] );
+	});
+
+	it( "should throw an error with an invalid 'sensor_id' parameter", function() {
+		server.getSensorReadings( createOptions('iodine', 1, 2, 'hourly'), callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with an invalid 'start' parameter", function() {
+		server.getSensorReadings( createOptions(5, 'mercury', 2, 'hourly'), callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with an invalid 'end' parameter", function() {
+		server.getSensorReadings( createOptions(5, 1, 'platinum', 'hourly'), callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error if 'start' is not before 'end'", function() {
+		server.getSensorReadings( createOptions(5, 2, 2, 'hourly'), callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should throw an error with an invalid 'interval' parameter", function() {
+		server.getSensorReadings( createOptions(5, 1, 2, 'weekly'), callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	after( function(){
+		database.dataQuery = oldDataQuery;
+		server.config = oldConfig;
+	});
+});
+
+describe( "user management validation", function() {
+	var oldDataQuery;
+	var dataQueryCalled;
+	var lastQueryObject;
+	var callbackErr;
+	var callbackData;
+	var callbackDataResponse = [{id:3, username:'grower', editor:true, admin:false, disabled:false}];
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldDataQuery = database.dataQuery;
+		database.dataQuery = function(queryObject, callback){
+			dataQueryCalled = true;
+			lastQueryObject = queryObject;
+			callback(null,callbackDataResponse);
+		};
+	});
+
+	beforeEach( function() {
+		dataQueryCalled = false;
+		lastQueryObject = null;
+		callbackErr = null;
+		callbackData = null;
+	});
+
+	it( "should list users without their passwords", function() {
+		server.getUsers( callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackData ).is( callbackDataResponse );
+		test.string( lastQueryObject.text ).notContains( 'password' );
+	});
+
+	it( "should create a user with parameterized values", function() {
+		server.createUser( {username:'grower', password:'hash', editor:true, admin:false}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.array( lastQueryObject.values ).is( ['grower', 'hash', null, true, false] );
+	});
+
+	it( "should create a user with an email address", function() {
+		server.createUser( {username:'grower', password:'hash', email:'grower@example.com', editor:true, admin:false}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( ['grower', 'hash', 'grower@example.com', true, false] );
+	});
+
+	it( "should not create a user without a username", function() {
+		server.createUser( {username:'', password:'hash', editor:true, admin:false}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should not create a user with a non-boolean flag", function() {
+		server.createUser( {username:'grower', password:'hash', editor:'yes', admin:false}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should update only the supplied flags", function() {
+		server.updateUser( {id:3, disabled:true}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.string( lastQueryObject.text ).contains( 'SET disabled = $1 WHERE id = $2' );
+		test.array( lastQueryObject.values ).is( [true, 3] );
+	});
+
+	it( "should update the email address", function() {
+		server.updateUser( {id:3, email:null}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.string( lastQueryObject.text ).contains( 'SET email = $1 WHERE id = $2' );
+		test.array( lastQueryObject.values ).is( [null, 3] );
+	});
+
+	it( "should not update a user without any flags", function() {
+		server.updateUser( {id:3}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should not update a user with a non-boolean flag", function() {
+		server.updateUser( {id:3, admin:1}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should not update a user with an invalid id", function() {
+		server.updateUser( {id:'3', admin:true}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should delete a user by id", function() {
+		server.deleteUser( {id:3}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( [3] );
+	});
+
+	it( "should not delete a user with an invalid id", function() {
+		server.deleteUser( {id:1.5}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	after( function(){
+		database.dataQuery = oldDataQuery;
+	});
+});
+
+describe( "password validation", function() {
+	var oldDataQuery;
+	var dataQueryCalled;
+	var lastQueryObject;
+	var callbackErr;
+	var callbackData;
+	var callbackDataResponse = [{id:3, username:'grower', email:'grower@example.com'}];
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldDataQuery = database.dataQuery;
+		database.dataQuery = function(queryObject, callback){
+			dataQueryCalled = true;
+			lastQueryObject = queryObject;
+			callback(null,callbackDataResponse);
+		};
+	});
+
+	beforeEach( function() {
+		dataQueryCalled = false;
+		lastQueryObject = null;
+		callbackErr = null;
+		callbackData = null;
+	});
+
+	it( "should set a password with parameterized values", function() {
+		server.setUserPassword( {id:3, password:'hash'}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( ['hash', 3] );
+	});
+
+	it( "should not set a password for an invalid id", function() {
+		server.setUserPassword( {id:'3', password:'hash'}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should store a hash of the reset token, not the token", function() {
+		server.createPasswordReset( {username:'grower', token:'abc123', expires:1476800000}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackData ).is( callbackDataResponse );
+		test.array( lastQueryObject.values ).is( ['grower', server.hashApiKey('abc123'), 1476800000] );
+	});
+
+	it( "should not create a reset token without an expiry time", function() {
+		server.createPasswordReset( {username:'grower', token:'abc123', expires:NaN}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should reset a password by the hash of the token", function() {
+		server.resetPassword( {token:'abc123', password:'hash'}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( [server.hashApiKey('abc123'), 'hash'] );
+		test.string( lastQueryObject.text ).contains( 'expires > now()' );
+	});
+
+	it( "should not reset a password without a token", function() {
+		server.resetPassword( {token:'', password:'hash'}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	after( function(){
+		database.dataQuery = oldDataQuery;
+	});
+});
+
+describe( "login lockout validation", function() {
+	var oldDataQuery;
+	var oldConfig;
+	var dataQueryCalled;
+	var lastQueryObject;
+	var callbackErr;
+	var callbackData;
+	var callbackDataResponse = [{attempt_type:'username', attempt_value:'grower', failures:4, locked_until:new Date()}];
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldDataQuery = database.dataQuery;
+		database.dataQuery = function(queryObject, callback){
+			dataQueryCalled = true;
+			lastQueryObject = queryObject;
+			callback(null,callbackDataResponse);
+		};
+		oldConfig = server.config;
+		server.config = {
+			auth: {
+				lockout: {
+					allowedFailures: 3,
+					initialDelay: 2,
+					maxDelay: 60,
+					maxFailures: 10,
+					lockoutDuration: 900,
+					failureWindow: 3600
+				}
+			}
+		};
+	});
+
+	beforeEach( function() {
+		dataQueryCalled = false;
+		lastQueryObject = null;
+		callbackErr = null;
+		callbackData = null;
+	});
+
+	it( "should list all lockouts without filters", function() {
+		server.getLoginLockouts( {}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackData ).is( callbackDataResponse );
+		test.array( lastQueryObject.values ).is( [] );
+	});
+
+	it( "should find lockouts of a username or IP address", function() {
+		server.getLoginLockouts( {username:'grower', ip:'10.0.0.1'}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.string( lastQueryObject.text ).contains( "(attempt_type = 'username' AND attempt_value = $1) OR (attempt_type = 'ip' AND attempt_value = $2)" );
+		test.array( lastQueryObject.values ).is( ['grower', '10.0.0.1'] );
+	});
+
+	it( "should record a failure with the configured lockout settings", function() {
+		server.recordLoginFailure( {username:'grower', ip:'10.0.0.1'}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.array( lastQueryObject.values ).is( ['grower', '10.0.0.1', 10, 900, 3, 2, 60, 3600] );
+	});
+
+	it( "should not record a failure without an IP address", function() {
+		server.recordLoginFailure( {username:'grower'}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should clear the failures of a username", function() {
+		server.clearLoginFailures( {attempt_type:'username', attempt_value:'grower'}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( ['username', 'grower'] );
+	});
+
+	it( "should not clear failures of an unknown type", function() {
+		server.clearLoginFailures( {attempt_type:'email', attempt_value:'grower'}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	after( function(){
+		database.dataQuery = oldDataQuery;
+		server.config = oldConfig;
+	});
+});
+
+// Runs against a real database, which needs its connection string in the VINEYARD_TEST_DATABASE environment variable.
+// The login_failures table is created for the test and dropped afterwards.
+describe( "concurrent login failures", function() {
+	var conString = process.env.VINEYARD_TEST_DATABASE;
+	var lockout = { allowedFailures: 3, initialDelay: 2, maxDelay: 60, maxFailures: 10, lockoutDuration: 900, failureWindow: 3600 };
+	var testConfig = { pg: { conString: conString }, auth: { lockout: lockout } };
+	var testServer;
+
+	function query(text, callback) {
+		testServer.database.dataQuery( { text: text }, callback );
+	}
+
+	before( function(done) {
+		if (!conString) {
+			this.skip();
+			return;
+		}
+		testServer = new VineyardServer( testConfig, server.logger, new Database(testConfig, server.logger, pg) );
+		query( fs.readFileSync( path.join(__dirname, '..', 'migrations', '007-login-failures.up.sql'), 'utf8' ), done );
+	});
+
+	it( "should count every one of many failures made at once", function(done) {
+		var attempts = 10;
+		var finished = 0;
+		var errors = [];
+		function recorded(err) {
+			if (err) errors.push(err);
+			if (++finished < attempts) return;
+
+			test.array( errors ).isEmpty();
+			query( "SELECT failures, locked_until FROM login_failures WHERE attempt_type = 'username' AND attempt_value = 'grower';", function(err, rows) {
+				test.value( err ).isNull();
+				test.number( rows[0].failures ).is( attempts );
+				test.object( rows[0].locked_until ).isInstanceOf( Date );
+				done();
+			});
+		}
+		// Every failure is sent before any has been recorded
+		for (var i=0; i<attempts; i++) {
+			testServer.recordLoginFailure( {username:'grower', ip:'10.0.0.' + i}, recorded );
+		}
+	});
+
+	after( function(done) {
+		if (!conString) {
+			done();
+			return;
+		}
+		query( fs.readFileSync( path.join(__dirname, '..', 'migrations', '007-login-failures.down.sql'), 'utf8' ), function() {
+			pg.end();
+			done();
+		});
+	});
+});
+
+describe( "API token validation", function() {
+	var oldDataQuery;
+	var dataQueryCalled;
+	var lastQueryObject;
+	var callbackErr;
+	var callbackData;
+	var callbackDataResponse = [{id:5, name:'gis', scope:'read'}];
+
+	function createOptions(){
+		return { user_id: 3, name: 'gis', scope: 'read', token: 'abc123' };
+	}
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldDataQuery = database.dataQuery;
+		database.dataQuery = function(queryObject, callback){
+			dataQueryCalled = true;
+			lastQueryObject = queryObject;
+			callback(null,callbackDataResponse);
+		};
+	});
+
+	beforeEach( function() {
+		dataQueryCalled = false;
+		lastQueryObject = null;
+		callbackErr = null;
+		callbackData = null;
+	});
+
+	it( "should list a user's tokens without their hashes", function() {
+		server.getApiTokens( {user_id:3}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackData ).is( callbackDataResponse );
+		test.string( lastQueryObject.text ).notContains( 'token_hash' );
+		test.array( lastQueryObject.values ).is( [3] );
+	});
+
+	it( "should store a hash of a new token, not the token", function() {
+		server.createApiToken( createOptions(), callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.array( lastQueryObject.values ).is( [3, 'gis', 'read', server.hashApiKey('abc123')] );
+	});
+
+	it( "should not create a token with an unknown scope", function() {
+		var options = createOptions();
+		options.scope = 'admin';
+		server.createApiToken( options, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+		test.undefined( callbackData );
+	});
+
+	it( "should not create a token without a name", function() {
+		var options = createOptions();
+		options.name = '';
+		server.createApiToken( options, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should look up a user by the hash of their token", function() {
+		server.getUserByApiToken( {token:'abc123'}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( [server.hashApiKey('abc123')] );
+		test.string( lastQueryObject.text ).contains( 'NOT users.disabled' );
+	});
+
+	it( "should only revoke a token owned by the user", function() {
+		server.deleteApiToken( {id:5, user_id:3}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.string( lastQueryObject.text ).contains( 'user_id = $2' );
+		test.array( lastQueryObject.values ).is( [5, 3] );
+	});
+
+	it( "should not revoke a token without a user", function() {
+		server.deleteApiToken( {id:5}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	after( function(){
+		database.dataQuery = oldDataQuery;
+	});
+});
+
+describe( "roles and permissions", function() {
+	var oldDataQuery;
+	var oldTransactionQuery;
+	var oldConfig;
+	var dataQueryCalled;
+	var lastQueryObject;
+	var lastQueryObjects;
+	var callbackErr;
+	var callbackData;
+	var callbackDataResponse;
+	var transactionResponse;
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldDataQuery = database.dataQuery;
+		database.dataQuery = function(queryObject, callback){
+			dataQueryCalled = true;
+			lastQueryObject = queryObject;
+			callback(null,callbackDataResponse);
+		};
+		oldTransactionQuery = database.transactionQuery;
+		database.transactionQuery = function(queryObjects, callback){
+			dataQueryCalled = true;
+			lastQueryObjects = queryObjects;
+			callback(null,transactionResponse);
+		};
+		oldConfig = server.config;
+		server.config = {
+			auth: {
+				defaultPermissions: ['soil:read', 'sensors:read']
+			}
+		};
+	});
+
+	beforeEach( function() {
+		dataQueryCalled = false;
+		lastQueryObject = null;
+		lastQueryObjects = null;
+		callbackErr = null;
+		callbackData = null;
+		callbackDataResponse = [];
+		transactionResponse = [[{id:7}], [], []];
+	});
+
+	it( "should combine the permissions of all of a user's roles", function() {
+		callbackDataResponse = [
+			{role:'grower', permission:'soil:read'},
+			{role:'grower', permission:'soil:edit'},
+			{role:'contractor', permission:'sensors:read'}
+		];
+		server.getUserPermissions( {user:{id:7}}, callback );
+		test.array( lastQueryObject.values ).is( [7] );
+		test.value( callbackErr ).is( null );
+		test.array( callbackData.roles ).is( ['contractor', 'grower'] );
+		test.array( callbackData.permissions ).is( ['sensors:read', 'soil:edit', 'soil:read'] );
+	});
+
+	it( "should give users without roles the default permissions", function() {
+		server.getUserPermissions( {user:{id:7}}, callback );
+		test.array( callbackData.roles ).is( [] );
+		test.array( callbackData.permissions ).is( ['sensors:read', 'soil:read'] );
+	});
+
+	it( "should add the permissions of the editor and admin flags", function() {
+		callbackDataResponse = [{role:'contractor', permission:'sensors:read'}];
+		server.getUserPermissions( {user:{id:7, editor:true, admin:true}}, callback );
+		test.array( callbackData.permissions ).is( ['blocks:edit', 'sensors:read', 'soil:edit', 'users:manage'] );
+	});
+
+	it( "should not look up permissions without a user", function() {
+		server.getUserPermissions( {}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should list roles", function() {
+		callbackDataResponse = [{name:'grower', description:'Growers', permissions:['soil:read']}];
+		server.getRoles( callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackData ).is( callbackDataResponse );
+	});
+
+	it( "should replace a user's roles in a transaction", function() {
+		server.setUserRoles( {id:7, roles:['grower', 'consultant']}, callback );
+		test.number( lastQueryObjects.length ).is( 3 );
+		test.array( lastQueryObjects[2].values ).is( [7, ['grower', 'consultant']] );
+		test.array( callbackData ).is( [{id:7}] );
+	});
+
+	it( "should remove all of a user's roles with an empty list", function() {
+		server.setUserRoles( {id:7, roles:[]}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).is( null );
+	});
+
+	it( "should not set roles without a list of role names", function() {
+		server.setUserRoles( {id:7, roles:'grower'}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should not set roles for an invalid id", function() {
+		server.setUserRoles( {id:'x', roles:[]}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	after( function(){
+		database.dataQuery = oldDataQuery;
+		database.transactionQuery = oldTransactionQuery;
+		server.config = oldConfig;
+	});
+});
+
+describe( "sites", function() {
+	var oldDataQuery;
+	var oldTransactionQuery;
+	var dataQueryCalled;
+	var lastQueryObject;
+	var lastQueryObjects;
+	var callbackErr;
+	var callbackData;
+	var callbackDataResponse = [{id:1, name:'North', bounds:[149.9, -32.85, 150.0, -32.8]}];
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldDataQuery = database.dataQuery;
+		database.dataQuery = function(queryObject, callback){
+			dataQueryCalled = true;
+			lastQueryObject = queryObject;
+			callback(null,callbackDataResponse);
+		};
+		oldTransactionQuery = database.transactionQuery;
+		database.transactionQuery = function(queryObjects, callback){
+			dataQueryCalled = true;
+			lastQueryObjects = queryObjects;
+			callback(null,[[{id:7}], [], []]);
+		};
+	});
+
+	beforeEach( function() {
+		dataQueryCalled = false;
+		lastQueryObject = null;
+		lastQueryObjects = null;
+		callbackErr = null;
+		callbackData = null;
+	});
+
+	it( "should list all sites", function() {
+		server.getSites( {}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( [] );
+		test.value( callbackData ).is( callbackDataResponse );
+	});
+
+	it( "should list the sites of a user", function() {
+		server.getSites( {user_id:7}, callback );
+		test.array( lastQueryObject.values ).is( [7] );
+	});
+
+	it( "should not list the sites of an invalid user", function() {
+		server.getSites( {user_id:'seven'}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should replace a user's sites in a transaction", function() {
+		server.setUserSites( {id:7, site_ids:[1, 2]}, callback );
+		test.number( lastQueryObjects.length ).is( 3 );
+		test.array( lastQueryObjects[2].values ).is( [7, [1, 2]] );
+		test.array( callbackData ).is( [{id:7}] );
+	});
+
+	it( "should not set sites without a list of site ids", function() {
+		server.setUserSites( {id:7}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should look up a site by the hash of its alert feed key", function() {
+		server.getSiteByAlertsKey( {alerts_key:'feedkey'}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( [server.hashApiKey('feedkey')] );
+		test.string( lastQueryObject.text ).notContains( 'feedkey' );
+	});
+
+	it( "should not look up a site without an alert feed key", function() {
+		server.getSiteByAlertsKey( {alerts_key:''}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should store only the hash of a site's alert feed key", function() {
+		server.setSiteAlertsKey( {site_id:1, alerts_key:'feedkey'}, callback );
+		test.array( lastQueryObject.values ).is( [server.hashApiKey('feedkey'), 1] );
+	});
+
+	it( "should not set the alert feed key of an invalid site", function() {
+		server.setSiteAlertsKey( {site_id:'north', alerts_key:'feedkey'}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	after( function(){
+		database.dataQuery = oldDataQuery;
+		database.transactionQuery = oldTransactionQuery;
+	});
+});
+
+describe( "audit log of changes", function() {
+	var oldDataQuery;
+	var oldTransactionQuery;
+	var lastQueryObject;
+	var callbackErr;
+	var callbackData;
+	var callbackDataResponse;
+	var recordedEntries;
+	var context = {username:'manager', ip:'10.0.0.1', route:'PUT /data/api/soil/7'};
+
+	function createFeature(){
+		return {
+			type: 'Feature',
+			geometry: { type: 'Point', coordinates: [149.95, -32.805] },
+			properties: { pit_location: 3, depth: 90, texture: 'SCL', pedality: 'F/P' }
+		};
+	}
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldDataQuery = database.dataQuery;
+		database.dataQuery = function(queryObject, callback){
+			lastQueryObject = queryObject;
+			callback(null,callbackDataResponse);
+		};
+		oldTransactionQuery = database.transactionQuery;
+		database.transactionQuery = function(queryObjects, callback){
+			callback(null,[[{id:7, roles:['contractor']}], [], []]);
+		};
+		server.audit = {
+			record: function(entry, callback){
+				recordedEntries.push(entry);
+				callback(null);
+			}
+		};
+	});
+
+	beforeEach( function() {
+		lastQueryObject = null;
+		callbackErr = null;
+		callbackData = null;
+		recordedEntries = [];
+	});
+
+	it( "should record a soil pit update with the pit before and after", function() {
+		callbackDataResponse = [{ogc_fid:7, site_id:2, before:{ogc_fid:7, depth:80}}];
+		server.updateSoilPit( {id:7, feature:createFeature(), audit:context}, callback );
+		test.string( lastQueryObject.text ).contains( 'WITH old_pit AS' );
+		test.array( callbackData ).is( [{ogc_fid:7}] );
+		test.array( recordedEntries ).hasLength( 1 );
+		test.value( recordedEntries[0].action ).is( 'soil.update' );
+		test.value( recordedEntries[0].username ).is( 'manager' );
+		test.value( recordedEntries[0].route ).is( 'PUT /data/api/soil/7' );
+		test.object( recordedEntries[0].before ).is( {ogc_fid:7, depth:80} );
+		test.number( recordedEntries[0].after.depth ).is( 90 );
+		test.number( recordedEntries[0].after.site_id ).is( 2 );
+	});
+
+	it( "should record the depth, texture and pedality of an updated pit from its horizons", function() {
+		callbackDataResponse = [{ogc_fid:7, site_id:2, before:{ogc_fid:7, depth:80}}];
+		var feature = createFeature();
+		feature.properties = { horizons: [{top_depth:0, bottom_depth:35, texture:'L', pedality:'M'}] };
+		server.updateSoilPit( {id:7, feature:feature, audit:context}, callback );
+		test.number( recordedEntries[0].after.depth ).is( 35 );
+		test.string( recordedEntries[0].after.texture ).is( 'L' );
+		test.string( recordedEntries[0].after.pedality ).is( 'M' );
+	});
+
+	it( "should not record an update of a pit which does not exist", function() {
+		callbackDataResponse = [];
+		server.updateSoilPit( {id:7, feature:createFeature(), audit:context}, callback );
+		test.array( callbackData ).is( [] );
+		test.array( recordedEntries ).hasLength( 0 );
+	});
+
+	it( "should record a user update without returning the user before the change", function() {
+		callbackDataResponse = [{id:7, username:'grower', editor:true, before:{id:7, username:'grower', editor:false}}];
+		server.updateUser( {id:7, editor:true, audit:context}, callback );
+		test.array( callbackData ).is( [{id:7, username:'grower', editor:true}] );
+		test.value( recordedEntries[0].action ).is( 'user.update' );
+		test.bool( recordedEntries[0].before.editor ).isFalse();
+		test.bool( recordedEntries[0].after.editor ).isTrue();
+	});
+
+	it( "should record a deleted user", function() {
+		callbackDataResponse = [{id:7, before:{id:7, username:'grower'}}];
+		server.deleteUser( {id:7, audit:context}, callback );
+		test.array( callbackData ).is( [{id:7}] );
+		test.value( recordedEntries[0].action ).is( 'user.delete' );
+		test.value( recordedEntries[0].after ).isNull();
+	});
+
+	it( "should record a user's roles before and after they are replaced", function() {
+		server.setUserRoles( {id:7, roles:['grower', 'consultant'], audit:context}, callback );
+		test.array( callbackData ).is( [{id:7}] );
+		test.array( recordedEntries[0].before.roles ).is( ['contractor'] );
+		test.array( recordedEntries[0].after.roles ).is( ['consultant', 'grower'] );
+	});
+
+	after( function(){
+		database.dataQuery = oldDataQuery;
+		database.transactionQuery = oldTransactionQuery;
+		server.audit = null;
+	});
+});
+
+describe( "blocks", function() {
+	var oldDataQuery;
+	var dataQueryCalled;
+	var lastQueryObject;
+	var callbackErr;
+	var callbackData;
+	var callbackDataResponse;
+
+	function createFeature(){
+		return {
+			type: 'Feature',
+			geometry: { type: 'Polygon', coordinates: [[[149.9, -32.9], [150.0, -32.9], [150.0, -32.8], [149.9, -32.9]]] },
+			properties: { name: 'B4', variety: 'Shiraz', clone: '1654', rootstock: 'Ramsey', planting_year: 1998, row_spacing: 3 }
+		};
+	}
+
+	function callback(err,data) {
+		callbackErr = err;
+		callbackData = data;
+	}
+
+	before( function() {
+		oldDataQuery = database.dataQuery;
+		database.dataQuery = function(queryObject, callback){
+			dataQueryCalled = true;
+			lastQueryObject = queryObject;
+			callback(null,callbackDataResponse);
+		};
+	});
+
+	beforeEach( function() {
+		dataQueryCalled = false;
+		lastQueryObject = null;
+		callbackErr = null;
+		callbackData = null;
+		callbackDataResponse = [{id:4, before:{id:4}, after:{id:4}}];
+	});
+
+	it( "should get blocks filtered by variety, bbox and site", function() {
+		server.getBlocks( {variety: ['Shiraz'], bbox: [149.9, -32.9, 150.0, -32.8], site_ids: [2]}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.string( lastQueryObject.text ).contains( "lg.variety = ANY($1::varchar[])" );
+		test.string( lastQueryObject.text ).contains( "lg.site_id = ANY($6::int[])" );
+		test.array( lastQueryObject.values ).is( [['Shiraz'], 149.9, -32.9, 150.0, -32.8, [2]] );
+	});
+
+	it( "should not get blocks with an invalid 'bbox'", function() {
+		server.getBlocks( {bbox: [150.0, -32.9, 149.9, -32.8]}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should summarise the soil pits in each block, with the block filters", function() {
+		server.getBlockSoilSummary( {variety: ['Shiraz'], site_ids: [2]}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.string( lastQueryObject.text ).contains( "ST_Within(a.wkb_geometry, b.wkb_geometry) AND a.site_id = b.site_id" );
+		test.string( lastQueryObject.text ).contains( "COALESCE(summary.pit_count, 0) AS pit_count" );
+		test.string( lastQueryObject.text ).contains( "WHERE lg.variety = ANY($1::varchar[]) AND lg.site_id = ANY($2::int[])" );
+		test.array( lastQueryObject.values ).is( [['Shiraz'], [2]] );
+	});
+
+	it( "should not summarise blocks with invalid 'site_ids'", function() {
+		server.getBlockSoilSummary( {site_ids: ['two']}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should get the pits in a block for a surface", function() {
+		server.getSoilSurfacePoints( {property: 'depth', block_id: 4, site_ids: [2]}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.string( lastQueryObject.text ).contains( "'value', a.depth" );
+		test.string( lastQueryObject.text ).contains( "a.site_id = b.site_id" );
+		test.array( lastQueryObject.values ).is( [4, [2]] );
+	});
+
+	it( "should get the pits in a bounding box for a surface", function() {
+		server.getSoilSurfacePoints( {property: 'pedality', bbox: [149.9, -32.9, 150.0, -32.8], site_ids: [2]}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.string( lastQueryObject.text ).contains( "a.pedality IS NOT NULL" );
+		test.array( lastQueryObject.values ).is( [149.9, -32.9, 150.0, -32.8, [2]] );
+	});
+
+	it( "should not get surface pits for an unknown property", function() {
+		server.getSoilSurfacePoints( {property: 'ogc_fid; DROP TABLE soil_data', block_id: 4}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should not get surface pits for both a block and a bounding box", function() {
+		server.getSoilSurfacePoints( {property: 'depth', block_id: 4, bbox: [149.9, -32.9, 150.0, -32.8]}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should accept a valid Polygon or MultiPolygon feature", function() {
+		var feature = createFeature();
+		test.value( server.validateBlockFeature( feature ) ).isNull();
+		feature.geometry = { type: 'MultiPolygon', coordinates: [feature.geometry.coordinates] };
+		test.value( server.validateBlockFeature( feature ) ).isNull();
+	});
+
+	it( "should reject a feature with point geometry", function() {
+		var feature = createFeature();
+		feature.geometry = { type: 'Point', coordinates: [149.95, -32.805] };
+		test.object( server.validateBlockFeature( feature ) ).isInstanceOf( Error );
+	});
+
+	it( "should reject a feature without a name", function() {
+		var feature = createFeature();
+		delete feature.properties.name;
+		test.object( server.validateBlockFeature( feature ) ).isInstanceOf( Error );
+	});
+
+	it( "should reject a feature with an invalid property", function() {
+		var feature = createFeature();
+		feature.properties.row_spacing = -3;
+		test.object( server.validateBlockFeature( feature ) ).isInstanceOf( Error );
+	});
+
+	it( "should create a block at a site, calculating its area", function() {
+		server.createBlock( {feature: createFeature(), site_id: 2}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( callbackErr ).isNull();
+		test.array( callbackData ).is( [{id:4}] );
+		test.string( lastQueryObject.text ).contains( "ST_Area(" );
+		test.array( lastQueryObject.values ).is( [JSON.stringify(createFeature().geometry), 'B4', 'Shiraz', '1654', 'Ramsey', 1998, 3, 2] );
+	});
+
+	it( "should not create an invalid block", function() {
+		var feature = createFeature();
+		feature.geometry.coordinates[0].pop();
+		server.createBlock( {feature: feature}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	it( "should only update a block at the supplied sites", function() {
+		server.updateBlock( {id: 4, feature: createFeature(), site_ids: [2]}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.value( lastQueryObject.values[7] ).is( 4 );
+		test.array( lastQueryObject.values[8] ).is( [2] );
+		test.array( callbackData ).is( [{id:4}] );
+	});
+
+	it( "should return no rows updating a block which does not exist", function() {
+		callbackDataResponse = [];
+		server.updateBlock( {id: 4, feature: createFeature()}, callback );
+		test.value( callbackErr ).isNull();
+		test.array( callbackData ).hasLength( 0 );
+	});
+
+	it( "should only delete a block at the supplied sites", function() {
+		server.deleteBlock( {id: 4, site_ids: [2, 3]}, callback );
+		test.bool( dataQueryCalled ).isTrue();
+		test.array( lastQueryObject.values ).is( [4, [2, 3]] );
+		test.array( callbackData ).is( [{id:4}] );
+	});
+
+	it( "should throw an error deleting with an invalid 'id' parameter", function() {
+		server.deleteBlock( {id: 'four'}, callback );
+		test.bool( dataQueryCalled ).isFalse();
+		test.object( callbackErr ).isInstanceOf( Error );
+	});
+
+	after( function(){
+		database.dataQuery = oldDataQuery;
+	});
+});
+
 // Test template
 //	describe( "suite", function() {
 //		before( function() {
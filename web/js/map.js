@@ -1,4 +1,9 @@
-var map = L.map('map').setView([-32.805, 149.95], 15);
+// The view is set from the bounds of the user's sites once they have loaded
+var map = L.map('map');
+
+// Interpolated soil surfaces are drawn in their own pane, beneath the blocks, soil pits and sensors
+map.createPane('surface');
+map.getPane('surface').style.zIndex = 350;
 
 L.tileLayer('https://api.tiles.mapbox.com/v4/{id}/{z}/{x}/{y}.png?access_token=pk.eyJ1IjoiYWNyb3NzdGhlY2xvdWQiLCJhIjoiY2lzMWpwbW9wMDd5ejJ6cDZvczI2OXZyaiJ9.E8Pnyb_mNsbbfkOAb_jG6w', {
 	maxZoom: 18,
@@ -29,65 +34,333 @@ function depthToRadius(depth) {
 	}
 }
 
+function textureName(texture) {
+	switch (texture) {
+		case "SCL": return "Sandy Clay Loam";
+		case "SL": return "Sandy Loam";
+		case "SC": return "Sandy Clay";
+		case "LSCL": return "Light Sandy Clay Loam";
+		case "LS": return "Light Sandy";
+		case "CL": return "Clay Loam";
+		case "LC": return "Light Clay";
+		case "LMC": return "Light Medium Clay";
+		case "MC": return "Medium Clay";
+		case "NIL": return "No soil type data";
+		default: return texture || "";
+	}
+}
+
+// Stacked diagram of a pit's horizons, each drawn to scale and coloured by its pedality.
+// Horizons the pit did not reach the bottom of are drawn a fixed extra depth, with a dashed base.
+function soilProfileDiagram(horizons) {
+	var openDepth = 20;
+	var height = 150;
+	var deepest = 0;
+	horizons.forEach(function(horizon) {
+		deepest = Math.max(deepest, horizon.bottom_depth === null ? horizon.top_depth + openDepth : horizon.bottom_depth);
+	});
+
+	var diagram = '<div class="soil-profile">';
+	horizons.forEach(function(horizon) {
+		var bottom = horizon.bottom_depth === null ? horizon.top_depth + openDepth : horizon.bottom_depth;
+		var label = horizon.top_depth + "-" + (horizon.bottom_depth === null ? "" : horizon.bottom_depth) + "cm";
+		if (horizon.texture) label += " " + textureName(horizon.texture);
+		if (horizon.colour) label += ", " + horizon.colour;
+		if (horizon.ph !== null) label += ", pH " + horizon.ph;
+		if (horizon.ec !== null) label += ", EC " + horizon.ec + " dS/m";
+		diagram += '<div class="soil-horizon' + (horizon.bottom_depth === null ? ' open' : '') + '" title="' + (horizon.notes || '').replace(/"/g, '&quot;') + '" ' +
+			'style="height:' + Math.max(12, Math.round((bottom - horizon.top_depth) / deepest * height)) + 'px;' +
+			'background:' + (getColour(horizon.pedality) || '#c8b89a') + '">' + label + '</div>';
+	});
+	return diagram + '</div>';
+}
+
 function onEachFeature(feature, layer) {
 	var popupContent = "";
 	if (feature.properties) {
-		switch (feature.properties.texture) {
-			case "SCL":
-				popupContent += "Sandy Clay Loam";
-				break;
-			case "SL":
-				popupContent += "Sandy Loam";
-				break;
-			case "SC":
-				popupContent += "Sandy Clay";
-				break;
-			case "LSCL":
-				popupContent += "Light Sandy Clay Loam";
-				break;
-			case "LS":
-				popupContent += "Light Sandy";
-				break;
-			case "CL":
-				popupContent += "Clay Loam";
-				break;
-			case "LC":
-				popupContent += "Light Clay";
-				break;
-			case "LMC":
-				popupContent += "Light Medium Clay";
-				break;
-			case "MC":
-				popupContent += "Medium Clay";
-				break;
-			case "NIL":
-				popupContent += "No soil type data";
-		}
+		popupContent += textureName(feature.properties.texture);
 		popupContent += ", Depth: " + String(feature.properties.depth) + "cm";
+		if (feature.properties.horizons && feature.properties.horizons.length) {
+			popupContent += soilProfileDiagram(feature.properties.horizons);
+		}
+	}
+
+	layer.bindPopup(popupContent);
+}
+
+// Soil data URL restricted to the current map viewport
+function soilDataUrl() {
+	return "/data/api/soil?bbox=" + map.getBounds().toBBoxString();
+}
+
+function createSoilLayer() {
+	return new L.GeoJSON.AJAX(soilDataUrl(), {
+
+		style: function (feature) {
+			return feature.properties && feature.properties.style;
+		},
+
+		onEachFeature: onEachFeature,
+
+		pointToLayer: function (feature, latlng) {
+			return L.circleMarker(latlng, {
+				radius: depthToRadius(feature.properties.depth),
+				fillColor: getColour(feature.properties.pedality),
+				color: "#000",
+				weight: 1,
+				opacity: 1,
+				fillOpacity: 0.8
+			});
+		}
+	});
+}
+
+// Colour each variety consistently, from a hash of its name
+var blockColours = ["#8c2d04", "#6a51a3", "#238b45", "#cb181d", "#2171b5", "#d94801", "#88419d", "#525252"];
+
+function varietyColour(variety) {
+	if (!variety) return "#ffffff";
+	var hash = 0;
+	for (var i = 0; i < variety.length; i++) {
+		hash = (hash * 31 + variety.charCodeAt(i)) % blockColours.length;
+	}
+	return blockColours[hash];
+}
+
+function onEachBlock(feature, layer) {
+	var popupContent = "";
+	if (feature.properties) {
+		popupContent += "Block " + feature.properties.name;
+		if (feature.properties.variety) popupContent += "<br>" + feature.properties.variety + (feature.properties.clone ? " clone " + feature.properties.clone : "");
+		if (feature.properties.rootstock) popupContent += "<br>Rootstock: " + feature.properties.rootstock;
+		if (feature.properties.planting_year) popupContent += "<br>Planted: " + feature.properties.planting_year;
+		if (feature.properties.row_spacing) popupContent += "<br>Row spacing: " + feature.properties.row_spacing + "m";
+		popupContent += "<br>Area: " + Number(feature.properties.area).toFixed(2) + "ha";
 	}
 
 	layer.bindPopup(popupContent);
 }
 
-var soil_data = new L.GeoJSON.AJAX("/data/api/soil", {
+function createBlocksLayer() {
+	return new L.GeoJSON.AJAX("/data/api/blocks", {
+
+		style: function (feature) {
+			return {
+				color: varietyColour(feature.properties.variety),
+				weight: 2,
+				opacity: 1,
+				fillOpacity: 0.2
+			};
+		},
 
-	style: function (feature) {
-		return feature.properties && feature.properties.style;
-	},
+		onEachFeature: onEachBlock
+	});
+}
 
-	onEachFeature: onEachFeature,
+// Depth classes match the soil pit circle sizes
+function depthColour(depth) {
+	switch (true) {
+		case depth <= 50:
+			return "#fee391";
+		case depth <= 100:
+			return "#fe9929";
+		case depth <= 150:
+			return "#cc4c02";
+		default:
+			return "#662506";
+	}
+}
+
+// Soil surface URL covering the current map viewport, with about 80 cells across it
+function soilSurfaceUrl(property) {
+	var bounds = map.getBounds();
+	var width = map.distance(bounds.getSouthWest(), bounds.getSouthEast());
+	return "/data/api/soil/surface?property=" + property + "&bbox=" + bounds.toBBoxString() + "&cell_size=" + Math.max(1, Math.ceil(width / 80));
+}
+
+// Surfaces are only requested while they are shown, and are reloaded for the new viewport whenever the map moves
+function createSurfaceLayer(property, colour) {
+	var surface = new L.GeoJSON.AJAX(null, {
+		pane: 'surface',
+
+		style: function (feature) {
+			return {
+				fillColor: colour(feature.properties.value),
+				stroke: false,
+				fillOpacity: 0.5
+			};
+		}
+	});
 
-	pointToLayer: function (feature, latlng) {
-		return L.circleMarker(latlng, {
-			radius: depthToRadius(feature.properties.depth),
-			fillColor: getColour(feature.properties.pedality),
-			color: "#000",
-			weight: 1,
-			opacity: 1,
-			fillOpacity: 0.8
+	var refresh = function() {
+		// refresh() appends to the layer's URL list, so clear it to only request the current viewport
+		surface.urls = [];
+		surface.refresh(soilSurfaceUrl(property));
+	};
+	surface.on('add', refresh);
+	map.on('moveend', function() {
+		if (map.hasLayer(surface)) refresh();
+	});
+
+	return surface;
+}
+
+function sensorStateColour(state) {
+	switch (state) {
+		case 1: return "#ffff00";
+		case 2: return "#ffa500";
+		case 3: return "#ff0000";
+		case 4: return "#800000";
+		default: return "#00ff00";
+	}
+}
+
+// Draw a sparkline of the hourly mean of each measurement from a sensor over the last 24 hours
+function loadSparklines(sensorId, popup) {
+	var request = new XMLHttpRequest();
+	request.open('GET', '/data/api/sensors/' + sensorId + '/readings?interval=hourly');
+	request.onload = function() {
+		var container = document.getElementById('sparklines-' + sensorId);
+		if (!container || request.status !== 200) return;
+
+		// Group the hourly buckets by measurement
+		var series = {};
+		JSON.parse(request.responseText).readings.forEach(function(reading) {
+			if (!series[reading.measurement]) series[reading.measurement] = { labels: [], values: [] };
+			series[reading.measurement].labels.push(new Date(reading.time).toLocaleTimeString());
+			series[reading.measurement].values.push(reading.mean);
+		});
+
+		container.innerHTML = "";
+		Object.keys(series).forEach(function(measurement) {
+			var label = L.DomUtil.create('div', '', container);
+			label.innerHTML = measurement.replace(/_/g, ' ') + ": " + series[measurement].values[series[measurement].values.length - 1].toFixed(1);
+			var canvas = L.DomUtil.create('canvas', '', container);
+			canvas.width = 200;
+			canvas.height = 40;
+			new Chart(canvas, {
+				type: 'line',
+				data: {
+					labels: series[measurement].labels,
+					datasets: [{ data: series[measurement].values, fill: false, borderColor: "#3388ff", borderWidth: 1, pointRadius: 0 }]
+				},
+				options: {
+					responsive: false,
+					animation: false,
+					legend: { display: false },
+					tooltips: { enabled: false },
+					scales: { xAxes: [{ display: false }], yAxes: [{ display: false }] }
+				}
+			});
 		});
+		if (!Object.keys(series).length) container.innerHTML = "No readings in the last 24 hours";
+		popup.update();
+	};
+	request.send();
+}
+
+function onEachSensor(feature, layer) {
+	var popupContent = "";
+	if (feature.properties) {
+		popupContent += feature.properties.level_name;
+		if (feature.properties.parent_name) popupContent += ", " + feature.properties.parent_name;
+		popupContent += "<br>State: " + String(feature.properties.state === null ? 0 : feature.properties.state);
+		if (feature.properties.last_updated) popupContent += "<br>Last updated: " + feature.properties.last_updated;
+		popupContent += '<div class="sparklines" id="sparklines-' + feature.properties.pkey + '">Loading readings...</div>';
 	}
-}).addTo(map);
+
+	layer.bindPopup(popupContent);
+	layer.on('popupopen', function(e) {
+		loadSparklines(feature.properties.pkey, e.popup);
+	});
+}
+
+function createSensorsLayer() {
+	return new L.GeoJSON.AJAX("/data/api/sensors", {
+
+		onEachFeature: onEachSensor,
+
+		pointToLayer: function (feature, latlng) {
+			return L.circleMarker(latlng, {
+				radius: 6,
+				fillColor: sensorStateColour(feature.properties.state),
+				color: "#fff",
+				weight: 2,
+				opacity: 1,
+				fillOpacity: 0.9
+			});
+		}
+	});
+}
+
+// Only show the layers the logged in user has permission to read
+function addLayers(permissions) {
+	var overlays = {};
+
+	if (permissions.indexOf('blocks:read') !== -1) {
+		var blocks = createBlocksLayer();
+		// Keep the blocks behind the soil pits and sensors, whenever they load and when the layer is toggled back on
+		blocks.on('add data:loaded', function() {
+			blocks.bringToBack();
+		});
+		overlays["Blocks"] = blocks.addTo(map);
+	}
+
+	if (permissions.indexOf('soil:read') !== -1) {
+		var soil_data = createSoilLayer().addTo(map);
+		overlays["Soil pits"] = soil_data;
+
+		// Reload the soil pits for the new viewport whenever the map is panned or zoomed
+		map.on('moveend', function() {
+			// refresh() appends to the layer's URL list, so clear it to only request the current viewport
+			soil_data.urls = [];
+			soil_data.refresh(soilDataUrl());
+		});
+
+		// Surfaces are hidden until they are chosen in the layers control
+		overlays["Soil depth surface"] = createSurfaceLayer('depth', depthColour);
+		overlays["Pedality surface"] = createSurfaceLayer('pedality', getColour);
+	}
+
+	if (permissions.indexOf('sensors:read') !== -1) {
+		overlays["Sensors"] = createSensorsLayer().addTo(map);
+	}
+
+	if (Object.keys(overlays).length) {
+		L.control.layers(null, overlays).addTo(map);
+	}
+}
+
+// Show all of the user's sites, then add the layers; the soil layer needs the view to be set to build its URL
+function loadUser() {
+	var userRequest = new XMLHttpRequest();
+	userRequest.open('GET', '/currentUser');
+	userRequest.onload = function() {
+		if (userRequest.status !== 200) return;
+		addLayers(JSON.parse(userRequest.responseText).permissions || []);
+	};
+	userRequest.send();
+}
+
+var sitesRequest = new XMLHttpRequest();
+sitesRequest.open('GET', '/data/api/sites');
+sitesRequest.onload = function() {
+	var sites = sitesRequest.status === 200 ? JSON.parse(sitesRequest.responseText) : [];
+	var bounds = null;
+	sites.forEach(function(site) {
+		if (!site.bounds) return;
+		// Site bounds are [minLon, minLat, maxLon, maxLat]
+		var siteBounds = L.latLngBounds([site.bounds[1], site.bounds[0]], [site.bounds[3], site.bounds[2]]);
+		bounds = bounds ? bounds.extend(siteBounds) : siteBounds;
+	});
+	if (bounds) {
+		map.fitBounds(bounds);
+	} else {
+		map.setView([0, 0], 2);
+	}
+	loadUser();
+};
+sitesRequest.send();
 
 var legend = L.control({position: 'bottomright'});
 